@@ -8,67 +8,366 @@
 Object.defineProperty(exports, "__esModule", {
     value: true
 });
-exports.Broker = undefined;
+exports.EventEmitter = exports.Broker = exports.WaitError = exports.RequestError = exports.ListenerError = exports.InvalidCallbackError = exports.InvalidEventError = exports.InvalidArgumentError = undefined;
 
-var _flow2 = require('lodash\\flow');
-
-var _flow3 = _interopRequireDefault(_flow2);
-
-var _bind2 = require('lodash\\bind');
+var _bind2 = require('lodash/bind');
 
 var _bind3 = _interopRequireDefault(_bind2);
 
-var _attempt2 = require('lodash\\attempt');
+var _attempt2 = require('lodash/attempt');
 
 var _attempt3 = _interopRequireDefault(_attempt2);
 
-var _trim2 = require('lodash\\trim');
+var _trim2 = require('lodash/trim');
 
 var _trim3 = _interopRequireDefault(_trim2);
 
-var _isError2 = require('lodash\\isError');
+var _has2 = require('lodash/has');
+
+var _has3 = _interopRequireDefault(_has2);
+
+var _uniqueId2 = require('lodash/uniqueId');
+
+var _uniqueId3 = _interopRequireDefault(_uniqueId2);
+
+var _mapValues2 = require('lodash/mapValues');
+
+var _mapValues3 = _interopRequireDefault(_mapValues2);
+
+var _assign5 = require('lodash/assign');
+
+var _assign6 = _interopRequireDefault(_assign5);
+
+var _omitBy2 = require('lodash/omitBy');
+
+var _omitBy3 = _interopRequireDefault(_omitBy2);
+
+var _isUndefined2 = require('lodash/isUndefined');
+
+var _isUndefined3 = _interopRequireDefault(_isUndefined2);
+
+var _isPlainObject2 = require('lodash/isPlainObject');
+
+var _isPlainObject3 = _interopRequireDefault(_isPlainObject2);
+
+var _isError2 = require('lodash/isError');
 
 var _isError3 = _interopRequireDefault(_isError2);
 
-var _isFunction2 = require('lodash\\isFunction');
+var _isNumber2 = require('lodash/isNumber');
+
+var _isNumber3 = _interopRequireDefault(_isNumber2);
+
+var _isInteger2 = require('lodash/isInteger');
+
+var _isInteger3 = _interopRequireDefault(_isInteger2);
+
+var _isFinite2 = require('lodash/isFinite');
+
+var _isFinite3 = _interopRequireDefault(_isFinite2);
+
+var _isFunction2 = require('lodash/isFunction');
 
 var _isFunction3 = _interopRequireDefault(_isFunction2);
 
-var _isEmpty2 = require('lodash\\isEmpty');
+var _isEmpty2 = require('lodash/isEmpty');
 
 var _isEmpty3 = _interopRequireDefault(_isEmpty2);
 
-var _isString2 = require('lodash\\isString');
+var _isRegExp2 = require('lodash/isRegExp');
+
+var _isRegExp3 = _interopRequireDefault(_isRegExp2);
+
+var _isObjectLike2 = require('lodash/isObjectLike');
+
+var _isObjectLike3 = _interopRequireDefault(_isObjectLike2);
+
+var _isNull2 = require('lodash/isNull');
+
+var _isNull3 = _interopRequireDefault(_isNull2);
+
+var _isArray2 = require('lodash/isArray');
+
+var _isArray3 = _interopRequireDefault(_isArray2);
+
+var _isBoolean2 = require('lodash/isBoolean');
+
+var _isBoolean3 = _interopRequireDefault(_isBoolean2);
+
+var _isString2 = require('lodash/isString');
 
 var _isString3 = _interopRequireDefault(_isString2);
 
-var _forEach2 = require('lodash\\forEach');
+var _tail2 = require('lodash/tail');
+
+var _tail3 = _interopRequireDefault(_tail2);
+
+var _castArray2 = require('lodash/castArray');
+
+var _castArray3 = _interopRequireDefault(_castArray2);
+
+var _values2 = require('lodash/values');
+
+var _values3 = _interopRequireDefault(_values2);
+
+var _every2 = require('lodash/every');
+
+var _every3 = _interopRequireDefault(_every2);
+
+var _some2 = require('lodash/some');
+
+var _some3 = _interopRequireDefault(_some2);
+
+var _split2 = require('lodash/split');
+
+var _split3 = _interopRequireDefault(_split2);
+
+var _takeRight2 = require('lodash/takeRight');
+
+var _takeRight3 = _interopRequireDefault(_takeRight2);
+
+var _includes2 = require('lodash/includes');
+
+var _includes3 = _interopRequireDefault(_includes2);
+
+var _orderBy2 = require('lodash/orderBy');
+
+var _orderBy3 = _interopRequireDefault(_orderBy2);
+
+var _flatMap2 = require('lodash/flatMap');
+
+var _flatMap3 = _interopRequireDefault(_flatMap2);
+
+var _reduce2 = require('lodash/reduce');
+
+var _reduce3 = _interopRequireDefault(_reduce2);
+
+var _forEach2 = require('lodash/forEach');
 
 var _forEach3 = _interopRequireDefault(_forEach2);
 
-var _concat2 = require('lodash\\concat');
+var _concat2 = require('lodash/concat');
 
 var _concat3 = _interopRequireDefault(_concat2);
 
-var _without2 = require('lodash\\without');
+var _reject2 = require('lodash/reject');
+
+var _reject3 = _interopRequireDefault(_reject2);
+
+var _findLastIndex2 = require('lodash/findLastIndex');
 
-var _without3 = _interopRequireDefault(_without2);
+var _findLastIndex3 = _interopRequireDefault(_findLastIndex2);
 
-var _uniq2 = require('lodash\\uniq');
+var _find2 = require('lodash/find');
 
-var _uniq3 = _interopRequireDefault(_uniq2);
+var _find3 = _interopRequireDefault(_find2);
+
+var _get = function get(object, property, receiver) { if (object === null) object = Function.prototype; var desc = Object.getOwnPropertyDescriptor(object, property); if (desc === undefined) { var parent = Object.getPrototypeOf(object); if (parent === null) { return undefined; } else { return get(parent, property, receiver); } } else if ("value" in desc) { return desc.value; } else { var getter = desc.get; if (getter === undefined) { return undefined; } return getter.call(receiver); } };
+
+var _slicedToArray = function () { function sliceIterator(arr, i) { var _arr = []; var _n = true; var _d = false; var _e = undefined; try { for (var _i = arr[Symbol.iterator](), _s; !(_n = (_s = _i.next()).done); _n = true) { _arr.push(_s.value); if (i && _arr.length === i) break; } } catch (err) { _d = true; _e = err; } finally { try { if (!_n && _i["return"]) _i["return"](); } finally { if (_d) throw _e; } } return _arr; } return function (arr, i) { if (Array.isArray(arr)) { return arr; } else if (Symbol.iterator in Object(arr)) { return sliceIterator(arr, i); } else { throw new TypeError("Invalid attempt to destructure non-iterable instance"); } }; }();
 
 var _createClass = function () { function defineProperties(target, props) { for (var i = 0; i < props.length; i++) { var descriptor = props[i]; descriptor.enumerable = descriptor.enumerable || false; descriptor.configurable = true; if ("value" in descriptor) descriptor.writable = true; Object.defineProperty(target, descriptor.key, descriptor); } } return function (Constructor, protoProps, staticProps) { if (protoProps) defineProperties(Constructor.prototype, protoProps); if (staticProps) defineProperties(Constructor, staticProps); return Constructor; }; }();
 
+exports.bridgeEventTarget = bridgeEventTarget;
+exports.connectPort = connectPort;
+exports.recordHistory = recordHistory;
+exports.makeBrokerDriver = makeBrokerDriver;
+
 function _interopRequireDefault(obj) { return obj && obj.__esModule ? obj : { default: obj }; }
 
+function _possibleConstructorReturn(self, call) { if (!self) { throw new ReferenceError("this hasn't been initialised - super() hasn't been called"); } return call && (typeof call === "object" || typeof call === "function") ? call : self; }
+
+function _inherits(subClass, superClass) { if (typeof superClass !== "function" && superClass !== null) { throw new TypeError("Super expression must either be null or a function, not " + typeof superClass); } subClass.prototype = Object.create(superClass && superClass.prototype, { constructor: { value: subClass, enumerable: false, writable: true, configurable: true } }); if (superClass) Object.setPrototypeOf ? Object.setPrototypeOf(subClass, superClass) : subClass.__proto__ = superClass; }
+
+function _defineProperty(obj, key, value) { if (key in obj) { Object.defineProperty(obj, key, { value: value, enumerable: true, configurable: true, writable: true }); } else { obj[key] = value; } return obj; }
+
 function _classCallCheck(instance, Constructor) { if (!(instance instanceof Constructor)) { throw new TypeError("Cannot call a class as a function"); } }
 
+function _toArray(arr) { return Array.isArray(arr) ? arr : Array.from(arr); }
+
 function _toConsumableArray(arr) { if (Array.isArray(arr)) { for (var i = 0, arr2 = Array(arr.length); i < arr.length; i++) { arr2[i] = arr[i]; } return arr2; } else { return Array.from(arr); } }
 
 var data = new WeakMap(),
     EVENT_ERROR = 'Parameter `event` must be a non-empty string.',
-    CALLBACK_ERROR = 'Parameter `callback` must be a function.';
+    CALLBACK_ERROR = 'Parameter `callback` must be a function.',
+    SELECTOR_ERROR = 'Parameter `selector` must be a function.',
+    PRIORITY_ERROR = 'Option `priority` must be a finite number.',
+    TIMEOUT_ERROR = 'Option `timeout` must be a finite number.',
+    SIGNAL_ERROR = 'Option `signal` must be an AbortSignal.',
+    NAMESPACE_ERROR = 'Parameter `namespace` must be a non-empty string.',
+    BUBBLE_ERROR = 'Option `bubble` must be a boolean or an array of event names.',
+    COUNT_ERROR = 'Parameter `count` must be a non-negative integer.',
+    TIMES_ERROR = 'Parameter `count` must be a positive integer.',
+    PREDICATE_ERROR = 'Parameter `predicate` must be a function.',
+    MAX_LISTENERS_ERROR = 'Option `maxListeners` must be a non-negative integer.',
+    MIDDLEWARE_ERROR = 'Parameter `middleware` must be a function or an object with `emit` or `invoke` methods.',
+    VALIDATOR_ERROR = 'Parameter `validator` must be a function or schema.',
+    SPEED_ERROR = 'Option `speed` must be a positive number.',
+    SIZE_ERROR = 'Option `size` must be a positive integer.',
+    ON_ERROR_ERROR = 'Option `onError` must be \'report\', \'throw\', \'throwIfUnhandled\' or a function.',
+    ERROR_POLICIES = ['report', 'throw', 'throwIfUnhandled'],
+    LIMITS = Symbol('limits'),
+    BROADCAST = Symbol('broadcast'),
+    OVERFLOW_ERROR = 'Option `overflow` must be \'dropOldest\', \'dropNewest\' or \'error\'.',
+    OVERFLOW_STRATEGIES = ['dropOldest', 'dropNewest', 'error'],
+    RATE_ERROR = 'Only 1 of the `throttle`, `debounce` and `batch` options can be used.',
+    SCHEDULER_ERROR = 'Option `scheduler` must have `setTimeout` and `clearTimeout` methods.',
+    OWNER_ERROR = 'Parameter `owner` must not be undefined.',
+    TAG_ERROR = 'Parameter `tag` must not be undefined.',
+    DISPATCH_ERROR = 'Option `dispatch` must be \'sync\', \'microtask\' or a function.',
+    SCHEDULER = {
+    setTimeout: function (_setTimeout) {
+        function setTimeout(_x, _x2) {
+            return _setTimeout.apply(this, arguments);
+        }
+
+        setTimeout.toString = function () {
+            return _setTimeout.toString();
+        };
+
+        return setTimeout;
+    }(function (fn, wait) {
+        return setTimeout(fn, wait);
+    }),
+    clearTimeout: function (_clearTimeout) {
+        function clearTimeout(_x3) {
+            return _clearTimeout.apply(this, arguments);
+        }
+
+        clearTimeout.toString = function () {
+            return _clearTimeout.toString();
+        };
+
+        return clearTimeout;
+    }(function (id) {
+        return clearTimeout(id);
+    })
+},
+    CHANNEL = 'cycle-events',
+    ERROR_TAG = '__cycle-events-error__',
+    SCHEMA_TYPES = {
+    string: _isString3.default,
+    number: _isFinite3.default,
+    integer: _isInteger3.default,
+    boolean: _isBoolean3.default,
+    array: _isArray3.default,
+    null: _isNull3.default,
+    object: function object(value) {
+        return (0, _isObjectLike3.default)(value) && !(0, _isArray3.default)(value);
+    }
+};
+
+// ERROR TYPES
+
+function errorType(name, code, Base) {
+    function ErrorType(message, properties) {
+        (0, _assign6.default)(this, { message: message }, properties);
+        if ((0, _isFunction3.default)(Error.captureStackTrace)) {
+            Error.captureStackTrace(this, ErrorType);
+        } else {
+            this.stack = new Base(message).stack;
+        }
+    }
+    ErrorType.prototype = Object.create(Base.prototype, {
+        constructor: { value: ErrorType, writable: true, configurable: true },
+        name: { value: name, writable: true, configurable: true },
+        code: { value: code, writable: true, configurable: true }
+    });
+    return ErrorType;
+}
+
+/**
+ * Thrown when a method is passed an invalid argument or option, or when
+ * emitted arguments do not match an event's [definition]{@link Broker#define}.
+ * Inherits from `TypeError`.
+ * @class InvalidArgumentError
+ * @param message {String} Describes the invalid argument.
+ * @param [properties] {Object} Additional properties to copy to the error.
+ * @property {String} code A machine-readable code: `'ERR_INVALID_ARG'` for
+ *  invalid arguments and options, `'ERR_INVALID_ARGS'` for emitted arguments
+ *  that do not match their definition, or `'ERR_UNDEFINED_EVENT'` for events
+ *  emitted in strict mode without a definition.
+ * @example
+ * try {
+ *   broker.on('event', callback, {priority: 'high'});
+ * } catch (err) {
+ *   log(err.code); // 'ERR_INVALID_ARG'
+ * }
+ */
+var InvalidArgumentError = exports.InvalidArgumentError = errorType('InvalidArgumentError', 'ERR_INVALID_ARG', TypeError);
+
+/**
+ * Thrown when an event name is not a non-empty string.
+ * @class InvalidEventError
+ * @extends InvalidArgumentError
+ * @property {String} code `'ERR_INVALID_EVENT'`
+ */
+var InvalidEventError = exports.InvalidEventError = errorType('InvalidEventError', 'ERR_INVALID_EVENT', InvalidArgumentError);
+
+/**
+ * Thrown when a listener is not a function.
+ * @class InvalidCallbackError
+ * @extends InvalidArgumentError
+ * @property {String} code `'ERR_INVALID_CALLBACK'`
+ */
+var InvalidCallbackError = exports.InvalidCallbackError = errorType('InvalidCallbackError', 'ERR_INVALID_CALLBACK', InvalidArgumentError);
+
+/**
+ * Wraps an exception thrown by a listener of the
+ * [error]{@link event:Broker#error} event. Because reporting it through
+ * the `error` event could recurse indefinitely, it is instead rethrown
+ * asynchronously so it reaches the host's global error handler.
+ * @class ListenerError
+ * @extends Error
+ * @property {String} code `'ERR_LISTENER'`
+ * @property {String} event The event the listener was invoked for.
+ * @property {Function} callback The listener that threw.
+ * @property {Array} args The arguments passed to the listener.
+ * @property {Number} [index] The position of the listener among those
+ *  invoked for the emission.
+ * @property {*} cause The exception thrown by the listener.
+ * @example
+ * window.addEventListener('error', function(e) {
+ *   if (e.error && e.error.code === 'ERR_LISTENER') {
+ *     log(e.error.event, e.error.cause);
+ *   }
+ * });
+ */
+var ListenerError = exports.ListenerError = errorType('ListenerError', 'ERR_LISTENER', Error);
+
+/**
+ * Thrown when a [handler]{@link Broker#handle} cannot be registered, or
+ * used to reject a [request]{@link Broker#request} that cannot be handled.
+ * @class RequestError
+ * @extends Error
+ * @property {String} code A machine-readable code: `'ERR_HANDLER_EXISTS'`
+ *  if a handler is already registered for the event, `'ERR_NO_HANDLER'` if
+ *  no handler is registered for a request, or `'ERR_REQUEST_TIMEOUT'` if a
+ *  request times out.
+ * @property {String} event The event that was handled or requested.
+ * @example
+ * broker.request({type: 'user:get', timeout: 5000}, 123).catch(function(err) {
+ *   if (err.code === 'ERR_REQUEST_TIMEOUT') { ... }
+ * });
+ */
+var RequestError = exports.RequestError = errorType('RequestError', 'ERR_REQUEST', Error);
+
+/**
+ * Used to reject a promise returned by [waitFor]{@link Broker#waitFor} or
+ * an iterator returned by [iterate]{@link Broker#iterate} when the
+ * awaited emissions do not arrive as expected.
+ * @class WaitError
+ * @extends Error
+ * @property {String} code A machine-readable code: `'ERR_WAIT_TIMEOUT'` if
+ *  the event was not emitted in time, or `'ERR_QUEUE_OVERFLOW'` if more
+ *  emissions arrived than an iterator could queue.
+ * @property {String} event The event that was awaited.
+ * @example
+ * broker.waitFor('app:ready', {timeout: 1000}).catch(function(err) {
+ *   if (err.code === 'ERR_WAIT_TIMEOUT') { ... }
+ * });
+ */
+var WaitError = exports.WaitError = errorType('WaitError', 'ERR_WAIT', Error);
 
 // UTILITY METHODS
 
@@ -81,253 +380,2633 @@ function isValidCallback(callback) {
 }
 
 function throwIfNot(fn, arg, msg) {
+    var ErrorType = arguments.length > 3 && arguments[3] !== undefined ? arguments[3] : InvalidArgumentError;
+
     if (!fn(arg)) {
-        throw new TypeError(msg);
+        throw new ErrorType(msg);
+    }
+}
+
+function isValidPolicy(policy) {
+    return (0, _isFunction3.default)(policy) || (0, _includes3.default)(ERROR_POLICIES, policy);
+}
+
+function aggregate(errors, event) {
+    var message = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : 'Listeners for `' + event + '` threw ' + errors.length + ' exception(s).';
+
+    /* global AggregateError */
+    return typeof AggregateError === 'function' ? new AggregateError(errors, message) : (0, _assign6.default)(new Error(message), { name: 'AggregateError', errors: errors });
+}
+
+function collect(ctx, event, fn) {
+    var state = data.get(ctx),
+        previous = state.failures,
+        failures = state.failures = [],
+        result = void 0;
+    try {
+        result = fn();
+    } finally {
+        state.failures = previous;
+    }
+    if (!(0, _isEmpty3.default)(failures)) {
+        throw aggregate(failures, event);
+    }
+    return result;
+}
+
+function conclude(failures, event, results) {
+    if (!(0, _isEmpty3.default)(failures)) {
+        throw aggregate(failures, event);
+    }
+    return results;
+}
+
+function report(ctx, details) {
+    var failures = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : data.get(ctx).failures;
+
+    var _data$get = data.get(ctx),
+        onError = _data$get.onError;
+
+    if (details.event === Broker.Events.ERROR) {
+        return escalate(details);
+    }
+    if ((0, _isFunction3.default)(onError)) {
+        return onError.call(ctx, details);
+    }
+    if (onError === 'report' || onError === 'throwIfUnhandled' && ctx.hasListeners(Broker.Events.ERROR)) {
+        return ctx.emit(Broker.Events.ERROR, details);
+    }
+    if (!failures) {
+        throw aggregate([details.error], details.event);
+    }
+    failures.push(details.error);
+}
+
+function escalate(details) {
+    var event = details.event,
+        callback = details.callback,
+        error = details.error,
+        args = details.args,
+        index = details.index,
+        failure = new ListenerError('A listener for `' + event + '` threw an exception.', { event: event, callback: callback, args: args, index: index, cause: error });
+
+    setTimeout(function () {
+        throw failure;
+    });
+}
+
+function isValidMiddleware(middleware) {
+    return (0, _isFunction3.default)(middleware) || (0, _isObjectLike3.default)(middleware) && ((0, _isFunction3.default)(middleware.emit) || (0, _isFunction3.default)(middleware.invoke));
+}
+
+function intercept(ctx, phase, context, last) {
+    var hooks = (0, _flatMap3.default)(data.get(ctx).middleware, function (middleware) {
+        return (0, _isFunction3.default)(middleware[phase]) ? [middleware[phase]] : [];
+    }),
+        step = function step(index) {
+        if (index >= hooks.length) {
+            return last(context);
+        }
+        var hook = hooks[index],
+            failure = {};
+        try {
+            return hook.call(ctx, context, function () {
+                try {
+                    failure.called = true;
+                    return step(index + 1);
+                } catch (error) {
+                    failure.error = error;
+                    throw error;
+                }
+            });
+        } catch (error) {
+            if (failure.error === error) {
+                throw error;
+            }
+            if (context.event !== Broker.Events.ERROR) {
+                report(ctx, { event: context.event, callback: hook, error: error, args: context.args });
+            } else if (!failure.called) {
+                // broken middleware must not prevent errors from being reported
+                return step(index + 1);
+            }
+        }
+    };
+    return step(0);
+}
+
+function dispatch(ctx, emission, args, deliver) {
+    var marker = arguments.length > 4 && arguments[4] !== undefined ? arguments[4] : take(ctx);
+
+    var descriptor = (0, _isPlainObject3.default)(emission) ? emission : undefined,
+        event = descriptor ? emission.type : emission,
+        state = data.get(ctx),
+        previous = state.current;
+    throwIfNot(isValidEvent, event, EVENT_ERROR, InvalidEventError);
+    state.current = marker;
+    try {
+        return intercept(ctx, 'emit', { event: event, args: args, descriptor: descriptor }, function (_ref) {
+            var type = _ref.event,
+                params = _ref.args;
+
+            throwIfNot(isValidEvent, type, EVENT_ERROR, InvalidEventError);
+            validate(ctx, type, params);
+            return deliver(type, params);
+        });
+    } finally {
+        state.current = previous;
+    }
+}
+
+// Emissions made by the library itself--received from a port, broadcast
+// from a parent--are tagged with a marker so loop guards can recognize
+// them. The marker travels with the emission if it is queued or held
+// by a rate limit, and is exposed as `current` while it is dispatched.
+function mark(ctx, marker, fn) {
+    var state = data.get(ctx);
+    state.marker = marker;
+    try {
+        return fn();
+    } finally {
+        state.marker = undefined;
+    }
+}
+
+function take(ctx) {
+    var state = data.get(ctx),
+        marker = state.marker;
+
+    state.marker = undefined;
+    return marker;
+}
+
+function announce(event, args, listener, index) {
+    /* jshint -W040 */
+    if (!admit(this, event, args, listener)) {
+        return;
     }
+    if (listener.limiter) {
+        return listener.limiter.push({ event: event, args: args, index: index });
+    }
+    invoke.call(this, event, args, listener, index);
+}
+
+function toParams(event, args, withEvent) {
+    return withEvent ? [event].concat(_toConsumableArray(args)) : args;
 }
 
-function announce(event, args, callback) {
+function invoke(event, args, _ref2, index) {
+    var _this = this;
+
+    var callback = _ref2.callback,
+        target = _ref2.context,
+        withEvent = _ref2.withEvent;
+
     /* jshint -W040 */
-    var error = (0, _attempt3.default)(_bind3.default.apply(undefined, [callback, this].concat(_toConsumableArray(args))));
+    var error = void 0;
+    intercept(this, 'invoke', { event: event, args: args, callback: callback }, function (context) {
+        var result = (0, _attempt3.default)(_bind3.default.apply(undefined, [callback, (0, _isUndefined3.default)(target) ? _this : target].concat(_toConsumableArray(toParams(event, context.args, withEvent)))));
+        if ((0, _isError3.default)(result)) {
+            error = result;
+        } else {
+            return result;
+        }
+    });
     if ((0, _isError3.default)(error)) {
-        this.emit(Broker.Events.ERROR, { event: event, callback: callback, error: error });
+        report(this, { event: event, callback: callback, error: error, args: args, index: index });
     }
 }
 
-function info(ctx, event) {
-    var _data$get = data.get(ctx);
+function settle(event, args, failures, _ref3, index) {
+    var _this2 = this;
 
-    var map = _data$get.map;
-    var keys = _data$get.keys;
-    var key = keys[event] = keys[event] || {};
-    return { map: map, key: key, listeners: map.get(key) || [] };
+    var callback = _ref3.callback,
+        limiter = _ref3.limiter,
+        target = _ref3.context,
+        withEvent = _ref3.withEvent;
+
+    /* jshint -W040 */
+    if (limiter) {
+        limiter.push({ event: event, args: args, index: index });
+        return Promise.resolve({ status: 'fulfilled', value: undefined });
+    }
+    return new Promise(function (resolve) {
+        return resolve(intercept(_this2, 'invoke', { event: event, args: args, callback: callback }, function (context) {
+            return callback.apply((0, _isUndefined3.default)(target) ? _this2 : target, toParams(event, context.args, withEvent));
+        }));
+    }).then(function (value) {
+        return { status: 'fulfilled', value: value };
+    }, function (error) {
+        report(_this2, { event: event, callback: callback, error: error, args: args, index: index }, failures);
+        return { status: 'rejected', reason: error };
+    });
 }
 
-/**
- * Provides pub/sub functionality to Cycle.js applications.
- * @class Broker
- * @example
- * var broker = require('cycle-events')(); // create instance
- * var off = broker.on('my-custom-event', // register handler
- *   function myCallback(arg1, arg2) { ... }
- * );
- * broker.emit('my-custom-event', 'arg1', 'arg2'); // fire event
- * off(); // remove the event handler
- * @example
- * // add pub/sub functionality to a class and
- * // automatically log any errors caused by
- * // subscribers of the class:
- * function MyClass() {
- *   Broker.call(this); // mixin pub/sub
- *   Rx.Observable.fromEvent(this, 'error')
- *     .subscribe(logger.error);
- * }
- *
- * // now use the class:
- * var myClass = new MyClass();
- * myClass.on('some-custom-event', function() {
- *   methodDoesNotExist(); // error logged automatically
- * });
- */
+function createEvent(descriptor) {
+    var evt = (0, _assign6.default)({}, descriptor, {
+        defaultPrevented: false,
+        propagationStopped: false,
+        immediatePropagationStopped: false,
+        preventDefault: function preventDefault() {
+            evt.defaultPrevented = true;
+        },
+        stopPropagation: function stopPropagation() {
+            evt.propagationStopped = true;
+        },
+        stopImmediatePropagation: function stopImmediatePropagation() {
+            evt.propagationStopped = true;
+            evt.immediatePropagationStopped = true;
+        }
+    });
+    return evt;
+}
 
-var Broker = exports.Broker = function () {
-    function Broker() {
-        _classCallCheck(this, Broker);
+function isValidBubble(bubble) {
+    return (0, _isBoolean3.default)(bubble) || (0, _isArray3.default)(bubble) && (0, _every3.default)(bubble, isValidEvent);
+}
 
-        data.set(this, {
-            keys: {},
-            map: new WeakMap()
+function upward(ctx, type) {
+    var _data$get2 = data.get(ctx),
+        parent = _data$get2.parent,
+        namespace = _data$get2.namespace,
+        bubble = _data$get2.bubble,
+        delimiter = _data$get2.delimiter,
+        current = _data$get2.current;
+
+    if (!parent || current === BROADCAST || !(bubble === true || (0, _some3.default)(bubble, function (pattern) {
+        return matches((0, _split3.default)(pattern, delimiter), (0, _split3.default)(type, delimiter));
+    }))) {
+        return [];
+    }
+    return [parent, namespace ? '' + namespace + delimiter + type : type];
+}
+
+function keep(ctx, type, event, args) {
+    var _data$get3 = data.get(ctx),
+        retained = _data$get3.retained;
+
+    if ((0, _has3.default)(retained, type)) {
+        var entry = retained[type];
+        entry.emissions = (0, _takeRight3.default)((0, _concat3.default)(entry.emissions, { event: event, args: args }), entry.count);
+    }
+}
+
+function replay(ctx, event, listener) {
+    var _data$get4 = data.get(ctx),
+        retained = _data$get4.retained,
+        delimiter = _data$get4.delimiter,
+        pattern = (0, _split3.default)(event, delimiter);
+
+    (0, _forEach3.default)(retained, function (_ref4, type) {
+        var emissions = _ref4.emissions;
+
+        if (type !== event && !(isPattern(event, delimiter) && matches(pattern, (0, _split3.default)(type, delimiter)))) {
+            return;
+        }
+        (0, _forEach3.default)(emissions, function (_ref5) {
+            var emitted = _ref5.event,
+                args = _ref5.args;
+
+            if (!(0, _includes3.default)(info(ctx, event).listeners, listener)) {
+                return false;
+            }
+            announce.call(ctx, type, (0, _isPlainObject3.default)(emitted) ? [createEvent(emitted)].concat(_toConsumableArray(args)) : args, listener);
         });
+    });
+}
+
+function isValidValidator(validator) {
+    return (0, _isFunction3.default)(validator) || (0, _isPlainObject3.default)(validator) || (0, _isArray3.default)(validator);
+}
+
+function conforms(schema, value) {
+    var type = schema.type,
+        required = schema.required,
+        properties = schema.properties,
+        items = schema.items,
+        pattern = schema.pattern,
+        minimum = schema.minimum,
+        maximum = schema.maximum,
+        minLength = schema.minLength,
+        maxLength = schema.maxLength;
+
+    return ((0, _isUndefined3.default)(type) || (0, _some3.default)((0, _castArray3.default)(type), function (name) {
+        return (0, _has3.default)(SCHEMA_TYPES, name) && SCHEMA_TYPES[name](value);
+    })) && ((0, _isUndefined3.default)(schema.enum) || (0, _includes3.default)(schema.enum, value)) && (!(0, _isFinite3.default)(value) || ((0, _isUndefined3.default)(minimum) || value >= minimum) && ((0, _isUndefined3.default)(maximum) || value <= maximum)) && (!(0, _isString3.default)(value) || ((0, _isUndefined3.default)(minLength) || value.length >= minLength) && ((0, _isUndefined3.default)(maxLength) || value.length <= maxLength) && ((0, _isUndefined3.default)(pattern) || ((0, _isRegExp3.default)(pattern) ? pattern : new RegExp(pattern)).test(value))) && (!(0, _isObjectLike3.default)(value) || (0, _isArray3.default)(value) || (0, _every3.default)(required, function (key) {
+        return (0, _has3.default)(value, key);
+    }) && (0, _every3.default)(properties, function (child, key) {
+        return !(0, _has3.default)(value, key) || conforms(child, value[key]);
+    })) && (!(0, _isArray3.default)(value) || (0, _isUndefined3.default)(items) || (0, _every3.default)(value, function (item) {
+        return conforms(items, item);
+    }));
+}
+
+function validate(ctx, type, args) {
+    var _data$get5 = data.get(ctx),
+        validators = _data$get5.validators,
+        strict = _data$get5.strict;
+
+    if ((0, _has3.default)(validators, type)) {
+        var validator = validators[type],
+            valid = (0, _isFunction3.default)(validator) ? validator.apply(ctx, args) : (0, _isArray3.default)(validator) ? (0, _every3.default)(validator, function (schema, index) {
+            return conforms(schema, args[index]);
+        }) : conforms(validator, args[0]);
+        if (!valid) {
+            throw new InvalidArgumentError('Arguments emitted for `' + type + '` must match its definition.', { code: 'ERR_INVALID_ARGS', event: type });
+        }
+    } else if (strict && !isBuiltIn(type)) {
+        throw new InvalidArgumentError('Event `' + type + '` must be defined before it is emitted.', { code: 'ERR_UNDEFINED_EVENT', event: type });
     }
+}
 
-    /**
-     * Registers a listener for the specified event.
-     * @function Broker#on
-     * @alias Broker#subscribe
-     * @alias Broker#addListener
-     * @param event {String} The event to subscribe to.
-     * @param callback {Function} The listener to invoke when the
-     *  specified event is emitted.
-     * @returns {Function} A method to invoke to remove the listener
-     *  from the specified event.
-     * @throws {TypeError} Parameter `event` must be a non-empty string.
-     * @throws {TypeError} Parameter `callback` must be a function.
-     * @fires Broker#listenerAdded
-     * @example
-     * // register an event handler:
-     * broker.on('my-custom-event', myEventHandler(arg1, arg2) { ... };
-     * // invoke the event handler (any any others registered):
-     * broker.emit('my-custom-event', 'arg1', 'arg2');
-     */
+function isValidCount(count) {
+    return (0, _isInteger3.default)(count) && count >= 0;
+}
 
+function detectLeak(ctx, event) {
+    var _data$get6 = data.get(ctx),
+        limits = _data$get6.limits,
+        maxListeners = _data$get6.maxListeners,
+        warned = _data$get6.warned,
+        max = (0, _has3.default)(limits, event) ? limits[event] : maxListeners,
+        count = info(ctx, event).listeners.length;
+
+    if (max === 0 || count <= max) {
+        delete warned[event];
+    } else if (!(0, _has3.default)(warned, event)) {
+        warned[event] = true;
+        ctx.emit(Broker.Events.LEAK, { event: event, count: count, max: max, stack: new Error().stack });
+    }
+}
 
-    _createClass(Broker, [{
-        key: 'on',
-        value: function on(event, callback) {
-            var _this = this;
+function isValidSignal(signal) {
+    return (0, _isUndefined3.default)(signal) || (0, _isObjectLike3.default)(signal) && (0, _isFunction3.default)(signal.addEventListener);
+}
 
-            throwIfNot(isValidEvent, event, EVENT_ERROR);
-            throwIfNot(isValidCallback, callback, CALLBACK_ERROR);
+function track(ctx, event, listener) {
+    var signal = listener.signal,
+        _data$get7 = data.get(ctx),
+        signals = _data$get7.signals,
+        entry = signals.get(signal);
+
+    if (!entry) {
+        entry = {
+            subscriptions: [],
+            abort: function abort() {
+                return (0, _forEach3.default)(entry.subscriptions, function (subscription) {
+                    return detach(ctx, subscription.event, subscription.listener);
+                });
+            }
+        };
+        signals.set(signal, entry);
+        signal.addEventListener('abort', entry.abort);
+    }
+    entry.subscriptions = (0, _concat3.default)(entry.subscriptions, { event: event, listener: listener });
+}
 
-            var _info = info(this, event);
+function release(ctx, listener) {
+    var signal = listener.signal,
+        _data$get8 = data.get(ctx),
+        signals = _data$get8.signals,
+        entry = signals.get(signal);
+
+    entry.subscriptions = (0, _reject3.default)(entry.subscriptions, function (subscription) {
+        return subscription.listener === listener;
+    });
+    if ((0, _isEmpty3.default)(entry.subscriptions)) {
+        signals.delete(signal);
+        signal.removeEventListener('abort', entry.abort);
+    }
+}
 
-            var map = _info.map;
-            var key = _info.key;
-            var listeners = _info.listeners;
+function toDetails(event, _ref6) {
+    var callback = _ref6.callback,
+        tag = _ref6.tag,
+        owner = _ref6.owner,
+        metadata = _ref6.metadata;
 
-            map.set(key, (0, _uniq3.default)((0, _concat3.default)(listeners, callback)));
-            this.fire(Broker.Events.ADDED, { event: event, callback: callback });
-            return function () {
-                return _this.off(event, callback);
-            };
+    return (0, _omitBy3.default)({ event: event, callback: callback, tag: tag, owner: owner, metadata: metadata }, _isUndefined3.default);
+}
+
+function purge(ctx, predicate) {
+    var _data$get9 = data.get(ctx),
+        map = _data$get9.map,
+        keys = _data$get9.keys;
+
+    (0, _forEach3.default)(keys, function (key, event) {
+        return (0, _forEach3.default)(map.get(key), function (listener) {
+            if (predicate(listener)) {
+                detach(ctx, event, listener);
+            }
+        });
+    });
+}
+
+function detach(ctx, event, listener) {
+    var _info = info(ctx, event),
+        key = _info.key,
+        map = _info.map,
+        listeners = _info.listeners,
+        updated = (0, _reject3.default)(listeners, function (item) {
+        return item === listener;
+    });
+
+    if (listeners.length !== updated.length) {
+        if ((0, _isEmpty3.default)(updated)) {
+            map.delete(key);
+        } else {
+            map.set(key, updated);
+        }
+        if (listener.signal) {
+            release(ctx, listener);
+        }
+        if (listener.limiter) {
+            listener.limiter.cancel();
+        }
+        ctx.fire(Broker.Events.REMOVED, toDetails(event, listener));
+        detectLeak(ctx, event);
+    }
+}
+
+function toPayload(args) {
+    return args.length > 1 ? args : args[0];
+}
+
+function toObserver(next, error, complete) {
+    return (0, _isFunction3.default)(next) ? { next: next, error: error, complete: complete } : next || {};
+}
+
+function observableKey() {
+    return (0, _isFunction3.default)(Symbol) && Symbol.observable || '@@observable';
+}
+
+function info(ctx, event) {
+    var _data$get10 = data.get(ctx),
+        map = _data$get10.map,
+        keys = _data$get10.keys,
+        key = keys[event] = keys[event] || {};
+
+    return { map: map, key: key, listeners: map.get(key) || [] };
+}
+
+function admit(ctx, event, args, listener) {
+    var predicate = listener.predicate,
+        remaining = listener.remaining;
+
+    if (predicate) {
+        var passed = (0, _attempt3.default)(function () {
+            return predicate.apply(ctx, args);
+        });
+        if ((0, _isError3.default)(passed)) {
+            report(ctx, { event: event, callback: listener.callback, error: passed, args: args });
+            return false;
+        }
+        if (!passed) {
+            return false;
+        }
+    }
+    if (!(0, _isUndefined3.default)(remaining) && --listener.remaining <= 0) {
+        detach(ctx, listener.event, listener);
+    }
+    return true;
+}
+
+function isValidScheduler(scheduler) {
+    return (0, _isObjectLike3.default)(scheduler) && (0, _every3.default)(['setTimeout', 'clearTimeout'], function (method) {
+        return (0, _isFunction3.default)(scheduler[method]);
+    });
+}
+
+function toArgs(items, batched) {
+    return batched ? [items.map(function (_ref7) {
+        var args = _ref7.args;
+        return args;
+    })] : items[0].args;
+}
+
+function toTiming(name, value, defaults) {
+    var timing = (0, _isPlainObject3.default)(value) ? (0, _assign6.default)({}, defaults, value) : (0, _assign6.default)({}, defaults, { wait: value });
+    throwIfNot(function (_ref8) {
+        var wait = _ref8.wait;
+        return (0, _isFinite3.default)(wait) && wait >= 0;
+    }, timing, 'Option `' + name + '` must be a non-negative number or an object with a `wait` property.');
+    return timing;
+}
+
+function createLimiter(ctx, _ref9, deliver) {
+    var throttle = _ref9.throttle,
+        debounce = _ref9.debounce,
+        batch = _ref9.batch;
+
+    var given = (0, _reject3.default)([throttle, debounce, batch], _isUndefined3.default);
+    if ((0, _isEmpty3.default)(given)) {
+        return undefined;
+    }
+    throwIfNot(function (count) {
+        return count === 1;
+    }, given.length, RATE_ERROR);
+
+    var _data$get11 = data.get(ctx),
+        scheduler = _data$get11.scheduler,
+        timer = null,
+        pending = [],
+        schedule = function schedule(fn, wait) {
+        scheduler.clearTimeout(timer);
+        timer = scheduler.setTimeout(fn, wait);
+    },
+        release = function release() {
+        var items = pending;
+        pending = [];
+        if (!(0, _isEmpty3.default)(items)) {
+            deliver(items);
+        }
+    },
+        limiter = {
+        cancel: function cancel() {
+            scheduler.clearTimeout(timer);
+            timer = null;
+            pending = [];
+        }
+    };
+
+    if (!(0, _isUndefined3.default)(throttle)) {
+        var _toTiming = toTiming('throttle', throttle, { leading: true, trailing: true }),
+            wait = _toTiming.wait,
+            leading = _toTiming.leading,
+            trailing = _toTiming.trailing,
+            _flush = function _flush() {
+            timer = null;
+            if (trailing && !(0, _isEmpty3.default)(pending)) {
+                release();
+                schedule(_flush, wait);
+            }
+            pending = [];
+        };
+
+        limiter.push = function (item) {
+            pending = [item];
+            if ((0, _isNull3.default)(timer)) {
+                if (leading) {
+                    release();
+                }
+                schedule(_flush, wait);
+            }
+        };
+    } else if (!(0, _isUndefined3.default)(debounce)) {
+        var _toTiming2 = toTiming('debounce', debounce, { leading: false, trailing: true }),
+            _wait = _toTiming2.wait,
+            _leading = _toTiming2.leading,
+            _trailing = _toTiming2.trailing,
+            _flush2 = function _flush2() {
+            timer = null;
+            if (_trailing) {
+                release();
+            }
+            pending = [];
+        };
+
+        limiter.push = function (item) {
+            var immediate = _leading && (0, _isNull3.default)(timer);
+            pending = [item];
+            schedule(_flush2, _wait);
+            if (immediate) {
+                release();
+            }
+        };
+    } else {
+        var _toTiming3 = toTiming('batch', batch, { size: Infinity }),
+            _wait2 = _toTiming3.wait,
+            size = _toTiming3.size,
+            _flush3 = function _flush3() {
+            scheduler.clearTimeout(timer);
+            timer = null;
+            release();
+        };
+
+        limiter.push = function (item) {
+            pending.push(item);
+            if (pending.length >= size) {
+                _flush3();
+            } else if ((0, _isNull3.default)(timer)) {
+                schedule(_flush3, _wait2);
+            }
+        };
+    }
+    return limiter;
+}
+
+function isValidDispatch(mode) {
+    return mode === 'sync' || mode === 'microtask' || (0, _isFunction3.default)(mode);
+}
+
+function hold(ctx, event, args, marker) {
+    var defer = arguments.length > 4 && arguments[4] !== undefined ? arguments[4] : data.get(ctx).dispatch !== 'sync';
+
+    var state = data.get(ctx),
+        type = (0, _isPlainObject3.default)(event) ? event.type : event,
+        limiter = state.rates[type];
+    if (state.releasing) {
+        state.releasing = false;
+        return false;
+    }
+    if (limiter || defer) {
+        // held emissions are validated now, while the caller can still catch
+        throwIfNot(isValidEvent, type, EVENT_ERROR, InvalidEventError);
+        validate(ctx, type, args);
+    }
+    if (limiter) {
+        limiter.push({ event: event, args: args, marker: marker });
+        return true;
+    }
+    if (defer) {
+        state.queue.push({ event: event, args: args, marker: marker });
+        schedule(ctx);
+        return true;
+    }
+    return false;
+}
+
+function schedule(ctx) {
+    var state = data.get(ctx),
+        drain = function drain() {
+        var failures = [];
+        _flush4(ctx, failures);
+        // nothing awaits a scheduled drain, so surface failures like a timer would
+        (0, _forEach3.default)(failures, function (error) {
+            return setTimeout(function () {
+                throw error;
+            });
+        });
+    };
+    if (state.scheduled || state.draining || (0, _isEmpty3.default)(state.queue)) {
+        return;
+    }
+    state.scheduled = true;
+    if ((0, _isFunction3.default)(state.dispatch)) {
+        state.dispatch(drain);
+    } else {
+        Promise.resolve().then(drain);
+    }
+}
+
+function resume(ctx, event, args, marker) {
+    var state = data.get(ctx);
+    state.releasing = true;
+    try {
+        return mark(ctx, marker, function () {
+            return ctx.emit.apply(ctx, [event].concat(_toConsumableArray(args)));
+        });
+    } finally {
+        // the emission may throw before `hold` consumes the flag
+        state.releasing = false;
+    }
+}
+
+function _flush4(ctx, failures) {
+    var state = data.get(ctx);
+    state.scheduled = false;
+    if (state.draining) {
+        return;
+    }
+    state.draining = true;
+    try {
+        while (!(0, _isEmpty3.default)(state.queue)) {
+            var _state$queue$shift = state.queue.shift(),
+                event = _state$queue$shift.event,
+                args = _state$queue$shift.args,
+                marker = _state$queue$shift.marker,
+                type = (0, _isPlainObject3.default)(event) ? event.type : event;
+
+            try {
+                resume(ctx, event, args, marker);
+            } catch (error) {
+                // an unhandled `error` emission did not come from an `error` listener
+                if (type === Broker.Events.ERROR) {
+                    failures.push(error);
+                } else {
+                    report(ctx, { event: type, error: error, args: args }, failures);
+                }
+            }
+        }
+    } finally {
+        state.draining = false;
+        schedule(ctx);
+    }
+}
+
+function isPattern(event, delimiter) {
+    return (0, _some3.default)((0, _split3.default)(event, delimiter), function (segment) {
+        return segment === '*' || segment === '**';
+    });
+}
+
+function matches(pattern, parts) {
+    if ((0, _isEmpty3.default)(pattern)) {
+        return (0, _isEmpty3.default)(parts);
+    }
+
+    var _pattern = _toArray(pattern),
+        segment = _pattern[0],
+        rest = _pattern.slice(1);
+
+    if (segment === '**') {
+        return matches(rest, parts) || !(0, _isEmpty3.default)(parts) && matches(pattern, (0, _tail3.default)(parts));
+    }
+    return !(0, _isEmpty3.default)(parts) && (segment === '*' || segment === parts[0]) && matches(rest, (0, _tail3.default)(parts));
+}
+
+function isBuiltIn(event) {
+    return (0, _includes3.default)((0, _values3.default)(Broker.Events), event);
+}
+
+function subscribers(ctx, event) {
+    var _data$get12 = data.get(ctx),
+        map = _data$get12.map,
+        keys = _data$get12.keys,
+        delimiter = _data$get12.delimiter,
+        parts = (0, _split3.default)(event, delimiter),
+        exact = isBuiltIn(event);
+
+    return (0, _orderBy3.default)((0, _flatMap3.default)(keys, function (key, name) {
+        return name === event || !exact && isPattern(name, delimiter) && matches((0, _split3.default)(name, delimiter), parts) ? map.get(key) || [] : [];
+    }), ['priority', 'order'], ['desc', 'asc']);
+}
+
+/**
+ * Provides pub/sub functionality to Cycle.js applications.
+ * @class Broker
+ * @example
+ * var broker = require('cycle-events')(); // create instance
+ * var off = broker.on('my-custom-event', // register handler
+ *   function myCallback(arg1, arg2) { ... }
+ * );
+ * broker.emit('my-custom-event', 'arg1', 'arg2'); // fire event
+ * off(); // remove the event handler
+ * @example
+ * // listen to hierarchical events using wildcards:
+ * var broker = new Broker({delimiter: '.'});
+ * broker.on('cart.*', function() { ... }); // cart.checkout
+ * broker.on('cart.**', function() { ... }); // cart, cart.item.added
+ * broker.on('**', function() { ... }); // every event
+ * @example
+ * // add pub/sub functionality to a class and
+ * // automatically log any errors caused by
+ * // subscribers of the class:
+ * function MyClass() {
+ *   Broker.call(this); // mixin pub/sub
+ *   Rx.Observable.fromEvent(this, 'error')
+ *     .subscribe(logger.error);
+ * }
+ *
+ * // now use the class:
+ * var myClass = new MyClass();
+ * myClass.on('some-custom-event', function() {
+ *   methodDoesNotExist(); // error logged automatically
+ * });
+ */
+
+var Broker = exports.Broker = function () {
+
+    /**
+     * @param [options] {Object} Optional settings for the broker.
+     * @param [options.delimiter=':'] {String} The string separating
+     *  the segments of hierarchical event names. Event segments of `*`
+     *  match exactly 1 segment; segments of `**` match 0 or more segments.
+     * @param [options.strict=false] {Boolean} Whether to throw if an event
+     *  is emitted without being declared using [define]{@link Broker#define}.
+     *  Built-in [Events]{@link Broker.Events} can always be emitted.
+     * @param [options.maxListeners=0] {Number} The number of listeners an
+     *  event can have before the [maxListenersExceeded]{@link event:Broker#maxListenersExceeded}
+     *  event is emitted. Use 0 for no limit.
+     * @param [options.onError='report'] {String|Function} How exceptions
+     *  thrown by listeners are handled:
+     *  - `'report'` emits the [error]{@link event:Broker#error} event.
+     *  - `'throw'` invokes the remaining listeners and then throws an
+     *    `AggregateError` of every exception; promises returned by
+     *    [emitAsync]{@link Broker#emitAsync} and [emitSerial]{@link Broker#emitSerial}
+     *    are rejected with it instead.
+     *  - `'throwIfUnhandled'` behaves like `'report'` if the `error` event
+     *    has listeners, or like `'throw'` if it does not.
+     *  - A function is invoked with the `error` event payload instead of
+     *    emitting the event.
+     * @param [options.scheduler] {Object} The timers used for
+     *  [rate control]{@link Broker#rateLimit}, with `setTimeout` and
+     *  `clearTimeout` methods. Defaults to the global timers; tests can
+     *  provide a virtual scheduler instead.
+     * @param [options.dispatch='sync'] {String|Function} When listeners are
+     *  invoked. `'sync'` invokes them before [emit]{@link Broker#emit} returns.
+     *  `'microtask'` [defers]{@link Broker#defer} every emission to a queue
+     *  that is drained in a microtask, so emissions made by listeners run
+     *  after the current emission completes. A function is used as the
+     *  scheduler instead: it is invoked with a method that drains the queue.
+     *  Arguments are validated before an emission is queued. Exceptions
+     *  thrown while draining are handled according to the `onError` option;
+     *  if it throws, they are rethrown asynchronously.
+     * @throws {InvalidArgumentError} Option `maxListeners` must be a non-negative integer.
+     * @throws {InvalidArgumentError} Option `dispatch` must be 'sync', 'microtask'
+     *  or a function.
+     * @throws {InvalidArgumentError} Option `scheduler` must have `setTimeout` and
+     *  `clearTimeout` methods.
+     * @throws {InvalidArgumentError} Option `onError` must be 'report', 'throw',
+     *  'throwIfUnhandled' or a function.
+     * @example
+     * // surface listener failures in tests:
+     * var broker = new Broker({onError: 'throw'});
+     * @example
+     * // drain emissions once per animation frame:
+     * var broker = new Broker({dispatch: requestAnimationFrame});
+     * @example
+     * var broker = new Broker({
+     *   onError: function(data) {
+     *     telemetry.track(data.event, data.error);
+     *   }
+     * });
+     */
+    function Broker() {
+        var _ref10 = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : {},
+            _ref10$delimiter = _ref10.delimiter,
+            delimiter = _ref10$delimiter === undefined ? ':' : _ref10$delimiter,
+            _ref10$strict = _ref10.strict,
+            strict = _ref10$strict === undefined ? false : _ref10$strict,
+            _ref10$maxListeners = _ref10.maxListeners,
+            maxListeners = _ref10$maxListeners === undefined ? 0 : _ref10$maxListeners,
+            _ref10$onError = _ref10.onError,
+            onError = _ref10$onError === undefined ? 'report' : _ref10$onError,
+            _ref10$scheduler = _ref10.scheduler,
+            scheduler = _ref10$scheduler === undefined ? SCHEDULER : _ref10$scheduler,
+            _ref10$dispatch = _ref10.dispatch,
+            dispatch = _ref10$dispatch === undefined ? 'sync' : _ref10$dispatch;
+
+        _classCallCheck(this, Broker);
+
+        throwIfNot(isValidCount, maxListeners, MAX_LISTENERS_ERROR);
+        throwIfNot(isValidDispatch, dispatch, DISPATCH_ERROR);
+        throwIfNot(isValidPolicy, onError, ON_ERROR_ERROR);
+        throwIfNot(isValidScheduler, scheduler, SCHEDULER_ERROR);
+        data.set(this, {
+            keys: {},
+            map: new WeakMap(),
+            delimiter: delimiter,
+            first: 0,
+            last: 0,
+            handlers: {},
+            retained: {},
+            validators: {},
+            middleware: [],
+            strict: strict,
+            maxListeners: maxListeners,
+            limits: {},
+            warned: {},
+            duplicates: false,
+            wrappers: new WeakMap(),
+            signals: new WeakMap(),
+            parent: null,
+            namespace: undefined,
+            bubble: false,
+            marker: undefined,
+            current: undefined,
+            children: [],
+            onError: onError,
+            failures: undefined,
+            scheduler: scheduler,
+            rates: {},
+            releasing: false,
+            dispatch: dispatch,
+            queue: [],
+            scheduled: false,
+            draining: false
+        });
+    }
+
+    /**
+     * Registers a listener for the specified event. The event can be
+     * a wildcard pattern such as `'cart:*'` or `'**'`, in which case
+     * the listener will be invoked for every matching event except the
+     * built-in [Events]{@link Broker.Events}, which only invoke listeners
+     * registered for their exact names. If the event
+     * has been marked as sticky using [retain]{@link Broker#retain}, the
+     * listener will be invoked immediately with any retained emissions.
+     * @function Broker#on
+     * @alias Broker#subscribe
+     * @alias Broker#addListener
+     * @param event {String} The event or wildcard pattern to subscribe to.
+     * @param callback {Function} The listener to invoke when the
+     *  specified event is emitted.
+     * @param [options] {Object} Optional settings for the listener.
+     * @param [options.priority=0] {Number} Listeners with a higher priority
+     *  are invoked before listeners with a lower priority. Listeners with
+     *  the same priority are invoked in the order they were registered.
+     * @param [options.prepend=false] {Boolean} Whether to invoke the listener
+     *  before any previously registered listeners with the same priority.
+     * @param [options.signal] {AbortSignal} A signal that removes the listener
+     *  when aborted. If the signal has already been aborted, the listener
+     *  will not be registered.
+     * @param [options.throttle] {Number|Object} Limits how often the
+     *  listener is invoked. See [rateLimit]{@link Broker#rateLimit}.
+     * @param [options.debounce] {Number|Object} Delays the listener until
+     *  emissions pause. See [rateLimit]{@link Broker#rateLimit}.
+     * @param [options.batch] {Number|Object} Collects emissions and invokes
+     *  the listener with an array of them. See [rateLimit]{@link Broker#rateLimit}.
+     * @param [options.context] {*} The value of `this` when the listener is
+     *  invoked. Defaults to the broker.
+     * @param [options.withEvent=false] {Boolean} Whether to pass the name of
+     *  the emitted event to the listener before the emitted arguments.
+     *  Useful for listeners registered for wildcard patterns.
+     * @param [options.tag] {*} An identifier used to remove related listeners
+     *  with [offByTag]{@link Broker#offByTag}.
+     * @param [options.owner] {*} The component that registered the listener,
+     *  used to remove its listeners with [offByOwner]{@link Broker#offByOwner}.
+     * @param [options.metadata] {*} Arbitrary data describing the listener.
+     *  The `tag`, `owner` and `metadata` options are included in the
+     *  [listenerAdded]{@link event:Broker#listenerAdded} and
+     *  [listenerRemoved]{@link event:Broker#listenerRemoved} payloads.
+     * @returns {Function} A method to invoke to remove the listener
+     *  from the specified event.
+     * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+     * @throws {InvalidCallbackError} Parameter `callback` must be a function.
+     * @throws {InvalidArgumentError} Option `priority` must be a finite number.
+     * @throws {InvalidArgumentError} Option `signal` must be an AbortSignal.
+     * @throws {InvalidArgumentError} Only 1 of the `throttle`, `debounce` and
+     *  `batch` options can be used.
+     * @fires Broker#listenerAdded
+     * @example
+     * // register an event handler:
+     * broker.on('my-custom-event', myEventHandler(arg1, arg2) { ... };
+     * // invoke the event handler (any any others registered):
+     * broker.emit('my-custom-event', 'arg1', 'arg2');
+     * @example
+     * // ensure a handler runs before other handlers:
+     * broker.on('navigate', checkPermissions, {priority: 10});
+     * @example
+     * // remove several handlers at once:
+     * var controller = new AbortController();
+     * broker.on('user:login', onLogin, {signal: controller.signal});
+     * broker.on('user:logout', onLogout, {signal: controller.signal});
+     * controller.abort(); // both handlers removed
+     * @example
+     * // re-render at most once per animation frame:
+     * broker.on('window:resize', render, {throttle: 16});
+     * @example
+     * // log every event:
+     * broker.on('**', function(event, ...args) {
+     *   log(event, args);
+     * }, {withEvent: true});
+     * @example
+     * // invoke a method of a component:
+     * broker.on('cart:changed', this.update, {context: this, owner: this});
+     * // ... later, when the component is destroyed:
+     * broker.offByOwner(this);
+     */
+
+
+    _createClass(Broker, [{
+        key: 'on',
+        value: function on(event, callback) {
+            var _this3 = this;
+
+            var options = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : {};
+            var _options$priority = options.priority,
+                priority = _options$priority === undefined ? 0 : _options$priority,
+                _options$prepend = options.prepend,
+                prepend = _options$prepend === undefined ? false : _options$prepend,
+                signal = options.signal,
+                context = options.context,
+                _options$withEvent = options.withEvent,
+                withEvent = _options$withEvent === undefined ? false : _options$withEvent,
+                tag = options.tag,
+                owner = options.owner,
+                metadata = options.metadata,
+                limits = options[LIMITS];
+
+            throwIfNot(isValidEvent, event, EVENT_ERROR, InvalidEventError);
+            throwIfNot(isValidCallback, callback, CALLBACK_ERROR, InvalidCallbackError);
+            throwIfNot(_isFinite3.default, priority, PRIORITY_ERROR);
+            throwIfNot(isValidSignal, signal, SIGNAL_ERROR);
+            var limiter = createLimiter(this, options, function (items) {
+                var _items = items[items.length - 1],
+                    type = _items.event,
+                    index = _items.index;
+
+                invoke.call(_this3, type, toArgs(items, !(0, _isUndefined3.default)(options.batch)), listener, index);
+            });
+            if (signal && signal.aborted) {
+                return function () {};
+            }
+
+            var _info2 = info(this, event),
+                map = _info2.map,
+                key = _info2.key,
+                listeners = _info2.listeners,
+                state = data.get(this),
+                listener = (state.duplicates || !(0, _find3.default)(listeners, { callback: callback })) && (0, _assign6.default)({
+                callback: callback,
+                priority: priority,
+                order: prepend ? --state.first : ++state.last,
+                signal: signal,
+                limiter: limiter,
+                context: context,
+                withEvent: withEvent,
+                tag: tag,
+                owner: owner,
+                metadata: metadata
+            }, limits && (0, _assign6.default)({ event: event }, limits));
+
+            if (listener) {
+                map.set(key, (0, _concat3.default)(listeners, listener));
+                if (signal) {
+                    track(this, event, listener);
+                }
+            }
+            this.fire(Broker.Events.ADDED, toDetails(event, { callback: callback, tag: tag, owner: owner, metadata: metadata }));
+            if (listener) {
+                detectLeak(this, event);
+                replay(this, event, listener);
+            }
+            return function () {
+                return _this3.off(event, callback);
+            };
+        }
+
+        /**
+         * Registers a listener for the specified event, but ensures the
+         * listener will only be fired at most 1 time. The listener is removed
+         * just before it is invoked, and can also be removed beforehand by
+         * passing it to [off]{@link Broker#off}.
+         * @function Broker#one
+         * @param event {String} The event to subscribe to.
+         * @param callback {Function} The listener to invoke when the
+         *  specified event is emitted.
+         * @param [options] {Object} Optional settings for the listener. See
+         *  [on]{@link Broker#on} for details.
+         * @returns {Function} A method to invoke to remove the listener
+         *  from the specified event.
+         * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+         * @throws {InvalidCallbackError} Parameter `callback` must be a function.
+         * @throws {InvalidArgumentError} Option `priority` must be a finite number.
+         * @fires Broker#listenerAdded
+         * @example
+         * // register a handler to only run once:
+         * broker.one('my-custom-event', myEventHandler(arg1, arg2) { ... };
+         * // the handler will be removed after being invoked:
+         * broker.emit('my-custom-event', 'arg1', 'arg2');
+         */
+
+    }, {
+        key: 'one',
+        value: function one(event, callback, options) {
+            return this.on(event, callback, (0, _assign6.default)(_defineProperty({}, LIMITS, { remaining: 1 }), options));
+        }
+
+        /**
+         * Registers a listener for the specified event that will be fired at
+         * most the specified number of times, after which it will automatically
+         * be removed.
+         * @function Broker#many
+         * @param event {String} The event to subscribe to.
+         * @param count {Number} The number of times the listener can be invoked.
+         * @param callback {Function} The listener to invoke when the
+         *  specified event is emitted.
+         * @param [options] {Object} Optional settings for the listener. See
+         *  [on]{@link Broker#on} for details.
+         * @returns {Function} A method to invoke to remove the listener
+         *  from the specified event.
+         * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+         * @throws {InvalidArgumentError} Parameter `count` must be a positive integer.
+         * @throws {InvalidCallbackError} Parameter `callback` must be a function.
+         * @fires Broker#listenerAdded
+         * @example
+         * broker.many('retry', 3, function attempt() { ... });
+         */
+
+    }, {
+        key: 'many',
+        value: function many(event, count, callback, options) {
+            throwIfNot(function (value) {
+                return (0, _isInteger3.default)(value) && value > 0;
+            }, count, TIMES_ERROR);
+            return this.on(event, callback, (0, _assign6.default)(_defineProperty({}, LIMITS, { remaining: count }), options));
+        }
+
+        /**
+         * Registers a listener for the specified event that will be fired at
+         * most 1 time. If a predicate is provided, the listener is fired--and
+         * removed--on the first emission whose arguments satisfy the predicate;
+         * otherwise, this method behaves the same as [one]{@link Broker#one}.
+         * If the predicate throws, the [error]{@link event:Broker#error} event
+         * is emitted and the listener is not invoked.
+         * @function Broker#once
+         * @param event {String} The event to subscribe to.
+         * @param [predicate] {Function} Invoked with the emitted arguments;
+         *  should return `true` if the listener should be invoked.
+         * @param callback {Function} The listener to invoke when the
+         *  specified event is emitted.
+         * @param [options] {Object} Optional settings for the listener. See
+         *  [on]{@link Broker#on} for details.
+         * @returns {Function} A method to invoke to remove the listener
+         *  from the specified event.
+         * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+         * @throws {InvalidArgumentError} Parameter `predicate` must be a function.
+         * @throws {InvalidCallbackError} Parameter `callback` must be a function.
+         * @fires Broker#listenerAdded
+         * @example
+         * broker.once('download:progress', function(percent) {
+         *   return percent >= 50;
+         * }, function halfway() { ... });
+         */
+
+    }, {
+        key: 'once',
+        value: function once(event, predicate, callback, options) {
+            if (!(0, _isFunction3.default)(callback)) {
+                return this.one(event, predicate, callback);
+            }
+            throwIfNot(_isFunction3.default, predicate, PREDICATE_ERROR);
+            return this.on(event, callback, (0, _assign6.default)(_defineProperty({}, LIMITS, { remaining: 1, predicate: predicate }), options));
+        }
+
+        /**
+         * Removes the specified listener for the specified event.
+         * @function Broker#off
+         * @alias Broker#unsubscribe
+         * @alias Broker#removeListener
+         * @param event {String} The event or wildcard pattern whose
+         *  listener should be removed.
+         * @param callback {Function} The listener to remove.
+         * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+         * @throws {InvalidCallbackError} Parameter `callback` must be a function.
+         * @fires Broker#listenerRemoved
+         * @example
+         * function myHandler() { ... }
+         * broker.on('my-custom-event', myHandler);
+         * broker.off('my-custom-event', myHandler);
+         */
+
+    }, {
+        key: 'off',
+        value: function off(event, callback) {
+            throwIfNot(isValidEvent, event, EVENT_ERROR, InvalidEventError);
+            throwIfNot(isValidCallback, callback, CALLBACK_ERROR, InvalidCallbackError);
+
+            var _info3 = info(this, event),
+                listeners = _info3.listeners,
+                index = (0, _findLastIndex3.default)(listeners, { callback: callback });
+
+            if (index !== -1) {
+                detach(this, event, listeners[index]);
+            }
+        }
+
+        /**
+         * Removes all listeners registered for the specified event.
+         * @function Broker#removeAllListeners
+         * @param event {String} The event whose listeners should
+         *  all be removed.
+         * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+         * @throws {InvalidCallbackError} Parameter `callback` must be a function.
+         * @fires Broker#listenerRemoved
+         * @example
+         * broker.on('custom-event', function myHandler1() { ... });
+         * broker.on('custom-event', function myHandler2() { ... });
+         * broker.emit('custom-event'); // both handlers invoked
+         * broker.removeAllListeners('custom-event');
+         * broker.emit('custom-event'); // no handlers invoked
+         */
+
+    }, {
+        key: 'removeAllListeners',
+        value: function removeAllListeners(event) {
+            var _this4 = this;
+
+            throwIfNot(isValidEvent, event, EVENT_ERROR, InvalidEventError);
+
+            var _info4 = info(this, event),
+                listeners = _info4.listeners;
+
+            (0, _forEach3.default)(listeners, function (_ref11) {
+                var callback = _ref11.callback;
+                return _this4.off(event, callback);
+            });
+        }
+
+        /**
+         * Removes every listener registered with the specified `owner` option,
+         * for any event or wildcard pattern.
+         * @function Broker#offByOwner
+         * @param owner {*} The owner whose listeners should be removed.
+         * @throws {InvalidArgumentError} Parameter `owner` must not be undefined.
+         * @fires Broker#listenerRemoved
+         * @example
+         * broker.on('user:login', onLogin, {owner: widget});
+         * broker.on('user:logout', onLogout, {owner: widget});
+         * broker.offByOwner(widget); // both listeners removed
+         */
+
+    }, {
+        key: 'offByOwner',
+        value: function offByOwner(owner) {
+            throwIfNot(function (value) {
+                return !(0, _isUndefined3.default)(value);
+            }, owner, OWNER_ERROR);
+            purge(this, function (listener) {
+                return listener.owner === owner;
+            });
+        }
+
+        /**
+         * Removes every listener registered with the specified `tag` option,
+         * for any event or wildcard pattern.
+         * @function Broker#offByTag
+         * @param tag {*} The tag whose listeners should be removed.
+         * @throws {InvalidArgumentError} Parameter `tag` must not be undefined.
+         * @fires Broker#listenerRemoved
+         * @example
+         * broker.on('socket:message', onMessage, {tag: 'realtime'});
+         * broker.on('socket:close', onClose, {tag: 'realtime'});
+         * broker.offByTag('realtime'); // both listeners removed
+         */
+
+    }, {
+        key: 'offByTag',
+        value: function offByTag(tag) {
+            throwIfNot(function (value) {
+                return !(0, _isUndefined3.default)(value);
+            }, tag, TAG_ERROR);
+            purge(this, function (listener) {
+                return listener.tag === tag;
+            });
+        }
+
+        /**
+         * Returns a copy of the listeners that would be invoked if the specified
+         * event were emitted, in the order they would be invoked. This includes
+         * listeners registered for wildcard patterns matching the event.
+         * @function Broker#listeners
+         * @param event {String} The event whose listeners should be returned.
+         * @returns {Function[]} The listeners for the specified event.
+         * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+         * @example
+         * broker.on('event', function second() { ... });
+         * broker.on('event', function first() { ... }, {prepend: true});
+         * broker.listeners('event'); // [first, second]
+         */
+
+    }, {
+        key: 'listeners',
+        value: function listeners(event) {
+            throwIfNot(isValidEvent, event, EVENT_ERROR, InvalidEventError);
+            return subscribers(this, event).map(function (_ref12) {
+                var callback = _ref12.callback;
+                return callback;
+            });
+        }
+
+        /**
+         * Returns the number of listeners that would be invoked if the specified
+         * event were emitted.
+         * @function Broker#listenerCount
+         * @param event {String} The event whose listeners should be counted.
+         * @returns {Number} The number of listeners for the specified event.
+         * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+         * @example
+         * broker.on('event', function() { ... });
+         * broker.on('*', function() { ... });
+         * broker.listenerCount('event'); // 2
+         */
+
+    }, {
+        key: 'listenerCount',
+        value: function listenerCount(event) {
+            throwIfNot(isValidEvent, event, EVENT_ERROR, InvalidEventError);
+            return subscribers(this, event).length;
+        }
+
+        /**
+         * Returns whether any listeners would be invoked if the specified
+         * event were emitted.
+         * @function Broker#hasListeners
+         * @param event {String} The event whose listeners should be checked.
+         * @returns {Boolean} Whether the specified event has listeners.
+         * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+         * @example
+         * if (broker.hasListeners('expensive-event')) {
+         *   broker.emit('expensive-event', computePayload());
+         * }
+         */
+
+    }, {
+        key: 'hasListeners',
+        value: function hasListeners(event) {
+            return this.listenerCount(event) > 0;
+        }
+
+        /**
+         * Sets the number of listeners an event can have before the
+         * [maxListenersExceeded]{@link event:Broker#maxListenersExceeded}
+         * event is emitted. The event is emitted once each time the limit is
+         * exceeded; removing listeners until the limit is no longer exceeded
+         * allows it to be emitted again.
+         * @function Broker#setMaxListeners
+         * @param count {Number} The maximum number of listeners. Use 0 for no limit.
+         * @param [event] {String} The event whose limit should be set. If not
+         *  provided, sets the limit for all events without their own limit.
+         * @throws {InvalidArgumentError} Parameter `count` must be a non-negative integer.
+         * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+         * @example
+         * broker.setMaxListeners(20); // default for all events
+         * broker.setMaxListeners(100, 'window:resize');
+         */
+
+    }, {
+        key: 'setMaxListeners',
+        value: function setMaxListeners(count, event) {
+            throwIfNot(isValidCount, count, COUNT_ERROR);
+            var state = data.get(this);
+            if ((0, _isUndefined3.default)(event)) {
+                state.maxListeners = count;
+            } else {
+                throwIfNot(isValidEvent, event, EVENT_ERROR, InvalidEventError);
+                state.limits[event] = count;
+            }
+        }
+
+        /**
+         * Returns the number of listeners an event can have before the
+         * [maxListenersExceeded]{@link event:Broker#maxListenersExceeded}
+         * event is emitted.
+         * @function Broker#getMaxListeners
+         * @param [event] {String} The event whose limit should be returned. If
+         *  not provided, returns the limit for events without their own limit.
+         * @returns {Number} The maximum number of listeners, or 0 for no limit.
+         * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+         */
+
+    }, {
+        key: 'getMaxListeners',
+        value: function getMaxListeners(event) {
+            var _data$get13 = data.get(this),
+                limits = _data$get13.limits,
+                maxListeners = _data$get13.maxListeners;
+
+            if ((0, _isUndefined3.default)(event)) {
+                return maxListeners;
+            }
+            throwIfNot(isValidEvent, event, EVENT_ERROR, InvalidEventError);
+            return (0, _has3.default)(limits, event) ? limits[event] : maxListeners;
+        }
+
+        /**
+         * Controls the rate at which the specified event is emitted using
+         * [emit]{@link Broker#emit}; emissions held back by the limit are
+         * emitted later using the broker's `scheduler`. The same options can
+         * be passed to [on]{@link Broker#on} to control the rate at which a
+         * single listener is invoked; pending invocations are discarded when
+         * the listener is removed.
+         * @function Broker#rateLimit
+         * @param event {String} The event whose emissions should be limited.
+         * @param options {Object} The limit to apply. Only 1 option can be used;
+         *  passing none removes the current limit. Each option can be a number
+         *  of milliseconds or an object with a `wait` property.
+         * @param [options.throttle] {Number|Object} Emits at most once per
+         *  `wait` milliseconds. Set `leading` to `false` to skip the emission
+         *  at the start of each window, or `trailing` to `false` to skip the
+         *  most recent emission at the end of each window.
+         * @param [options.debounce] {Number|Object} Emits only after `wait`
+         *  milliseconds pass without an emission. Set `leading` to `true` to
+         *  also emit at the start of each burst, or `trailing` to `false` to
+         *  skip the emission at the end of each burst.
+         * @param [options.batch] {Number|Object} Collects emissions for `wait`
+         *  milliseconds--or until `size` emissions have been collected--and
+         *  emits a single array of their argument arrays.
+         * @returns {Function} A method to invoke to remove the limit. Pending
+         *  emissions are discarded.
+         * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+         * @throws {InvalidArgumentError} Only 1 of the `throttle`, `debounce` and
+         *  `batch` options can be used.
+         * @example
+         * broker.rateLimit('editor:change', {debounce: 300});
+         * @example
+         * broker.rateLimit('log:entry', {batch: {wait: 1000, size: 50}});
+         * broker.on('log:entry', function(entries) {
+         *   upload(entries); // [[entry1], [entry2], ...]
+         * });
+         */
+
+    }, {
+        key: 'rateLimit',
+        value: function rateLimit(event) {
+            var _this5 = this;
+
+            var options = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : {};
+
+            throwIfNot(isValidEvent, event, EVENT_ERROR, InvalidEventError);
+            var state = data.get(this),
+                limiter = createLimiter(this, options, function (items) {
+                var _items2 = items[items.length - 1],
+                    emitted = _items2.event,
+                    marker = _items2.marker;
+
+                resume(_this5, emitted, toArgs(items, !(0, _isUndefined3.default)(options.batch)), marker);
+            });
+            if (state.rates[event]) {
+                state.rates[event].cancel();
+                delete state.rates[event];
+            }
+            if (limiter) {
+                state.rates[event] = limiter;
+            }
+            return function () {
+                if (limiter && state.rates[event] === limiter) {
+                    limiter.cancel();
+                    delete state.rates[event];
+                }
+            };
+        }
+
+        /**
+         * Returns the events and wildcard patterns that currently have
+         * registered listeners, in the order they were first registered.
+         * @function Broker#eventNames
+         * @returns {String[]} The events that have registered listeners.
+         * @example
+         * broker.on('cart:*', function() { ... });
+         * broker.on('user:login', function() { ... });
+         * broker.eventNames(); // ['cart:*', 'user:login']
+         */
+
+    }, {
+        key: 'eventNames',
+        value: function eventNames() {
+            var _data$get14 = data.get(this),
+                map = _data$get14.map,
+                keys = _data$get14.keys;
+
+            return (0, _flatMap3.default)(keys, function (key, name) {
+                return map.has(key) ? [name] : [];
+            });
+        }
+
+        /**
+         * Invokes any listeners for the specified event--in the order of
+         * their priority and then the order they were registered--and passes
+         * any provided arguments to those listeners.
+         * Listeners registered for wildcard patterns matching the event are
+         * invoked along with listeners registered for the exact event. If the
+         * broker is a [child]{@link Broker#child}, the event then bubbles to
+         * its parent.
+         * Emissions and listener invocations pass through any middleware
+         * added using [use]{@link Broker#use}.
+         * If a listener throws an exception, the [error]{@link event:Broker#error}
+         * event will be emitted but subsequent listeners will still be invoked.
+         *
+         * If an object is passed instead of an event name, listeners will
+         * receive a {@link Broker~Event} as their first argument, followed
+         * by any additional arguments. Listeners can use the event object to
+         * cancel the event or prevent subsequent listeners from being invoked.
+         * @function Broker#emit
+         * @alias Broker#fire
+         * @alias Broker#announce
+         * @param event {String|Object} The event to emit, or an object whose
+         *  `type` property is the event to emit. Any other properties of the
+         *  object will be copied to the {@link Broker~Event} listeners receive.
+         * @param args {*} Any additional arguments to pass to listeners.
+         * @returns {Boolean|undefined} If an object was passed for `event`,
+         *  whether a listener canceled the event by calling `preventDefault`.
+         *  Always `false` if the emission was [deferred]{@link Broker#defer}
+         *  or held back by a [rate limit]{@link Broker#rateLimit}.
+         * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+         * @throws {InvalidArgumentError} Arguments emitted for the event must match its
+         *  [definition]{@link Broker#define}.
+         * @throws {InvalidArgumentError} The event must be defined before it is emitted
+         *  if the broker is strict.
+         * @fires Broker#error
+         * @example
+         * broker.on('my-custom-event', function() { ... });
+         * broker.emit('my-custom-event'); // handler fired
+         * @example
+         * broker.on('log', function(msg, ...args) {
+         *    log.write(msg, args);
+         * });
+         * broker.emit('log', 'Today is %s', new Date());
+         * @example
+         * broker.on('add', function(...nums) {
+         *    var sum = nums.reduce(function(result, num) {
+         *        return result + num;
+         *    }, 0);
+         *    log.info('The sum of', nums, 'is', sum);
+         * });
+         * broker.emit('add', 1, 2, 3, 4, 5);
+         * @example
+         * broker.on('before-navigate', function(evt, url) {
+         *    if (hasUnsavedChanges()) {
+         *        evt.preventDefault();
+         *        evt.stopImmediatePropagation();
+         *    }
+         * });
+         * if (!broker.emit({type: 'before-navigate'}, url)) {
+         *    navigate(url);
+         * }
+         */
+
+    }, {
+        key: 'emit',
+        value: function emit(event) {
+            var _this6 = this;
+
+            for (var _len = arguments.length, args = Array(_len > 1 ? _len - 1 : 0), _key = 1; _key < _len; _key++) {
+                args[_key - 1] = arguments[_key];
+            }
+
+            var marker = take(this);
+            if (hold(this, event, args, marker)) {
+                return (0, _isPlainObject3.default)(event) ? false : undefined;
+            }
+            var descriptor = (0, _isPlainObject3.default)(event) && event,
+                emitted = descriptor ? event.type : event,
+                result = collect(this, emitted, function () {
+                return dispatch(_this6, event, args, function (type, params) {
+                    var _Broker$prototype$emi2;
+
+                    var _upward = upward(_this6, type),
+                        _upward2 = _slicedToArray(_upward, 2),
+                        parent = _upward2[0],
+                        name = _upward2[1];
+
+                    if (!descriptor) {
+                        keep(_this6, type, type, params);
+                        (0, _forEach3.default)(subscribers(_this6, type), (0, _bind3.default)(announce, _this6, type, params));
+                        if (parent) {
+                            var _Broker$prototype$emi;
+
+                            (_Broker$prototype$emi = Broker.prototype.emit).call.apply(_Broker$prototype$emi, [parent, name].concat(_toConsumableArray(params)));
+                        }
+                        return;
+                    }
+                    var retained = (0, _assign6.default)({}, descriptor, { type: type }),
+                        evt = createEvent(retained);
+                    keep(_this6, type, retained, params);
+                    (0, _forEach3.default)(subscribers(_this6, type), function (listener, index) {
+                        announce.call(_this6, type, [evt].concat(_toConsumableArray(params)), listener, index);
+                        return !evt.immediatePropagationStopped;
+                    });
+                    if (parent && !evt.propagationStopped && (_Broker$prototype$emi2 = Broker.prototype.emit).call.apply(_Broker$prototype$emi2, [parent, (0, _assign6.default)({}, descriptor, { type: name })].concat(_toConsumableArray(params)))) {
+                        evt.preventDefault();
+                    }
+                    return evt.defaultPrevented;
+                }, marker);
+            });
+            return descriptor ? Boolean(result) : result;
+        }
+
+        /**
+         * Queues the specified event to be emitted after the current emission
+         * completes, regardless of the broker's `dispatch` option. Queued
+         * emissions are emitted in the order they were queued, when the
+         * broker's dispatch scheduler runs or [flush]{@link Broker#flush}
+         * is invoked. Emissions made while the queue is being drained are
+         * added to the end of the queue.
+         * @function Broker#defer
+         * @param event {String|Object} The event to emit. See
+         *  [emit]{@link Broker#emit} for details.
+         * @param args {*} Any additional arguments to pass to listeners.
+         * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+         * @throws {InvalidArgumentError} The arguments do not match the event's
+         *  definition, or the event is undefined on a `strict` broker.
+         * @example
+         * broker.on('cart:item-added', function(item) {
+         *   // runs after every 'cart:item-added' listener:
+         *   broker.defer('cart:changed', cart);
+         * });
+         */
+
+    }, {
+        key: 'defer',
+        value: function defer(event) {
+            for (var _len2 = arguments.length, args = Array(_len2 > 1 ? _len2 - 1 : 0), _key2 = 1; _key2 < _len2; _key2++) {
+                args[_key2 - 1] = arguments[_key2];
+            }
+
+            hold(this, event, args, take(this), true);
+        }
+
+        /**
+         * Synchronously emits any queued emissions, including emissions
+         * queued while flushing. Useful in tests of deferred brokers.
+         * Exceptions thrown by queued emissions are handled according to the
+         * broker's `onError` option; if it throws, every queued emission is
+         * still emitted before an `AggregateError` is thrown.
+         * @function Broker#flush
+         * @throws {AggregateError} Queued emissions failed and the broker's
+         *  `onError` option is `'throw'` or `'throwIfUnhandled'`.
+         * @example
+         * var broker = new Broker({dispatch: 'microtask'});
+         * broker.emit('event', 123);
+         * broker.flush(); // listeners invoked
+         */
+
+    }, {
+        key: 'flush',
+        value: function flush() {
+            var failures = [];
+            _flush4(this, failures);
+            if (!(0, _isEmpty3.default)(failures)) {
+                throw aggregate(failures, undefined, failures.length + ' queued emission(s) failed.');
+            }
+        }
+
+        /**
+         * @typedef Broker~Event
+         * @type {Object}
+         * @property {String} type The event that was emitted.
+         * @property {Boolean} defaultPrevented Whether a listener has canceled
+         *  the event.
+         * @property {Boolean} propagationStopped Whether a listener has prevented
+         *  the event from bubbling to a parent broker.
+         * @property {Boolean} immediatePropagationStopped Whether a listener has
+         *  prevented subsequent listeners from being invoked.
+         * @property {Function} preventDefault Cancels the event.
+         * @property {Function} stopPropagation Prevents the event from bubbling
+         *  to a parent broker (see [child]{@link Broker#child}).
+         * @property {Function} stopImmediatePropagation Prevents any subsequent
+         *  listeners from being invoked and the event from bubbling.
+         */
+
+        /**
+         * @typedef Broker~Result
+         * @type {Object}
+         * @property {String} status Either 'fulfilled' or 'rejected'.
+         * @property {*} value The value returned or resolved by the listener,
+         *  if the status is 'fulfilled'.
+         * @property {*} reason The error thrown or rejected by the listener,
+         *  if the status is 'rejected'.
+         */
+
+        /**
+         * Invokes any listeners for the specified event at the same time and
+         * returns a promise that settles once every listener has settled. If
+         * a listener throws an exception or returns a rejected promise, the
+         * [error]{@link event:Broker#error} event will be emitted.
+         * @function Broker#emitAsync
+         * @param event {String} The event to emit.
+         * @param args {*} Any additional arguments to pass to listeners.
+         * @returns {Promise.<Broker~Result[]>} A promise resolved with the
+         *  results of each listener, in the order the listeners were invoked.
+         * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+         * @throws {InvalidArgumentError} Arguments emitted for the event must match its
+         *  [definition]{@link Broker#define}.
+         * @fires Broker#error
+         * @example
+         * broker.on('save', function(record) {
+         *   return db.put(record); // returns a promise
+         * });
+         * broker.emitAsync('save', record).then(function(results) {
+         *   log(results); // [{status: 'fulfilled', value: ...}]
+         * });
+         */
+
+    }, {
+        key: 'emitAsync',
+        value: function emitAsync(event) {
+            var _this7 = this;
+
+            for (var _len3 = arguments.length, args = Array(_len3 > 1 ? _len3 - 1 : 0), _key3 = 1; _key3 < _len3; _key3++) {
+                args[_key3 - 1] = arguments[_key3];
+            }
+
+            return dispatch(this, event, args, function (type, params) {
+                var _upward3 = upward(_this7, type),
+                    _upward4 = _slicedToArray(_upward3, 2),
+                    parent = _upward4[0],
+                    name = _upward4[1];
+
+                keep(_this7, type, type, params);
+                var failures = [],
+                    local = Promise.all(subscribers(_this7, type).filter(function (listener) {
+                    return admit(_this7, type, params, listener);
+                }).map((0, _bind3.default)(settle, _this7, type, params, failures))).then((0, _bind3.default)(conclude, null, failures, type));
+                return !parent ? local : Promise.all([local, parent.emitAsync.apply(parent, [name].concat(_toConsumableArray(params)))]).then(function (_ref13) {
+                    var _ref14 = _slicedToArray(_ref13, 2),
+                        results = _ref14[0],
+                        bubbled = _ref14[1];
+
+                    return (0, _concat3.default)(results, bubbled);
+                });
+            }) || Promise.resolve([]);
+        }
+
+        /**
+         * Invokes any listeners for the specified event one at a time--in the
+         * same order as [emit]{@link Broker#emit}--waiting for each listener's
+         * promise to settle before invoking the next listener. If a listener throws an
+         * exception or returns a rejected promise, the
+         * [error]{@link event:Broker#error} event will be emitted but
+         * subsequent listeners will still be invoked.
+         * @function Broker#emitSerial
+         * @param event {String} The event to emit.
+         * @param args {*} Any additional arguments to pass to listeners.
+         * @returns {Promise.<Broker~Result[]>} A promise resolved with the
+         *  results of each listener, in the order the listeners were invoked.
+         * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+         * @throws {InvalidArgumentError} Arguments emitted for the event must match its
+         *  [definition]{@link Broker#define}.
+         * @fires Broker#error
+         * @example
+         * broker.on('migrate', function createTables() { ... });
+         * broker.on('migrate', function insertRecords() { ... });
+         * broker.emitSerial('migrate').then(function() {
+         *   log('migration complete');
+         * });
+         */
+
+    }, {
+        key: 'emitSerial',
+        value: function emitSerial(event) {
+            var _this8 = this;
+
+            for (var _len4 = arguments.length, args = Array(_len4 > 1 ? _len4 - 1 : 0), _key4 = 1; _key4 < _len4; _key4++) {
+                args[_key4 - 1] = arguments[_key4];
+            }
+
+            return dispatch(this, event, args, function (type, params) {
+                var _upward5 = upward(_this8, type),
+                    _upward6 = _slicedToArray(_upward5, 2),
+                    parent = _upward6[0],
+                    name = _upward6[1],
+                    failures = [];
+
+                keep(_this8, type, type, params);
+                return (0, _reduce3.default)(subscribers(_this8, type).filter(function (listener) {
+                    return admit(_this8, type, params, listener);
+                }), function (promise, listener, index) {
+                    return promise.then(function (results) {
+                        return settle.call(_this8, type, params, failures, listener, index).then(function (result) {
+                            return (0, _concat3.default)(results, result);
+                        });
+                    });
+                }, Promise.resolve([])).then((0, _bind3.default)(conclude, null, failures, type)).then(function (results) {
+                    return !parent ? results : parent.emitSerial.apply(parent, [name].concat(_toConsumableArray(params))).then(function (bubbled) {
+                        return (0, _concat3.default)(results, bubbled);
+                    });
+                });
+            }) || Promise.resolve([]);
+        }
+
+        /**
+         * @typedef Broker~Middleware
+         * @type {Object}
+         * @property {Function} [emit] Invoked with a context object containing
+         *  the `event` and `args` being emitted--along with the `descriptor`
+         *  object, if one was passed to [emit]{@link Broker#emit}--and a `next`
+         *  function that continues the emission. The context can be modified before `next` is
+         *  invoked; not invoking `next` drops the emission. Should return the
+         *  value returned by `next`.
+         * @property {Function} [invoke] Invoked with a context object containing
+         *  the `event`, `args` and `callback` of each listener being invoked,
+         *  and a `next` function that invokes the listener. Should return the
+         *  value returned by `next`.
+         */
+
+        /**
+         * Adds middleware that can intercept emissions and listener invocations.
+         * Middleware runs in the order it was added: the first middleware added
+         * is the first to intercept an emission and the last to see the result.
+         * If middleware throws an exception, the [error]{@link event:Broker#error}
+         * event will be emitted with the middleware method as the `callback`.
+         * @function Broker#use
+         * @param middleware {Function|Broker~Middleware} The middleware to add.
+         *  A function is treated as the middleware's `emit` method.
+         * @returns {Function} A method to invoke to remove the middleware.
+         * @throws {InvalidArgumentError} Parameter `middleware` must be a function or an
+         *  object with `emit` or `invoke` methods.
+         * @example
+         * // log every emission:
+         * broker.use(function(context, next) {
+         *   log(context.event, context.args);
+         *   return next();
+         * });
+         * @example
+         * // time every listener:
+         * broker.use({
+         *   invoke: function(context, next) {
+         *     var start = Date.now(),
+         *         result = next();
+         *     log(context.callback.name, Date.now() - start);
+         *     return result;
+         *   }
+         * });
+         * @example
+         * // drop emissions while logged out:
+         * broker.use(function(context, next) {
+         *   if (session.active) {
+         *     return next();
+         *   }
+         * });
+         */
+
+    }, {
+        key: 'use',
+        value: function use(middleware) {
+            throwIfNot(isValidMiddleware, middleware, MIDDLEWARE_ERROR);
+            var state = data.get(this),
+                entry = (0, _isFunction3.default)(middleware) ? { emit: middleware } : middleware;
+            state.middleware = (0, _concat3.default)(state.middleware, entry);
+            return function () {
+                state.middleware = (0, _reject3.default)(state.middleware, function (item) {
+                    return item === entry;
+                });
+            };
+        }
+
+        /**
+         * Declares the specified event and how to validate the arguments it is
+         * emitted with. Emitting the event with invalid arguments will throw
+         * before any listeners are invoked.
+         *
+         * The validator can be a function that returns `true` if the emitted
+         * arguments are valid, a JSON-Schema-like object that the first emitted
+         * argument must match, or an array of those objects that each emitted
+         * argument must match. Schemas support the `type`, `enum`, `required`,
+         * `properties`, `items`, `minimum`, `maximum`, `minLength`, `maxLength`
+         * and `pattern` keywords.
+         * @function Broker#define
+         * @param event {String} The event to declare.
+         * @param [validator] {Function|Object|Object[]} How to validate the
+         *  arguments the event is emitted with. If not provided, any arguments
+         *  are valid.
+         * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+         * @throws {InvalidArgumentError} Parameter `validator` must be a function or schema.
+         * @example
+         * broker.define('user:login', {
+         *   type: 'object',
+         *   required: ['id', 'name'],
+         *   properties: {
+         *     id: {type: 'integer', minimum: 1},
+         *     name: {type: 'string', minLength: 1}
+         *   }
+         * });
+         * broker.emit('user:login', undefined); // throws TypeError
+         * @example
+         * broker.define('point', function(x, y) {
+         *   return isFinite(x) && isFinite(y);
+         * });
+         * @example
+         * broker.define('log', [{type: 'string'}, {enum: ['info', 'warn']}]);
+         * broker.emit('log', 'started', 'info');
+         */
+
+    }, {
+        key: 'define',
+        value: function define(event) {
+            var validator = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : [];
+
+            throwIfNot(isValidEvent, event, EVENT_ERROR, InvalidEventError);
+            throwIfNot(isValidValidator, validator, VALIDATOR_ERROR);
+            data.get(this).validators[event] = validator;
+        }
+
+        /**
+         * Marks the specified event as sticky: the arguments of the most recent
+         * emissions of the event will be retained and delivered to any
+         * listeners registered for the event afterwards, including listeners
+         * registered with [one]{@link Broker#one} and listeners registered
+         * for matching wildcard patterns.
+         * @function Broker#retain
+         * @param event {String} The event whose emissions should be retained.
+         * @param [count=1] {Number} The number of emissions to retain. Passing
+         *  0 stops retaining emissions of the event.
+         * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+         * @throws {InvalidArgumentError} Parameter `count` must be a non-negative integer.
+         * @example
+         * broker.retain('app:ready');
+         * broker.emit('app:ready', config);
+         * // later, the listener is invoked immediately:
+         * broker.one('app:ready', function(config) { ... });
+         */
+
+    }, {
+        key: 'retain',
+        value: function retain(event) {
+            var count = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : 1;
+
+            throwIfNot(isValidEvent, event, EVENT_ERROR, InvalidEventError);
+            throwIfNot(function (value) {
+                return (0, _isInteger3.default)(value) && value >= 0;
+            }, count, COUNT_ERROR);
+
+            var _data$get15 = data.get(this),
+                retained = _data$get15.retained,
+                emissions = (0, _has3.default)(retained, event) ? retained[event].emissions : [];
+
+            if (count === 0) {
+                delete retained[event];
+            } else {
+                retained[event] = { count: count, emissions: (0, _takeRight3.default)(emissions, count) };
+            }
+        }
+
+        /**
+         * Discards any emissions retained for the specified event, or for all
+         * events if no event is specified. The events will remain sticky.
+         * @function Broker#clearRetained
+         * @param [event] {String} The event whose retained emissions should
+         *  be discarded.
+         * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+         * @example
+         * broker.retain('user:login');
+         * broker.emit('user:login', user);
+         * broker.clearRetained('user:login'); // user logged out
+         */
+
+    }, {
+        key: 'clearRetained',
+        value: function clearRetained(event) {
+            var _data$get16 = data.get(this),
+                retained = _data$get16.retained;
+
+            if (!(0, _isUndefined3.default)(event)) {
+                throwIfNot(isValidEvent, event, EVENT_ERROR, InvalidEventError);
+            }
+            (0, _forEach3.default)(retained, function (entry, type) {
+                if ((0, _isUndefined3.default)(event) || type === event) {
+                    entry.emissions = [];
+                }
+            });
+        }
+
+        /**
+         * Registers the handler for requests made for the specified event
+         * using [request]{@link Broker#request}. Only 1 handler can be
+         * registered for an event at a time.
+         * @function Broker#handle
+         * @param event {String} The event whose requests should be handled.
+         * @param callback {Function} The handler to invoke with the arguments
+         *  of each request. The value it returns--or the value its returned
+         *  promise resolves with--will be used to resolve the request.
+         * @returns {Function} A method to invoke to remove the handler
+         *  from the specified event.
+         * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+         * @throws {InvalidCallbackError} Parameter `callback` must be a function.
+         * @throws {RequestError} A handler is already registered for the event.
+         * @example
+         * broker.handle('user:get', function(id) {
+         *   return db.users.get(id); // returns a promise
+         * });
+         */
+
+    }, {
+        key: 'handle',
+        value: function handle(event, callback) {
+            throwIfNot(isValidEvent, event, EVENT_ERROR, InvalidEventError);
+            throwIfNot(isValidCallback, callback, CALLBACK_ERROR, InvalidCallbackError);
+
+            var _data$get17 = data.get(this),
+                handlers = _data$get17.handlers;
+
+            if ((0, _has3.default)(handlers, event)) {
+                throw new RequestError('A handler is already registered for `' + event + '`.', { code: 'ERR_HANDLER_EXISTS', event: event });
+            }
+            handlers[event] = callback;
+            return function () {
+                if (handlers[event] === callback) {
+                    delete handlers[event];
+                }
+            };
+        }
+
+        /**
+         * Invokes the handler registered for the specified event using
+         * [handle]{@link Broker#handle} and returns a promise for its result.
+         * If the handler throws an exception or returns a rejected promise,
+         * the returned promise will be rejected and the
+         * [error]{@link event:Broker#error} event will be emitted.
+         * @function Broker#request
+         * @param event {String|Object} The event to request, or an object
+         *  whose `type` property is the event to request.
+         * @param [event.timeout] {Number} The number of milliseconds to wait
+         *  for the handler before rejecting the request.
+         * @param args {*} Any additional arguments to pass to the handler.
+         * @returns {Promise} A promise resolved with the handler's result or
+         *  rejected if the handler fails, or with a {@link RequestError} if no
+         *  handler is registered or the request times out.
+         * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+         * @throws {InvalidArgumentError} Option `timeout` must be a finite number.
+         * @fires Broker#error
+         * @example
+         * broker.request('user:get', 123).then(function(user) { ... });
+         * @example
+         * broker.request({type: 'user:get', timeout: 5000}, 123)
+         *   .catch(function(err) { ... }); // timed out
+         */
+
+    }, {
+        key: 'request',
+        value: function request(event) {
+            var _this9 = this;
+
+            for (var _len5 = arguments.length, args = Array(_len5 > 1 ? _len5 - 1 : 0), _key5 = 1; _key5 < _len5; _key5++) {
+                args[_key5 - 1] = arguments[_key5];
+            }
+
+            var _ref15 = (0, _isPlainObject3.default)(event) ? event : { type: event },
+                type = _ref15.type,
+                timeout = _ref15.timeout;
+
+            throwIfNot(isValidEvent, type, EVENT_ERROR, InvalidEventError);
+            throwIfNot(function (value) {
+                return (0, _isUndefined3.default)(value) || (0, _isFinite3.default)(value);
+            }, timeout, TIMEOUT_ERROR);
+
+            var _data$get18 = data.get(this),
+                handlers = _data$get18.handlers;
+
+            if (!(0, _has3.default)(handlers, type)) {
+                return Promise.reject(new RequestError('No handler is registered for `' + type + '`.', { code: 'ERR_NO_HANDLER', event: type }));
+            }
+            var callback = handlers[type],
+                result = new Promise(function (resolve) {
+                return resolve(callback.apply(_this9, args));
+            }).catch(function (error) {
+                // the rejected request already surfaces the error
+                report(_this9, { event: type, callback: callback, error: error, args: args }, []);
+                throw error;
+            });
+            if ((0, _isUndefined3.default)(timeout)) {
+                return result;
+            }
+            return new Promise(function (resolve, fail) {
+                var timer = setTimeout(function () {
+                    return fail(new RequestError('Request for `' + type + '` timed out after ' + timeout + 'ms.', { code: 'ERR_REQUEST_TIMEOUT', event: type }));
+                }, timeout);
+                result.then(resolve, fail).then(function () {
+                    return clearTimeout(timer);
+                });
+            });
+        }
+
+        /**
+         * Returns a promise resolved with the arguments of the next emission
+         * of the specified event. The listener used to wait for the event is
+         * removed as soon as the promise settles.
+         * @function Broker#waitFor
+         * @param event {String} The event or wildcard pattern to wait for.
+         * @param [options] {Object} Settings for the wait.
+         * @param [options.timeout] {Number} The number of milliseconds to wait
+         *  for the event before rejecting the promise.
+         * @param [options.predicate] {Function} Invoked with the emitted
+         *  arguments; only emissions for which it returns `true` resolve the
+         *  promise. If it throws, the promise is rejected with the exception.
+         * @returns {Promise.<Array>} A promise resolved with an array of the
+         *  emitted arguments, or rejected with a {@link WaitError} if the
+         *  timeout elapses.
+         * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+         * @throws {InvalidArgumentError} Option `timeout` must be a finite number.
+         * @throws {InvalidArgumentError} Parameter `predicate` must be a function.
+         * @example
+         * broker.waitFor('socket:open', {timeout: 5000})
+         *   .then(function(args) { ... })
+         *   .catch(function(err) { ... }); // timed out
+         */
+
+    }, {
+        key: 'waitFor',
+        value: function waitFor(event) {
+            var _this10 = this;
+
+            var _ref16 = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : {},
+                timeout = _ref16.timeout,
+                predicate = _ref16.predicate;
+
+            throwIfNot(isValidEvent, event, EVENT_ERROR, InvalidEventError);
+            throwIfNot(function (value) {
+                return (0, _isUndefined3.default)(value) || (0, _isFinite3.default)(value);
+            }, timeout, TIMEOUT_ERROR);
+            throwIfNot(function (value) {
+                return (0, _isUndefined3.default)(value) || (0, _isFunction3.default)(value);
+            }, predicate, PREDICATE_ERROR);
+            return new Promise(function (resolve, fail) {
+                var timer = void 0,
+                    settled = false,
+                    settle = function settle(fn, value) {
+                    settled = true;
+                    clearTimeout(timer);
+                    _this10.off(event, listener);
+                    fn(value);
+                },
+                    listener = function waiter() {
+                    var _this11 = this;
+
+                    for (var _len6 = arguments.length, args = Array(_len6), _key6 = 0; _key6 < _len6; _key6++) {
+                        args[_key6] = arguments[_key6];
+                    }
+
+                    var passed = !predicate || (0, _attempt3.default)(function () {
+                        return predicate.apply(_this11, args);
+                    });
+                    if ((0, _isError3.default)(passed)) {
+                        settle(fail, passed);
+                    } else if (passed) {
+                        settle(resolve, args);
+                    }
+                };
+                _this10.on(event, listener);
+                // a retained emission may have settled the promise during `on`
+                if (!settled && !(0, _isUndefined3.default)(timeout)) {
+                    timer = setTimeout(function () {
+                        return settle(fail, new WaitError('Waiting for `' + event + '` timed out after ' + timeout + 'ms.', { code: 'ERR_WAIT_TIMEOUT', event: event }));
+                    }, timeout);
+                }
+            });
+        }
+
+        /**
+         * Returns an async iterator over emissions of the specified event,
+         * for use with `for await...of`. Each value is an array of the emitted
+         * arguments. Emissions that arrive before they are requested are held
+         * in a bounded queue. The listener used to collect emissions is removed
+         * when the iterator's `return` method is called--for example, by
+         * breaking out of the loop--or when the iterator fails.
+         * @function Broker#iterate
+         * @param event {String} The event or wildcard pattern to iterate.
+         * @param [options] {Object} Settings for the iterator.
+         * @param [options.predicate] {Function} Invoked with the emitted
+         *  arguments; only emissions for which it returns `true` are queued.
+         *  If it throws, the iterator fails with the exception.
+         * @param [options.size=100] {Number} The number of emissions to queue.
+         * @param [options.overflow='dropOldest'] {String} What to do when an
+         *  emission arrives and the queue is full: `'dropOldest'` discards the
+         *  oldest queued emission, `'dropNewest'` discards the new emission,
+         *  and `'error'` fails the iterator with a {@link WaitError}.
+         * @returns {Object} An async iterator of emitted argument arrays.
+         * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+         * @throws {InvalidArgumentError} Parameter `predicate` must be a function.
+         * @throws {InvalidArgumentError} Option `size` must be a positive integer.
+         * @throws {InvalidArgumentError} Option `overflow` must be 'dropOldest',
+         *  'dropNewest' or 'error'.
+         * @example
+         * for await (const [msg] of broker.iterate('chat:message')) {
+         *   render(msg);
+         * }
+         */
+
+    }, {
+        key: 'iterate',
+        value: function iterate(event) {
+            var _this12 = this;
+
+            var _ref17 = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : {},
+                predicate = _ref17.predicate,
+                _ref17$size = _ref17.size,
+                size = _ref17$size === undefined ? 100 : _ref17$size,
+                _ref17$overflow = _ref17.overflow,
+                overflow = _ref17$overflow === undefined ? 'dropOldest' : _ref17$overflow;
+
+            throwIfNot(isValidEvent, event, EVENT_ERROR, InvalidEventError);
+            throwIfNot(function (value) {
+                return (0, _isUndefined3.default)(value) || (0, _isFunction3.default)(value);
+            }, predicate, PREDICATE_ERROR);
+            throwIfNot(function (value) {
+                return (0, _isInteger3.default)(value) && value > 0;
+            }, size, SIZE_ERROR);
+            throwIfNot(function (value) {
+                return (0, _includes3.default)(OVERFLOW_STRATEGIES, value);
+            }, overflow, OVERFLOW_ERROR);
+            var queue = [],
+                waiting = [],
+                done = false,
+                failure = void 0,
+                finish = function finish(error) {
+                if (done) {
+                    return;
+                }
+                var pending = waiting.splice(0);
+                done = true;
+                // keep the failure for the next call only if no waiter received it
+                failure = (0, _isEmpty3.default)(pending) ? error : undefined;
+                _this12.off(event, listener);
+                (0, _forEach3.default)(pending, function (_ref18) {
+                    var resolve = _ref18.resolve,
+                        fail = _ref18.fail;
+                    return error ? fail(error) : resolve({ value: undefined, done: true });
+                });
+            },
+                listener = function collector() {
+                var _this13 = this;
+
+                for (var _len7 = arguments.length, args = Array(_len7), _key7 = 0; _key7 < _len7; _key7++) {
+                    args[_key7] = arguments[_key7];
+                }
+
+                var passed = !predicate || (0, _attempt3.default)(function () {
+                    return predicate.apply(_this13, args);
+                });
+                if ((0, _isError3.default)(passed)) {
+                    finish(passed);
+                } else if (!passed) {
+                    return;
+                } else if (!(0, _isEmpty3.default)(waiting)) {
+                    waiting.shift().resolve({ value: args, done: false });
+                } else if (queue.length < size) {
+                    queue.push(args);
+                } else if (overflow === 'dropOldest') {
+                    queue.shift();
+                    queue.push(args);
+                } else if (overflow === 'error') {
+                    finish(new WaitError('Queue for `' + event + '` exceeded ' + size + ' emissions.', { code: 'ERR_QUEUE_OVERFLOW', event: event }));
+                }
+            };
+            this.on(event, listener);
+            return _defineProperty({
+                next: function next() {
+                    if (!(0, _isEmpty3.default)(queue)) {
+                        return Promise.resolve({ value: queue.shift(), done: false });
+                    }
+                    if (failure) {
+                        var error = failure;
+                        failure = undefined;
+                        return Promise.reject(error);
+                    }
+                    if (done) {
+                        return Promise.resolve({ value: undefined, done: true });
+                    }
+                    return new Promise(function (resolve, fail) {
+                        return waiting.push({ resolve: resolve, fail: fail });
+                    });
+                },
+                return: function _return(value) {
+                    finish();
+                    queue = [];
+                    return Promise.resolve({ value: value, done: true });
+                }
+            }, Symbol.asyncIterator, function () {
+                return this;
+            });
         }
 
         /**
-         * Registers a listener for the specified event, but ensures the
-         * listener will only be fired at most 1 time. Once a listener has
-         * been invoked, it will automatically be removed.
-         * @function Broker#one
-         * @alias Broker#once
-         * @param event {String} The event to subscribe to.
-         * @param callback {Function} The listener to invoke when the
-         *  specified event is emitted.
-         * @returns {Function} A method to invoke to remove the listener
-         *  from the specified event.
-         * @throws {TypeError} Parameter `event` must be a non-empty string.
-         * @throws {TypeError} Parameter `callback` must be a function.
-         * @fires Broker#listenerAdded
+         * Creates a child broker with its own listeners. Events emitted on the
+         * child can bubble to this broker, prefixed with the child's namespace,
+         * and events broadcast by this broker are emitted on the child.
+         * @function Broker#child
+         * @param [namespace] {String} The prefix added to the names of events
+         *  that bubble from the child, separated by the delimiter. If not
+         *  provided, events bubble with their original names.
+         * @param [options] {Object} Optional settings for the child.
+         * @param [options.bubble=true] {Boolean|String[]} Whether events emitted
+         *  on the child bubble to this broker, or the events and wildcard
+         *  patterns that should bubble.
+         * @returns {Broker} The child broker.
+         * @throws {InvalidArgumentError} Parameter `namespace` must be a non-empty string.
+         * @throws {InvalidArgumentError} Option `bubble` must be a boolean or an array of
+         *  event names.
          * @example
-         * // register a handler to only run once:
-         * broker.one('my-custom-event', myEventHandler(arg1, arg2) { ... };
-         * // the handler will be removed after being invoked:
-         * broker.emit('my-custom-event', 'arg1', 'arg2');
+         * var cart = broker.child('cart', {bubble: ['item:*']});
+         * broker.on('cart:item:added', function(item) { ... });
+         * cart.emit('item:added', item); // bubbles to broker
+         * cart.emit('recalculate'); // stays private
+         * cart.destroy(); // remove all cart listeners
          */
 
     }, {
-        key: 'one',
-        value: function one(event, callback) {
-            var _arguments = arguments,
-                _this2 = this;
-
-            var single = (0, _flow3.default)(function () {
-                return callback.apply(undefined, _arguments);
-            }, function () {
-                return _this2.off(event, single);
+        key: 'child',
+        value: function child(namespace) {
+            var _ref20 = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : {},
+                _ref20$bubble = _ref20.bubble,
+                bubble = _ref20$bubble === undefined ? true : _ref20$bubble;
+
+            if (!(0, _isUndefined3.default)(namespace)) {
+                throwIfNot(isValidEvent, namespace, NAMESPACE_ERROR);
+            }
+            throwIfNot(isValidBubble, bubble, BUBBLE_ERROR);
+            var state = data.get(this),
+                child = new this.constructor({
+                delimiter: state.delimiter,
+                onError: state.onError,
+                scheduler: state.scheduler,
+                dispatch: state.dispatch
             });
-            return this.on(event, single);
+            (0, _assign6.default)(data.get(child), { parent: this, namespace: namespace, bubble: bubble });
+            state.children = (0, _concat3.default)(state.children, child);
+            return child;
         }
 
         /**
-         * Removes the specified listener for the specified event.
-         * @function Broker#off
-         * @alias Broker#unsubscribe
-         * @alias Broker#removeListener
-         * @param event {String} The event whose listener should
-         *  be removed.
-         * @param callback {Function} The listener to remove.
-         * @throws {TypeError} Parameter `event` must be a non-empty string.
-         * @throws {TypeError} Parameter `callback` must be a function.
-         * @fires Broker#listenerRemoved
+         * Emits the specified event on every child broker created using
+         * [child]{@link Broker#child}, and on their children. Broadcast events
+         * do not bubble back up to their parents.
+         * @function Broker#broadcast
+         * @param event {String|Object} The event to emit. See
+         *  [emit]{@link Broker#emit} for details.
+         * @param args {*} Any additional arguments to pass to listeners.
+         * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
          * @example
-         * function myHandler() { ... }
-         * broker.on('my-custom-event', myHandler);
-         * broker.off('my-custom-event', myHandler);
+         * broker.broadcast('app:locale-changed', 'fr');
          */
 
     }, {
-        key: 'off',
-        value: function off(event, callback) {
-            throwIfNot(isValidEvent, event, EVENT_ERROR);
-            throwIfNot(isValidCallback, callback, CALLBACK_ERROR);
-
-            var _info2 = info(this, event);
-
-            var key = _info2.key;
-            var map = _info2.map;
-            var listeners = _info2.listeners;
-            var updated = (0, _without3.default)(listeners, callback);
-            if (listeners.length !== updated.length) {
-                if ((0, _isEmpty3.default)(updated)) {
-                    map.delete(key);
-                } else {
-                    map.set(key, updated);
-                }
-                this.fire(Broker.Events.REMOVED, { event: event, callback: callback });
+        key: 'broadcast',
+        value: function broadcast(event) {
+            for (var _len8 = arguments.length, args = Array(_len8 > 1 ? _len8 - 1 : 0), _key8 = 1; _key8 < _len8; _key8++) {
+                args[_key8 - 1] = arguments[_key8];
             }
+
+            throwIfNot(isValidEvent, (0, _isPlainObject3.default)(event) ? event.type : event, EVENT_ERROR, InvalidEventError);
+            (0, _forEach3.default)(data.get(this).children, function (child) {
+                mark(child, BROADCAST, function () {
+                    return child.emit.apply(child, [event].concat(args));
+                });
+                child.broadcast.apply(child, [event].concat(args));
+            });
         }
 
         /**
-         * Removes all listeners registered for the specified event.
-         * @function Broker#removeAllListeners
-         * @param event {String} The event whose listeners should
-         *  all be removed.
-         * @throws {TypeError} Parameter `event` must be a non-empty string.
-         * @throws {TypeError} Parameter `callback` must be a function.
+         * Removes every listener registered on the broker and its children,
+         * and detaches the broker from its parent so its events no longer
+         * bubble.
+         * @function Broker#destroy
          * @fires Broker#listenerRemoved
          * @example
-         * broker.on('custom-event', function myHandler1() { ... });
-         * broker.on('custom-event', function myHandler2() { ... });
-         * broker.emit('custom-event'); // both handlers invoked
-         * broker.removeAllListeners('custom-event');
-         * broker.emit('custom-event'); // no handlers invoked
+         * var feature = broker.child('feature');
+         * feature.on('event', function() { ... });
+         * feature.destroy();
          */
 
     }, {
-        key: 'removeAllListeners',
-        value: function removeAllListeners(event) {
-            var _this3 = this;
-
-            throwIfNot(isValidEvent, event, EVENT_ERROR);
+        key: 'destroy',
+        value: function destroy() {
+            var _this14 = this;
 
-            var _info3 = info(this, event);
+            var state = data.get(this);
+            (0, _forEach3.default)(state.children, function (child) {
+                return child.destroy();
+            });
+            (0, _forEach3.default)(this.eventNames(), function (event) {
+                return _this14.removeAllListeners(event);
+            });
+            if (state.parent) {
+                var parent = data.get(state.parent);
+                parent.children = (0, _reject3.default)(parent.children, function (child) {
+                    return child === _this14;
+                });
+                state.parent = null;
+            }
+        }
 
-            var listeners = _info3.listeners;
+        /**
+         * Re-emits a sequence of recorded emissions, such as one exported by a
+         * recorder created with {@link recordHistory}. The relative timing of
+         * the emissions is preserved, scaled by the `speed` option. Passing
+         * `Infinity` as the speed emits the entire sequence synchronously.
+         * @function Broker#replay
+         * @param log {Array|String} The recorded emissions, or a JSON string
+         *  containing them. Each entry should have `event`, `args` and
+         *  `timestamp` properties. Entries with a `descriptor` property are
+         *  emitted as objects.
+         * @param [options] {Object} Settings for the replay.
+         * @param [options.speed=1] {Number} The playback rate: 2 replays the
+         *  sequence twice as fast as it was recorded.
+         * @returns {Promise} A promise resolved once every emission has been
+         *  replayed, or rejected if the log cannot be parsed or an emission throws.
+         * @throws {InvalidArgumentError} Option `speed` must be a positive number.
+         * @example
+         * var recorder = recordHistory(broker);
+         * // ... later, attach to a bug report:
+         * var log = JSON.stringify(recorder);
+         * // ... and reproduce it:
+         * new Broker().replay(log, {speed: 4}).then(function() { ... });
+         * @example
+         * // in tests:
+         * broker.replay(log, {speed: Infinity});
+         */
 
-            (0, _forEach3.default)(listeners, function (callback) {
-                return _this3.off(event, callback);
+    }, {
+        key: 'replay',
+        value: function replay(log) {
+            var _this15 = this;
+
+            var _ref21 = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : {},
+                _ref21$speed = _ref21.speed,
+                speed = _ref21$speed === undefined ? 1 : _ref21$speed;
+
+            throwIfNot(function (value) {
+                return (0, _isNumber3.default)(value) && value > 0;
+            }, speed, SPEED_ERROR);
+            var emit = function emit(_ref22) {
+                var event = _ref22.event,
+                    args = _ref22.args,
+                    descriptor = _ref22.descriptor;
+                return _this15.emit.apply(_this15, [(0, _isPlainObject3.default)(descriptor) ? (0, _assign6.default)(deserialize(descriptor), { type: event }) : event].concat(_toConsumableArray(deserialize((0, _castArray3.default)(args)))));
+            };
+            return new Promise(function (resolve, fail) {
+                var entries = (0, _isString3.default)(log) ? JSON.parse(log) : (0, _castArray3.default)(log),
+                    step = function step(index) {
+                    if (index >= entries.length) {
+                        return resolve();
+                    }
+                    var elapsed = index ? entries[index].timestamp - entries[index - 1].timestamp : 0;
+                    setTimeout(function () {
+                        try {
+                            emit(entries[index]);
+                        } catch (error) {
+                            return fail(error);
+                        }
+                        step(index + 1);
+                    }, Math.max(0, elapsed / speed || 0));
+                };
+                if (speed === Infinity) {
+                    (0, _forEach3.default)(entries, emit);
+                    return resolve();
+                }
+                step(0);
             });
         }
 
         /**
-         * Invokes any listeners for the specified event--in the order they
-         * were registered--and passes any provided arguments to those listeners.
-         * If a listener throws an exception, the [error]{@link event:Broker#error}
-         * event will be emitted but subsequent listeners will still be invoked.
-         * @function Broker#emit
-         * @alias Broker#fire
-         * @alias Broker#announce
-         * @param event {String} The event to emit.
-         * @param args {*} Any additional arguments to pass to listeners.
-         * @throws {TypeError} Parameter `event` must be a non-empty string.
-         * @fires Broker#error
+         * Returns an observable of payloads emitted for the specified event.
+         * The observable implements the `Symbol.observable` interop point,
+         * so it can be converted by RxJS, xstream, most.js and other
+         * libraries. A listener is registered each time the observable is
+         * subscribed to and removed when that subscription is unsubscribed.
+         * If the selector or the observer throws, the error is sent to the
+         * observer's `error` callback, the subscription is closed, and the
+         * [error]{@link event:Broker#error} event is emitted.
+         * @function Broker#observe
+         * @param event {String} The event to observe.
+         * @param [selector] {Function} Invoked with the emitted arguments;
+         *  its return value is sent to observers. If not provided, observers
+         *  will receive the first emitted argument or, if more than 1 argument
+         *  was emitted, an array of those arguments.
+         * @returns {Object} An observable of emitted payloads.
+         * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+         * @throws {InvalidArgumentError} Parameter `selector` must be a function.
          * @example
-         * broker.on('my-custom-event', function() { ... });
-         * broker.emit('my-custom-event'); // handler fired
+         * Rx.Observable.from(broker.observe('user-changed'))
+         *   .subscribe(function(user) { ... });
          * @example
-         * broker.on('log', function(msg, ...args) {
-         *    log.write(msg, args);
+         * var subscription = broker.observe('point', function(x, y) {
+         *   return {x: x, y: y};
+         * }).subscribe({
+         *   next: function(point) { ... },
+         *   error: function(err) { ... }
          * });
-         * broker.emit('log', 'Today is %s', new Date());
+         * subscription.unsubscribe(); // remove the event handler
+         */
+
+    }, {
+        key: 'observe',
+        value: function observe(event) {
+            var selector = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : function () {
+                for (var _len9 = arguments.length, args = Array(_len9), _key9 = 0; _key9 < _len9; _key9++) {
+                    args[_key9] = arguments[_key9];
+                }
+
+                return toPayload(args);
+            };
+
+            throwIfNot(isValidEvent, event, EVENT_ERROR, InvalidEventError);
+            throwIfNot(isValidCallback, selector, SELECTOR_ERROR);
+            var broker = this,
+                observable = {
+                subscribe: function subscribe(next, error, complete) {
+                    var observer = toObserver(next, error, complete),
+                        subscription = { closed: false },
+                        off = void 0;
+                    subscription.unsubscribe = subscription.dispose = function () {
+                        subscription.closed = true;
+                        if (off) {
+                            off();
+                        }
+                    };
+                    // retained emissions are replayed before `on` returns, so the
+                    // subscription may already be closed once it does
+                    off = Broker.prototype.on.call(broker, event, function listener() {
+                        if (subscription.closed) {
+                            return;
+                        }
+                        try {
+                            for (var _len10 = arguments.length, args = Array(_len10), _key10 = 0; _key10 < _len10; _key10++) {
+                                args[_key10] = arguments[_key10];
+                            }
+
+                            var value = selector.apply(this, args);
+                            if ((0, _isFunction3.default)(observer.next)) {
+                                observer.next(value);
+                            }
+                        } catch (err) {
+                            subscription.unsubscribe();
+                            if ((0, _isFunction3.default)(observer.error)) {
+                                observer.error(err);
+                            }
+                            throw err;
+                        }
+                    });
+                    if (subscription.closed) {
+                        off();
+                    }
+                    return subscription;
+                }
+            };
+            observable[observableKey()] = observable['@@observable'] = function () {
+                return observable;
+            };
+            return observable;
+        }
+
+        /**
+         * Registers a listener using the DOM `EventTarget` contract, so brokers
+         * can be passed anywhere an `EventTarget` is expected. Listeners receive
+         * the event object passed to [dispatchEvent]{@link Broker#dispatchEvent}.
+         * Registering the same listener for the same event more than once has no
+         * effect.
+         * @function Broker#addEventListener
+         * @param event {String} The event to subscribe to.
+         * @param listener {Function|{handleEvent: Function}} The listener to
+         *  invoke when the specified event is dispatched. If `null`, nothing
+         *  will be registered.
+         * @param [options] {Object|Boolean} Optional settings for the listener.
+         * @param [options.once=false] {Boolean} Whether to remove the listener
+         *  after it has been invoked.
+         * @param [options.signal] {AbortSignal} A signal that removes the
+         *  listener when aborted.
+         * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+         * @fires Broker#listenerAdded
          * @example
-         * broker.on('sum', function(...nums) {
-         *    var sum = nums.reduce(function(result, num) {
-         *        return result + num;
-         *    }, 0);
-         *    log.info('The sum of', nums, 'is', sum);
-         * });
-         * broker.emit('add', 1, 2, 3, 4, 5);
+         * var controller = new AbortController();
+         * broker.addEventListener('user-changed', function(evt) {
+         *   log(evt.detail);
+         * }, {signal: controller.signal});
+         * broker.dispatchEvent(new CustomEvent('user-changed', {detail: user}));
+         * controller.abort(); // remove the listener
          */
 
     }, {
-        key: 'emit',
-        value: function emit(event) {
-            throwIfNot(isValidEvent, event, EVENT_ERROR);
+        key: 'addEventListener',
+        value: function addEventListener(event, listener, options) {
+            throwIfNot(isValidEvent, event, EVENT_ERROR, InvalidEventError);
+
+            var _ref23 = (0, _isObjectLike3.default)(options) ? options : {},
+                _ref23$once = _ref23.once,
+                once = _ref23$once === undefined ? false : _ref23$once,
+                signal = _ref23.signal,
+                _data$get19 = data.get(this),
+                wrappers = _data$get19.wrappers,
+                bound = listener && (wrappers.get(listener) || {});
+
+            if (!listener || (0, _has3.default)(bound, event) && (0, _find3.default)(info(this, event).listeners, { callback: bound[event] })) {
+                return;
+            }
+            var callback = bound[event] = function wrapper(evt) {
+                if (once) {
+                    this.off(event, callback);
+                }
+                return (0, _isFunction3.default)(listener) ? listener.call(this, evt) : listener.handleEvent(evt);
+            };
+            wrappers.set(listener, bound);
+            this.on(event, callback, { signal: signal });
+        }
 
-            for (var _len = arguments.length, args = Array(_len > 1 ? _len - 1 : 0), _key = 1; _key < _len; _key++) {
-                args[_key - 1] = arguments[_key];
+        /**
+         * Removes a listener registered using
+         * [addEventListener]{@link Broker#addEventListener}.
+         * @function Broker#removeEventListener
+         * @param event {String} The event whose listener should be removed.
+         * @param listener {Function|{handleEvent: Function}} The listener to remove.
+         * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+         * @fires Broker#listenerRemoved
+         * @example
+         * broker.addEventListener('user-changed', onUserChanged);
+         * broker.removeEventListener('user-changed', onUserChanged);
+         */
+
+    }, {
+        key: 'removeEventListener',
+        value: function removeEventListener(event, listener) {
+            throwIfNot(isValidEvent, event, EVENT_ERROR, InvalidEventError);
+            var bound = listener && data.get(this).wrappers.get(listener);
+            if (bound && (0, _has3.default)(bound, event)) {
+                this.off(event, bound[event]);
             }
+        }
+
+        /**
+         * Dispatches a DOM event object to the listeners of its `type`, using
+         * the DOM `EventTarget` contract. All listeners receive the event object
+         * as their only argument.
+         * @function Broker#dispatchEvent
+         * @param evt {Event} The event object to dispatch.
+         * @returns {Boolean} `false` if a listener canceled the event by calling
+         *  `preventDefault`; otherwise, `true`.
+         * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+         * @fires Broker#error
+         * @example
+         * var evt = new CustomEvent('before-unload', {cancelable: true});
+         * if (broker.dispatchEvent(evt)) {
+         *   unload();
+         * }
+         */
 
-            (0, _forEach3.default)(info(this, event).listeners, (0, _bind3.default)(announce, this, event, args));
+    }, {
+        key: 'dispatchEvent',
+        value: function dispatchEvent(evt) {
+            this.emit((0, _isObjectLike3.default)(evt) ? evt.type : undefined, evt);
+            return !evt.defaultPrevented;
         }
 
         /**
@@ -336,6 +3015,8 @@ var Broker = exports.Broker = function () {
          * @property {String} ERROR 'error' - An error occurred in an event listener.
          * @property {String} ADDED 'listenerAdded' - An event listener was registered.
          * @property {String} REMOVED 'listenerRemoved' - An event listener was removed.
+         * @property {String} LEAK 'maxListenersExceeded' - An event has more listeners
+         *  than its limit allows.
          */
 
         /**
@@ -358,7 +3039,13 @@ var Broker = exports.Broker = function () {
                  * @property {String} event The event the listener was registered for.
                  * @property {Function} callback The listener that caused the error.
                  * @property {Error} error The error that occurred while invoking the listener.
+                 * @property {Array} args The arguments the listener was invoked with.
+                 * @property {Number} [index] The position of the listener among
+                 *  those invoked for the emission.
                  * @desc An error occurred in an event listener while firing an event.
+                 *  Whether this event is emitted depends on the broker's `onError`
+                 *  option; see {@link Broker} for details. If a listener of this event throws, the event is not emitted
+                 *  again; a {@link ListenerError} is thrown asynchronously instead.
                  * @example
                  * broker.on(Broker.Events.ERROR, function(data) {
                  *   log.error('An error occurred:', data.error);
@@ -369,8 +3056,12 @@ var Broker = exports.Broker = function () {
                 /**
                  * @event Broker#listenerAdded
                  * @type {Object}
-                 * @property {String} event The event the listener was registered for.
+                 * @property {String} event The event or wildcard pattern the
+                 *  listener was registered for.
                  * @property {Function} callback The listener registered for the event.
+                 * @property {*} [tag] The listener's `tag` option, if provided.
+                 * @property {*} [owner] The listener's `owner` option, if provided.
+                 * @property {*} [metadata] The listener's `metadata` option, if provided.
                  * @desc A listener was added. Examine the event properties for details.
                  * @example
                  * broker.on(Broker.Events.ADDED, function(data) {
@@ -384,8 +3075,12 @@ var Broker = exports.Broker = function () {
                 /**
                  * @event Broker#listenerRemoved
                  * @type {Object}
-                 * @property {String} event The event the listener was removed from.
+                 * @property {String} event The event or wildcard pattern the
+                 *  listener was removed from.
                  * @property {Function} callback The listener removed from the event.
+                 * @property {*} [tag] The listener's `tag` option, if provided.
+                 * @property {*} [owner] The listener's `owner` option, if provided.
+                 * @property {*} [metadata] The listener's `metadata` option, if provided.
                  * @desc A listener was removed. Examine the event properties for details.
                  * @example
                  * broker.on(Broker.Events.REMOVED, function(data) {
@@ -395,7 +3090,27 @@ var Broker = exports.Broker = function () {
                  * var off = broker.on('my-custom-event', function callback() { ... });
                  * off(); // remove the event handler
                  */
-                REMOVED: 'listenerRemoved'
+                REMOVED: 'listenerRemoved',
+
+                /**
+                 * @event Broker#maxListenersExceeded
+                 * @type {Object}
+                 * @property {String} event The event or wildcard pattern whose
+                 *  limit was exceeded.
+                 * @property {Number} count The number of listeners registered
+                 *  for the event.
+                 * @property {Number} max The maximum number of listeners allowed.
+                 * @property {String} stack The stack trace of the registration
+                 *  that exceeded the limit.
+                 * @desc An event has more listeners than its limit allows, which
+                 *  usually indicates a memory leak.
+                 * @example
+                 * broker.setMaxListeners(10);
+                 * broker.on(Broker.Events.LEAK, function(data) {
+                 *   log.warn('possible leak of', data.event, data.stack);
+                 * });
+                 */
+                LEAK: 'maxListenersExceeded'
 
             };
         }
@@ -408,8 +3123,534 @@ var Broker = exports.Broker = function () {
 
 Broker.prototype.subscribe = Broker.prototype.addListener = Broker.prototype.on;
 
-Broker.prototype.once = Broker.prototype.one;
-
 Broker.prototype.unsubscribe = Broker.prototype.removeListener = Broker.prototype.off;
 
 Broker.prototype.fire = Broker.prototype.announce = Broker.prototype.emit;
+
+// NODE COMPATIBILITY
+
+function toError(value) {
+    if ((0, _isError3.default)(value)) {
+        return value;
+    }
+    if ((0, _isObjectLike3.default)(value) && (0, _isError3.default)(value.error)) {
+        return value.error;
+    }
+    var error = new Error('Unhandled error.');
+    error.context = value;
+    return error;
+}
+
+/**
+ * A {@link Broker} that follows the contract of Node's `EventEmitter`, so
+ * it can be passed to modules shared between Node and the browser:
+ *
+ *  - `on`, `addListener`, `prependListener`, `once`, `prependOnceListener`,
+ *    `off`, `removeListener`, `removeAllListeners` and `setMaxListeners`
+ *    return the instance for chaining.
+ *  - The same listener can be registered more than once; `off` removes
+ *    the most recently registered instance.
+ *  - `removeAllListeners` removes the listeners of every event if no
+ *    event is specified.
+ *  - `emit` returns whether the event had listeners.
+ *  - Emitting the `error` event without any `error` listeners throws.
+ * @class EventEmitter
+ * @extends Broker
+ * @param [options] {Object} Optional settings for the broker. See
+ *  {@link Broker} for details.
+ * @example
+ * var emitter = new EventEmitter()
+ *   .on('data', function(chunk) { ... })
+ *   .once('end', function() { ... });
+ * emitter.emit('data', chunk); // true
+ * emitter.emit(Broker.Events.ERROR, new Error()); // throws
+ */
+
+var EventEmitter = exports.EventEmitter = function (_Broker) {
+    _inherits(EventEmitter, _Broker);
+
+    function EventEmitter(options) {
+        _classCallCheck(this, EventEmitter);
+
+        var _this16 = _possibleConstructorReturn(this, (EventEmitter.__proto__ || Object.getPrototypeOf(EventEmitter)).call(this, options));
+
+        data.get(_this16).duplicates = true;
+        return _this16;
+    }
+
+    _createClass(EventEmitter, [{
+        key: 'on',
+        value: function on(event, callback, options) {
+            _get(EventEmitter.prototype.__proto__ || Object.getPrototypeOf(EventEmitter.prototype), 'on', this).call(this, event, callback, options);
+            return this;
+        }
+
+        /**
+         * Registers a listener to be invoked before any previously registered
+         * listeners with the same priority.
+         * @function EventEmitter#prependListener
+         * @param event {String} The event to subscribe to.
+         * @param callback {Function} The listener to invoke when the
+         *  specified event is emitted.
+         * @returns {EventEmitter} The instance, for chaining.
+         * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+         * @throws {InvalidCallbackError} Parameter `callback` must be a function.
+         * @fires Broker#listenerAdded
+         */
+
+    }, {
+        key: 'prependListener',
+        value: function prependListener(event, callback) {
+            return this.on(event, callback, { prepend: true });
+        }
+    }, {
+        key: 'once',
+        value: function once(event, callback, options) {
+            _get(EventEmitter.prototype.__proto__ || Object.getPrototypeOf(EventEmitter.prototype), 'one', this).call(this, event, callback, options);
+            return this;
+        }
+
+        /**
+         * Registers a listener to be invoked at most 1 time, before any
+         * previously registered listeners with the same priority.
+         * @function EventEmitter#prependOnceListener
+         * @param event {String} The event to subscribe to.
+         * @param callback {Function} The listener to invoke when the
+         *  specified event is emitted.
+         * @returns {EventEmitter} The instance, for chaining.
+         * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+         * @throws {InvalidCallbackError} Parameter `callback` must be a function.
+         * @fires Broker#listenerAdded
+         */
+
+    }, {
+        key: 'prependOnceListener',
+        value: function prependOnceListener(event, callback) {
+            return this.once(event, callback, { prepend: true });
+        }
+    }, {
+        key: 'off',
+        value: function off(event, callback) {
+            _get(EventEmitter.prototype.__proto__ || Object.getPrototypeOf(EventEmitter.prototype), 'off', this).call(this, event, callback);
+            return this;
+        }
+    }, {
+        key: 'removeAllListeners',
+        value: function removeAllListeners(event) {
+            var _this17 = this;
+
+            (0, _forEach3.default)((0, _isUndefined3.default)(event) ? this.eventNames() : [event], function (name) {
+                return _get(EventEmitter.prototype.__proto__ || Object.getPrototypeOf(EventEmitter.prototype), 'removeAllListeners', _this17).call(_this17, name);
+            });
+            return this;
+        }
+    }, {
+        key: 'setMaxListeners',
+        value: function setMaxListeners(count, event) {
+            _get(EventEmitter.prototype.__proto__ || Object.getPrototypeOf(EventEmitter.prototype), 'setMaxListeners', this).call(this, count, event);
+            return this;
+        }
+    }, {
+        key: 'emit',
+        value: function emit(event) {
+            var _get2;
+
+            var handled = this.hasListeners((0, _isPlainObject3.default)(event) ? event.type : event);
+
+            for (var _len11 = arguments.length, args = Array(_len11 > 1 ? _len11 - 1 : 0), _key11 = 1; _key11 < _len11; _key11++) {
+                args[_key11 - 1] = arguments[_key11];
+            }
+
+            if (!handled && event === Broker.Events.ERROR) {
+                throw toError(args[0]);
+            }
+            (_get2 = _get(EventEmitter.prototype.__proto__ || Object.getPrototypeOf(EventEmitter.prototype), 'emit', this)).call.apply(_get2, [this, event].concat(args));
+            return handled;
+        }
+    }]);
+
+    return EventEmitter;
+}(Broker);
+
+EventEmitter.prototype.addListener = EventEmitter.prototype.on;
+
+EventEmitter.prototype.removeListener = EventEmitter.prototype.off;
+
+// DOM INTEROPERABILITY
+
+function createCustomEvent(type, detail) {
+    /* global CustomEvent */
+    return new CustomEvent(type, { detail: detail });
+}
+
+/**
+ * Forwards the specified events from a DOM `EventTarget` into a {@link Broker}
+ * and from the broker back to the `EventTarget`. Events dispatched on the
+ * target are emitted on the broker with the event's `detail` (or the event
+ * itself, if it has no `detail`) as the only argument. Events emitted on the
+ * broker are dispatched on the target as new events whose `detail` is the
+ * emitted argument (or an array of the emitted arguments, if more than 1).
+ * Events are never forwarded back to where they came from.
+ * @function bridgeEventTarget
+ * @param target {EventTarget} The target to bridge.
+ * @param broker {Broker} The broker to bridge.
+ * @param options {Object} Settings for the bridge.
+ * @param options.events {String[]} The events to forward.
+ * @param [options.createEvent] {Function} Invoked with an event name and
+ *  `detail` to create the event objects dispatched on the target. Creates
+ *  a `CustomEvent` by default.
+ * @returns {Function} A method to invoke to stop forwarding events.
+ * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+ * @example
+ * var stop = bridgeEventTarget(document, broker, {
+ *   events: ['app:theme-changed']
+ * });
+ * document.dispatchEvent(new CustomEvent('app:theme-changed', {
+ *   detail: 'dark'
+ * })); // broker listeners receive 'dark'
+ * broker.emit('app:theme-changed', 'light'); // document listeners invoked
+ * stop(); // stop forwarding events
+ */
+function bridgeEventTarget(target, broker, _ref24) {
+    var events = _ref24.events,
+        _ref24$createEvent = _ref24.createEvent,
+        createEvent = _ref24$createEvent === undefined ? createCustomEvent : _ref24$createEvent;
+
+    var token = Symbol('bridge'),
+        dispatching = {},
+        teardown = (0, _flatMap3.default)(events, function (event) {
+        throwIfNot(isValidEvent, event, EVENT_ERROR, InvalidEventError);
+        // emissions from the target are marked; events dispatched on the
+        // target are tracked by name, so only their own echo is skipped
+        var toBroker = function toBroker(evt) {
+            if (!dispatching[event]) {
+                mark(broker, token, function () {
+                    return broker.emit(event, 'detail' in evt ? evt.detail : evt);
+                });
+            }
+        },
+            off = Broker.prototype.on.call(broker, event, function () {
+            for (var _len12 = arguments.length, args = Array(_len12), _key12 = 0; _key12 < _len12; _key12++) {
+                args[_key12] = arguments[_key12];
+            }
+
+            if (data.get(broker).current === token || dispatching[event]) {
+                return;
+            }
+            dispatching[event] = true;
+            try {
+                target.dispatchEvent(createEvent(event, toPayload(args)));
+            } finally {
+                dispatching[event] = false;
+            }
+        });
+        target.addEventListener(event, toBroker);
+        return [off, function () {
+            return target.removeEventListener(event, toBroker);
+        }];
+    });
+    return function () {
+        return (0, _forEach3.default)(teardown, function (fn) {
+            return fn();
+        });
+    };
+}
+
+// CROSS-CONTEXT TRANSPORT
+
+function isAllowed(patterns, event, delimiter) {
+    return (0, _some3.default)(patterns, function (pattern) {
+        return matches((0, _split3.default)(pattern, delimiter), (0, _split3.default)(event, delimiter));
+    });
+}
+
+function serialize(value) {
+    if ((0, _isError3.default)(value)) {
+        var _ref25;
+
+        var name = value.name,
+            message = value.message,
+            stack = value.stack;
+
+        return _ref25 = {}, _defineProperty(_ref25, ERROR_TAG, true), _defineProperty(_ref25, 'name', name), _defineProperty(_ref25, 'message', message), _defineProperty(_ref25, 'stack', stack), _ref25;
+    }
+    if ((0, _isFunction3.default)(value)) {
+        return undefined;
+    }
+    if ((0, _isArray3.default)(value)) {
+        return value.map(serialize);
+    }
+    if ((0, _isPlainObject3.default)(value)) {
+        return (0, _mapValues3.default)(value, serialize);
+    }
+    return value;
+}
+
+function deserialize(value) {
+    if ((0, _isPlainObject3.default)(value) && value[ERROR_TAG]) {
+        var name = value.name,
+            message = value.message,
+            stack = value.stack;
+
+        return (0, _assign6.default)(new Error(message), { name: name, stack: stack });
+    }
+    if ((0, _isArray3.default)(value)) {
+        return value.map(deserialize);
+    }
+    if ((0, _isPlainObject3.default)(value)) {
+        return (0, _mapValues3.default)(value, deserialize);
+    }
+    return value;
+}
+
+/**
+ * Links a {@link Broker} to a `postMessage`-style port--such as a
+ * `MessagePort`, `Worker`, `BroadcastChannel` or Node's `worker_threads`
+ * `MessagePort`--so brokers in different contexts act as a single bus.
+ * Only events in the `send` allow-list are posted to the port, and only
+ * events in the `receive` allow-list are emitted when messages arrive.
+ * Arguments are converted to a structured-clone-safe format: functions
+ * are removed and errors are sent as plain objects and recreated on
+ * arrival. Events received from the port are never posted back to it.
+ * @function connectPort
+ * @param broker {Broker} The broker to link.
+ * @param port {Object} The port to link. Must have a `postMessage` method and
+ *  either `addEventListener` and `removeEventListener` methods or `on` and
+ *  `off` methods.
+ * @param options {Object} Settings for the link.
+ * @param [options.send] {String[]} The events and wildcard patterns whose
+ *  emissions should be posted to the port.
+ * @param [options.receive] {String[]} The events and wildcard patterns that
+ *  should be emitted when they arrive from the port.
+ * @returns {Function} A method to invoke to unlink the broker and port.
+ * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+ * @example
+ * // in the main thread:
+ * var worker = new Worker('worker.js');
+ * connectPort(broker, worker, {
+ *   send: ['search:query'],
+ *   receive: ['search:results']
+ * });
+ * // in worker.js:
+ * connectPort(broker, self, {
+ *   send: ['search:results'],
+ *   receive: ['search:query']
+ * });
+ * @example
+ * // share events across tabs:
+ * connectPort(broker, new BroadcastChannel('app'), {
+ *   send: ['session:*'],
+ *   receive: ['session:*']
+ * });
+ */
+function connectPort(broker, port, _ref26) {
+    var _ref26$send = _ref26.send,
+        send = _ref26$send === undefined ? [] : _ref26$send,
+        _ref26$receive = _ref26.receive,
+        receive = _ref26$receive === undefined ? [] : _ref26$receive;
+
+    (0, _forEach3.default)((0, _concat3.default)(send, receive), function (event) {
+        return throwIfNot(isValidEvent, event, EVENT_ERROR, InvalidEventError);
+    });
+
+    var _data$get20 = data.get(broker),
+        delimiter = _data$get20.delimiter,
+        origin = (0, _uniqueId3.default)(CHANNEL + '-' + Date.now() + '-'),
+        onMessage = function onMessage(message) {
+        var envelope = (0, _isObjectLike3.default)(message) && 'data' in message ? message.data : message;
+        if (!(0, _isPlainObject3.default)(envelope) || envelope.channel !== CHANNEL || envelope.origin === origin || !isValidEvent(envelope.event) || !isAllowed(receive, envelope.event, delimiter)) {
+            return;
+        }
+        mark(broker, origin, function () {
+            return broker.emit.apply(broker, [envelope.event].concat(_toConsumableArray(deserialize((0, _castArray3.default)(envelope.args)))));
+        });
+    },
+        off = broker.use(function transport(context, next) {
+        var echo = data.get(broker).current === origin,
+            result = next();
+        if (!echo && isAllowed(send, context.event, delimiter)) {
+            port.postMessage({
+                channel: CHANNEL,
+                origin: origin,
+                event: context.event,
+                args: serialize(context.args)
+            });
+        }
+        return result;
+    });
+
+    if ((0, _isFunction3.default)(port.addEventListener)) {
+        port.addEventListener('message', onMessage);
+        if ((0, _isFunction3.default)(port.start)) {
+            port.start();
+        }
+    } else {
+        port.on('message', onMessage);
+    }
+    return function () {
+        off();
+        if ((0, _isFunction3.default)(port.removeEventListener)) {
+            port.removeEventListener('message', onMessage);
+        } else {
+            port.off('message', onMessage);
+        }
+    };
+}
+
+// HISTORY RECORDING
+
+/**
+ * @typedef Recorder
+ * @type {Object}
+ * @property {Function} entries Returns the recorded emissions, oldest first.
+ *  Each entry has `event`, `args` and `timestamp` properties, and a
+ *  `descriptor` property if an object was emitted; `args` and `descriptor`
+ *  are stored in the structured-clone-safe format used by {@link connectPort}.
+ * @property {Function} toJSON Returns the recorded emissions, so the
+ *  recorder can be passed directly to `JSON.stringify`.
+ * @property {Function} load Replaces the recorded emissions with those
+ *  in the specified array or JSON string.
+ * @property {Function} clear Discards the recorded emissions.
+ * @property {Function} stop Stops recording emissions.
+ */
+
+/**
+ * Records every emission on the specified {@link Broker}--except the
+ * built-in [Events]{@link Broker.Events}--into a bounded ring buffer:
+ * once the buffer is full, the oldest emissions are discarded.
+ * Recorded emissions can be exported as JSON and later re-emitted using
+ * [replay]{@link Broker#replay}.
+ * @function recordHistory
+ * @param broker {Broker} The broker whose emissions should be recorded.
+ * @param [options] {Object} Settings for the recorder.
+ * @param [options.size=100] {Number} The maximum number of emissions
+ *  to retain.
+ * @returns {Recorder} The recorder.
+ * @throws {InvalidArgumentError} Option `size` must be a positive integer.
+ * @example
+ * var recorder = recordHistory(broker, {size: 500});
+ * window.onerror = function() {
+ *   report({history: JSON.stringify(recorder)});
+ * };
+ */
+function recordHistory(broker) {
+    var _ref27 = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : {},
+        _ref27$size = _ref27.size,
+        size = _ref27$size === undefined ? 100 : _ref27$size;
+
+    throwIfNot(function (value) {
+        return (0, _isInteger3.default)(value) && value > 0;
+    }, size, SIZE_ERROR);
+    var buffer = [],
+        start = 0,
+        write = function write(entry) {
+        if (buffer.length < size) {
+            buffer.push(entry);
+        } else {
+            buffer[start] = entry;
+            start = (start + 1) % size;
+        }
+    },
+        entries = function entries() {
+        return buffer.slice(start).concat(buffer.slice(0, start));
+    },
+        clear = function clear() {
+        buffer = [];
+        start = 0;
+    },
+        stop = broker.use(function record(context, next) {
+        var event = context.event,
+            args = context.args,
+            descriptor = context.descriptor;
+        // the broker's own bookkeeping events would replay without their callbacks
+
+        if (isBuiltIn(event)) {
+            return next();
+        }
+        write((0, _assign6.default)({ event: event, args: serialize(args), timestamp: Date.now() }, descriptor && {
+            descriptor: serialize((0, _assign6.default)({}, descriptor, { type: event }))
+        }));
+        return next();
+    });
+    return {
+        entries: entries,
+        toJSON: entries,
+        load: function load(log) {
+            clear();
+            (0, _forEach3.default)((0, _isString3.default)(log) ? JSON.parse(log) : log, write);
+        },
+
+        clear: clear,
+        stop: stop
+    };
+}
+
+// CYCLE.JS DRIVER
+
+/**
+ * Creates a Cycle.js driver that wraps the specified {@link Broker}
+ * instance. Sink values should be objects with an `event` property
+ * and an optional `args` array; each one is passed to
+ * [emit]{@link Broker#emit}. The driver's source exposes a `select`
+ * method that returns an observable of payloads emitted for an event;
+ * convert it using your stream library before applying operators. The
+ * source's `dispose` method stops emitting sink values.
+ * @function makeBrokerDriver
+ * @param [broker] {Broker} The broker to wrap. If not provided,
+ *  a new broker instance will be created.
+ * @returns {Function} A Cycle.js driver function.
+ * @example
+ * function main(sources) {
+ *   var click$ = Rx.Observable.from(sources.events.select('button-clicked'));
+ *   return {
+ *     events: click$.map(function(data) {
+ *       return {event: 'log', args: ['clicked', data]};
+ *     })
+ *   };
+ * }
+ * Cycle.run(main, {
+ *   events: makeBrokerDriver(new Broker())
+ * });
+ */
+function makeBrokerDriver() {
+    var broker = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : new Broker();
+
+    return function brokerDriver(sink$) {
+        var subscription = sink$ && sink$.subscribe(function (_ref28) {
+            var event = _ref28.event,
+                _ref28$args = _ref28.args,
+                args = _ref28$args === undefined ? [] : _ref28$args;
+            return broker.emit.apply(broker, [event].concat(_toConsumableArray(args)));
+        });
+        return {
+
+            /**
+             * Returns a stream of payloads emitted for the specified event.
+             * Listeners are registered when the stream is subscribed to and
+             * removed when the subscription is disposed. If the event is
+             * emitted with more than 1 argument, the payload will be an
+             * array of those arguments.
+             * @param event {String} The event to select.
+             * @returns {Object} An observable of emitted payloads.
+             * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+             * @see Broker#observe
+             */
+            select: function select(event) {
+                return broker.observe(event);
+            },
+
+
+            /**
+             * Unsubscribes from the sink stream, so its values are no
+             * longer emitted on the broker.
+             */
+            dispose: function dispose() {
+                if (subscription) {
+                    var stop = subscription.unsubscribe || subscription.dispose;
+                    stop.call(subscription);
+                    subscription = undefined;
+                }
+            }
+        };
+    };
+}
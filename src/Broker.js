@@ -6,23 +6,201 @@
  */
 
 import {
-    uniq,
-    without,
+    find,
+    findLastIndex,
+    reject,
     concat,
     forEach,
+    reduce,
+    flatMap,
+    orderBy,
+    includes,
+    takeRight,
+    split,
+    some,
+    every,
+    values,
+    castArray,
+    tail,
     isString,
+    isBoolean,
+    isArray,
+    isNull,
+    isObjectLike,
+    isRegExp,
     isEmpty,
     isFunction,
+    isFinite,
+    isInteger,
+    isNumber,
     isError,
+    isPlainObject,
+    isUndefined,
+    omitBy,
+    assign,
+    mapValues,
+    uniqueId,
+    has,
     trim,
     attempt,
-    bind,
-    flow
+    bind
 } from 'lodash';
 
 const data = new WeakMap(),
     EVENT_ERROR = 'Parameter `event` must be a non-empty string.',
-    CALLBACK_ERROR = 'Parameter `callback` must be a function.';
+    CALLBACK_ERROR = 'Parameter `callback` must be a function.',
+    SELECTOR_ERROR = 'Parameter `selector` must be a function.',
+    PRIORITY_ERROR = 'Option `priority` must be a finite number.',
+    TIMEOUT_ERROR = 'Option `timeout` must be a finite number.',
+    SIGNAL_ERROR = 'Option `signal` must be an AbortSignal.',
+    NAMESPACE_ERROR = 'Parameter `namespace` must be a non-empty string.',
+    BUBBLE_ERROR = 'Option `bubble` must be a boolean or an array of event names.',
+    COUNT_ERROR = 'Parameter `count` must be a non-negative integer.',
+    TIMES_ERROR = 'Parameter `count` must be a positive integer.',
+    PREDICATE_ERROR = 'Parameter `predicate` must be a function.',
+    MAX_LISTENERS_ERROR = 'Option `maxListeners` must be a non-negative integer.',
+    MIDDLEWARE_ERROR = 'Parameter `middleware` must be a function or an object with `emit` or `invoke` methods.',
+    VALIDATOR_ERROR = 'Parameter `validator` must be a function or schema.',
+    SPEED_ERROR = 'Option `speed` must be a positive number.',
+    SIZE_ERROR = 'Option `size` must be a positive integer.',
+    ON_ERROR_ERROR = 'Option `onError` must be \'report\', \'throw\', \'throwIfUnhandled\' or a function.',
+    ERROR_POLICIES = ['report', 'throw', 'throwIfUnhandled'],
+    LIMITS = Symbol('limits'),
+    BROADCAST = Symbol('broadcast'),
+    OVERFLOW_ERROR = 'Option `overflow` must be \'dropOldest\', \'dropNewest\' or \'error\'.',
+    OVERFLOW_STRATEGIES = ['dropOldest', 'dropNewest', 'error'],
+    RATE_ERROR = 'Only 1 of the `throttle`, `debounce` and `batch` options can be used.',
+    SCHEDULER_ERROR = 'Option `scheduler` must have `setTimeout` and `clearTimeout` methods.',
+    OWNER_ERROR = 'Parameter `owner` must not be undefined.',
+    TAG_ERROR = 'Parameter `tag` must not be undefined.',
+    DISPATCH_ERROR = 'Option `dispatch` must be \'sync\', \'microtask\' or a function.',
+    SCHEDULER = {
+        setTimeout: (fn, wait) => setTimeout(fn, wait),
+        clearTimeout: (id) => clearTimeout(id)
+    },
+    CHANNEL = 'cycle-events',
+    ERROR_TAG = '__cycle-events-error__',
+    SCHEMA_TYPES = {
+        string: isString,
+        number: isFinite,
+        integer: isInteger,
+        boolean: isBoolean,
+        array: isArray,
+        null: isNull,
+        object: (value) => isObjectLike(value) && !isArray(value)
+    };
+
+// ERROR TYPES
+
+function errorType(name, code, Base) {
+    function ErrorType(message, properties) {
+        assign(this, {message}, properties);
+        if (isFunction(Error.captureStackTrace)) {
+            Error.captureStackTrace(this, ErrorType);
+        } else {
+            this.stack = new Base(message).stack;
+        }
+    }
+    ErrorType.prototype = Object.create(Base.prototype, {
+        constructor: {value: ErrorType, writable: true, configurable: true},
+        name: {value: name, writable: true, configurable: true},
+        code: {value: code, writable: true, configurable: true}
+    });
+    return ErrorType;
+}
+
+/**
+ * Thrown when a method is passed an invalid argument or option, or when
+ * emitted arguments do not match an event's [definition]{@link Broker#define}.
+ * Inherits from `TypeError`.
+ * @class InvalidArgumentError
+ * @param message {String} Describes the invalid argument.
+ * @param [properties] {Object} Additional properties to copy to the error.
+ * @property {String} code A machine-readable code: `'ERR_INVALID_ARG'` for
+ *  invalid arguments and options, `'ERR_INVALID_ARGS'` for emitted arguments
+ *  that do not match their definition, or `'ERR_UNDEFINED_EVENT'` for events
+ *  emitted in strict mode without a definition.
+ * @example
+ * try {
+ *   broker.on('event', callback, {priority: 'high'});
+ * } catch (err) {
+ *   log(err.code); // 'ERR_INVALID_ARG'
+ * }
+ */
+export const InvalidArgumentError = errorType('InvalidArgumentError', 'ERR_INVALID_ARG', TypeError);
+
+/**
+ * Thrown when an event name is not a non-empty string.
+ * @class InvalidEventError
+ * @extends InvalidArgumentError
+ * @property {String} code `'ERR_INVALID_EVENT'`
+ */
+export const InvalidEventError = errorType('InvalidEventError', 'ERR_INVALID_EVENT', InvalidArgumentError);
+
+/**
+ * Thrown when a listener is not a function.
+ * @class InvalidCallbackError
+ * @extends InvalidArgumentError
+ * @property {String} code `'ERR_INVALID_CALLBACK'`
+ */
+export const InvalidCallbackError = errorType('InvalidCallbackError', 'ERR_INVALID_CALLBACK', InvalidArgumentError);
+
+/**
+ * Wraps an exception thrown by a listener of the
+ * [error]{@link event:Broker#error} event. Because reporting it through
+ * the `error` event could recurse indefinitely, it is instead rethrown
+ * asynchronously so it reaches the host's global error handler.
+ * @class ListenerError
+ * @extends Error
+ * @property {String} code `'ERR_LISTENER'`
+ * @property {String} event The event the listener was invoked for.
+ * @property {Function} callback The listener that threw.
+ * @property {Array} args The arguments passed to the listener.
+ * @property {Number} [index] The position of the listener among those
+ *  invoked for the emission.
+ * @property {*} cause The exception thrown by the listener.
+ * @example
+ * window.addEventListener('error', function(e) {
+ *   if (e.error && e.error.code === 'ERR_LISTENER') {
+ *     log(e.error.event, e.error.cause);
+ *   }
+ * });
+ */
+export const ListenerError = errorType('ListenerError', 'ERR_LISTENER', Error);
+
+/**
+ * Thrown when a [handler]{@link Broker#handle} cannot be registered, or
+ * used to reject a [request]{@link Broker#request} that cannot be handled.
+ * @class RequestError
+ * @extends Error
+ * @property {String} code A machine-readable code: `'ERR_HANDLER_EXISTS'`
+ *  if a handler is already registered for the event, `'ERR_NO_HANDLER'` if
+ *  no handler is registered for a request, or `'ERR_REQUEST_TIMEOUT'` if a
+ *  request times out.
+ * @property {String} event The event that was handled or requested.
+ * @example
+ * broker.request({type: 'user:get', timeout: 5000}, 123).catch(function(err) {
+ *   if (err.code === 'ERR_REQUEST_TIMEOUT') { ... }
+ * });
+ */
+export const RequestError = errorType('RequestError', 'ERR_REQUEST', Error);
+
+/**
+ * Used to reject a promise returned by [waitFor]{@link Broker#waitFor} or
+ * an iterator returned by [iterate]{@link Broker#iterate} when the
+ * awaited emissions do not arrive as expected.
+ * @class WaitError
+ * @extends Error
+ * @property {String} code A machine-readable code: `'ERR_WAIT_TIMEOUT'` if
+ *  the event was not emitted in time, or `'ERR_QUEUE_OVERFLOW'` if more
+ *  emissions arrived than an iterator could queue.
+ * @property {String} event The event that was awaited.
+ * @example
+ * broker.waitFor('app:ready', {timeout: 1000}).catch(function(err) {
+ *   if (err.code === 'ERR_WAIT_TIMEOUT') { ... }
+ * });
+ */
+export const WaitError = errorType('WaitError', 'ERR_WAIT', Error);
 
 // UTILITY METHODS
 
@@ -34,26 +212,633 @@ function isValidCallback(callback) {
     return isFunction(callback);
 }
 
-function throwIfNot(fn, arg, msg) {
+function throwIfNot(fn, arg, msg, ErrorType = InvalidArgumentError) {
     if (!fn(arg)) {
-        throw new TypeError(msg);
+        throw new ErrorType(msg);
+    }
+}
+
+function isValidPolicy(policy) {
+    return isFunction(policy) || includes(ERROR_POLICIES, policy);
+}
+
+function aggregate(errors, event,
+    message = `Listeners for \`${event}\` threw ${errors.length} exception(s).`) {
+    /* global AggregateError */
+    return typeof AggregateError === 'function' ? new AggregateError(errors, message) :
+        assign(new Error(message), {name: 'AggregateError', errors});
+}
+
+function collect(ctx, event, fn) {
+    let state = data.get(ctx),
+        previous = state.failures,
+        failures = state.failures = [],
+        result;
+    try {
+        result = fn();
+    } finally {
+        state.failures = previous;
+    }
+    if (!isEmpty(failures)) {
+        throw aggregate(failures, event);
+    }
+    return result;
+}
+
+function conclude(failures, event, results) {
+    if (!isEmpty(failures)) {
+        throw aggregate(failures, event);
+    }
+    return results;
+}
+
+function report(ctx, details, failures = data.get(ctx).failures) {
+    let {onError} = data.get(ctx);
+    if (details.event === Broker.Events.ERROR) {
+        return escalate(details);
+    }
+    if (isFunction(onError)) {
+        return onError.call(ctx, details);
+    }
+    if (onError === 'report' || onError === 'throwIfUnhandled' &&
+        ctx.hasListeners(Broker.Events.ERROR)) {
+        return ctx.emit(Broker.Events.ERROR, details);
+    }
+    if (!failures) {
+        throw aggregate([details.error], details.event);
+    }
+    failures.push(details.error);
+}
+
+function escalate(details) {
+    let {event, callback, error, args, index} = details,
+        failure = new ListenerError(`A listener for \`${event}\` threw an exception.`,
+            {event, callback, args, index, cause: error});
+    setTimeout(() => {
+        throw failure;
+    });
+}
+
+function isValidMiddleware(middleware) {
+    return isFunction(middleware) || isObjectLike(middleware) &&
+        (isFunction(middleware.emit) || isFunction(middleware.invoke));
+}
+
+function intercept(ctx, phase, context, last) {
+    let hooks = flatMap(data.get(ctx).middleware, (middleware) =>
+            isFunction(middleware[phase]) ? [middleware[phase]] : []),
+        step = (index) => {
+            if (index >= hooks.length) {
+                return last(context);
+            }
+            let hook = hooks[index],
+                failure = {};
+            try {
+                return hook.call(ctx, context, () => {
+                    try {
+                        failure.called = true;
+                        return step(index + 1);
+                    } catch (error) {
+                        failure.error = error;
+                        throw error;
+                    }
+                });
+            } catch (error) {
+                if (failure.error === error) {
+                    throw error;
+                }
+                if (context.event !== Broker.Events.ERROR) {
+                    report(ctx, {event: context.event, callback: hook, error, args: context.args});
+                } else if (!failure.called) {
+                    // broken middleware must not prevent errors from being reported
+                    return step(index + 1);
+                }
+            }
+        };
+    return step(0);
+}
+
+function dispatch(ctx, emission, args, deliver, marker = take(ctx)) {
+    let descriptor = isPlainObject(emission) ? emission : undefined,
+        event = descriptor ? emission.type : emission,
+        state = data.get(ctx),
+        previous = state.current;
+    throwIfNot(isValidEvent, event, EVENT_ERROR, InvalidEventError);
+    state.current = marker;
+    try {
+        return intercept(ctx, 'emit', {event, args, descriptor}, ({event: type, args: params}) => {
+            throwIfNot(isValidEvent, type, EVENT_ERROR, InvalidEventError);
+            validate(ctx, type, params);
+            return deliver(type, params);
+        });
+    } finally {
+        state.current = previous;
+    }
+}
+
+// Emissions made by the library itself--received from a port, broadcast
+// from a parent--are tagged with a marker so loop guards can recognize
+// them. The marker travels with the emission if it is queued or held
+// by a rate limit, and is exposed as `current` while it is dispatched.
+function mark(ctx, marker, fn) {
+    let state = data.get(ctx);
+    state.marker = marker;
+    try {
+        return fn();
+    } finally {
+        state.marker = undefined;
     }
 }
 
-function announce(event, args, callback) {
+function take(ctx) {
+    let state = data.get(ctx),
+        {marker} = state;
+    state.marker = undefined;
+    return marker;
+}
+
+function announce(event, args, listener, index) {
+    /* jshint -W040 */
+    if (!admit(this, event, args, listener)) {
+        return;
+    }
+    if (listener.limiter) {
+        return listener.limiter.push({event, args, index});
+    }
+    invoke.call(this, event, args, listener, index);
+}
+
+function toParams(event, args, withEvent) {
+    return withEvent ? [event, ...args] : args;
+}
+
+function invoke(event, args, {callback, context: target, withEvent}, index) {
     /* jshint -W040 */
-    let error = attempt(bind(callback, this, ...args));
+    let error;
+    intercept(this, 'invoke', {event, args, callback}, (context) => {
+        let result = attempt(bind(callback, isUndefined(target) ? this : target,
+            ...toParams(event, context.args, withEvent)));
+        if (isError(result)) {
+            error = result;
+        } else {
+            return result;
+        }
+    });
     if (isError(error)) {
-        this.emit(Broker.Events.ERROR, {event, callback, error});
+        report(this, {event, callback, error, args, index});
+    }
+}
+
+function settle(event, args, failures, {callback, limiter, context: target, withEvent}, index) {
+    /* jshint -W040 */
+    if (limiter) {
+        limiter.push({event, args, index});
+        return Promise.resolve({status: 'fulfilled', value: undefined});
+    }
+    return new Promise((resolve) => resolve(intercept(this, 'invoke',
+        {event, args, callback}, (context) => callback.apply(isUndefined(target) ? this : target,
+            toParams(event, context.args, withEvent)))))
+        .then((value) => ({status: 'fulfilled', value}), (error) => {
+            report(this, {event, callback, error, args, index}, failures);
+            return {status: 'rejected', reason: error};
+        });
+}
+
+function createEvent(descriptor) {
+    let evt = assign({}, descriptor, {
+        defaultPrevented: false,
+        propagationStopped: false,
+        immediatePropagationStopped: false,
+        preventDefault() {
+            evt.defaultPrevented = true;
+        },
+        stopPropagation() {
+            evt.propagationStopped = true;
+        },
+        stopImmediatePropagation() {
+            evt.propagationStopped = true;
+            evt.immediatePropagationStopped = true;
+        }
+    });
+    return evt;
+}
+
+function isValidBubble(bubble) {
+    return isBoolean(bubble) || isArray(bubble) && every(bubble, isValidEvent);
+}
+
+function upward(ctx, type) {
+    let {parent, namespace, bubble, delimiter, current} = data.get(ctx);
+    if (!parent || current === BROADCAST || !(bubble === true || some(bubble, (pattern) =>
+        matches(split(pattern, delimiter), split(type, delimiter))))) {
+        return [];
+    }
+    return [parent, namespace ? `${namespace}${delimiter}${type}` : type];
+}
+
+function keep(ctx, type, event, args) {
+    let {retained} = data.get(ctx);
+    if (has(retained, type)) {
+        let entry = retained[type];
+        entry.emissions = takeRight(concat(entry.emissions, {event, args}), entry.count);
+    }
+}
+
+function replay(ctx, event, listener) {
+    let {retained, delimiter} = data.get(ctx),
+        pattern = split(event, delimiter);
+    forEach(retained, ({emissions}, type) => {
+        if (type !== event && !(isPattern(event, delimiter) &&
+            matches(pattern, split(type, delimiter)))) {
+            return;
+        }
+        forEach(emissions, ({event: emitted, args}) => {
+            if (!includes(info(ctx, event).listeners, listener)) {
+                return false;
+            }
+            announce.call(ctx, type, isPlainObject(emitted) ?
+                [createEvent(emitted), ...args] : args, listener);
+        });
+    });
+}
+
+function isValidValidator(validator) {
+    return isFunction(validator) || isPlainObject(validator) || isArray(validator);
+}
+
+function conforms(schema, value) {
+    let {type, required, properties, items, pattern, minimum, maximum, minLength, maxLength} = schema;
+    return (isUndefined(type) || some(castArray(type), (name) =>
+            has(SCHEMA_TYPES, name) && SCHEMA_TYPES[name](value))) &&
+        (isUndefined(schema.enum) || includes(schema.enum, value)) &&
+        (!isFinite(value) ||
+            (isUndefined(minimum) || value >= minimum) && (isUndefined(maximum) || value <= maximum)) &&
+        (!isString(value) ||
+            (isUndefined(minLength) || value.length >= minLength) &&
+            (isUndefined(maxLength) || value.length <= maxLength) &&
+            (isUndefined(pattern) || (isRegExp(pattern) ? pattern : new RegExp(pattern)).test(value))) &&
+        (!isObjectLike(value) || isArray(value) ||
+            every(required, (key) => has(value, key)) &&
+            every(properties, (child, key) => !has(value, key) || conforms(child, value[key]))) &&
+        (!isArray(value) || isUndefined(items) ||
+            every(value, (item) => conforms(items, item)));
+}
+
+function validate(ctx, type, args) {
+    let {validators, strict} = data.get(ctx);
+    if (has(validators, type)) {
+        let validator = validators[type],
+            valid = isFunction(validator) ? validator.apply(ctx, args) :
+                isArray(validator) ? every(validator, (schema, index) => conforms(schema, args[index])) :
+                conforms(validator, args[0]);
+        if (!valid) {
+            throw new InvalidArgumentError(`Arguments emitted for \`${type}\` must match its definition.`,
+                {code: 'ERR_INVALID_ARGS', event: type});
+        }
+    } else if (strict && !isBuiltIn(type)) {
+        throw new InvalidArgumentError(`Event \`${type}\` must be defined before it is emitted.`,
+                {code: 'ERR_UNDEFINED_EVENT', event: type});
+    }
+}
+
+function isValidCount(count) {
+    return isInteger(count) && count >= 0;
+}
+
+function detectLeak(ctx, event) {
+    let {limits, maxListeners, warned} = data.get(ctx),
+        max = has(limits, event) ? limits[event] : maxListeners,
+        count = info(ctx, event).listeners.length;
+    if (max === 0 || count <= max) {
+        delete warned[event];
+    } else if (!has(warned, event)) {
+        warned[event] = true;
+        ctx.emit(Broker.Events.LEAK, {event, count, max, stack: new Error().stack});
+    }
+}
+
+function isValidSignal(signal) {
+    return isUndefined(signal) ||
+        isObjectLike(signal) && isFunction(signal.addEventListener);
+}
+
+function track(ctx, event, listener) {
+    let {signal} = listener,
+        {signals} = data.get(ctx),
+        entry = signals.get(signal);
+    if (!entry) {
+        entry = {
+            subscriptions: [],
+            abort: () => forEach(entry.subscriptions, (subscription) =>
+                detach(ctx, subscription.event, subscription.listener))
+        };
+        signals.set(signal, entry);
+        signal.addEventListener('abort', entry.abort);
+    }
+    entry.subscriptions = concat(entry.subscriptions, {event, listener});
+}
+
+function release(ctx, listener) {
+    let {signal} = listener,
+        {signals} = data.get(ctx),
+        entry = signals.get(signal);
+    entry.subscriptions = reject(entry.subscriptions, (subscription) =>
+        subscription.listener === listener);
+    if (isEmpty(entry.subscriptions)) {
+        signals.delete(signal);
+        signal.removeEventListener('abort', entry.abort);
+    }
+}
+
+function toDetails(event, {callback, tag, owner, metadata}) {
+    return omitBy({event, callback, tag, owner, metadata}, isUndefined);
+}
+
+function purge(ctx, predicate) {
+    let {map, keys} = data.get(ctx);
+    forEach(keys, (key, event) => forEach(map.get(key), (listener) => {
+        if (predicate(listener)) {
+            detach(ctx, event, listener);
+        }
+    }));
+}
+
+function detach(ctx, event, listener) {
+    let {key, map, listeners} = info(ctx, event),
+        updated = reject(listeners, (item) => item === listener);
+    if (listeners.length !== updated.length) {
+        if (isEmpty(updated)) {
+            map.delete(key);
+        } else {
+            map.set(key, updated);
+        }
+        if (listener.signal) {
+            release(ctx, listener);
+        }
+        if (listener.limiter) {
+            listener.limiter.cancel();
+        }
+        ctx.fire(Broker.Events.REMOVED, toDetails(event, listener));
+        detectLeak(ctx, event);
     }
 }
 
+function toPayload(args) {
+    return args.length > 1 ? args : args[0];
+}
+
+function toObserver(next, error, complete) {
+    return isFunction(next) ? {next, error, complete} : next || {};
+}
+
+function observableKey() {
+    return isFunction(Symbol) && Symbol.observable || '@@observable';
+}
+
 function info(ctx, event) {
     let {map, keys} = data.get(ctx),
         key = keys[event] = keys[event] || {};
     return {map, key, listeners: map.get(key) || []};
 }
 
+function admit(ctx, event, args, listener) {
+    let {predicate, remaining} = listener;
+    if (predicate) {
+        let passed = attempt(() => predicate.apply(ctx, args));
+        if (isError(passed)) {
+            report(ctx, {event, callback: listener.callback, error: passed, args});
+            return false;
+        }
+        if (!passed) {
+            return false;
+        }
+    }
+    if (!isUndefined(remaining) && --listener.remaining <= 0) {
+        detach(ctx, listener.event, listener);
+    }
+    return true;
+}
+
+function isValidScheduler(scheduler) {
+    return isObjectLike(scheduler) && every(['setTimeout', 'clearTimeout'],
+        (method) => isFunction(scheduler[method]));
+}
+
+function toArgs(items, batched) {
+    return batched ? [items.map(({args}) => args)] : items[0].args;
+}
+
+function toTiming(name, value, defaults) {
+    let timing = isPlainObject(value) ? assign({}, defaults, value) : assign({}, defaults, {wait: value});
+    throwIfNot(({wait}) => isFinite(wait) && wait >= 0, timing,
+        `Option \`${name}\` must be a non-negative number or an object with a \`wait\` property.`);
+    return timing;
+}
+
+function createLimiter(ctx, {throttle, debounce, batch}, deliver) {
+    let given = reject([throttle, debounce, batch], isUndefined);
+    if (isEmpty(given)) {
+        return undefined;
+    }
+    throwIfNot((count) => count === 1, given.length, RATE_ERROR);
+    let {scheduler} = data.get(ctx),
+        timer = null,
+        pending = [],
+        schedule = (fn, wait) => {
+            scheduler.clearTimeout(timer);
+            timer = scheduler.setTimeout(fn, wait);
+        },
+        release = () => {
+            let items = pending;
+            pending = [];
+            if (!isEmpty(items)) {
+                deliver(items);
+            }
+        },
+        limiter = {
+            cancel() {
+                scheduler.clearTimeout(timer);
+                timer = null;
+                pending = [];
+            }
+        };
+    if (!isUndefined(throttle)) {
+        let {wait, leading, trailing} = toTiming('throttle', throttle, {leading: true, trailing: true}),
+            flush = () => {
+                timer = null;
+                if (trailing && !isEmpty(pending)) {
+                    release();
+                    schedule(flush, wait);
+                }
+                pending = [];
+            };
+        limiter.push = (item) => {
+            pending = [item];
+            if (isNull(timer)) {
+                if (leading) {
+                    release();
+                }
+                schedule(flush, wait);
+            }
+        };
+    } else if (!isUndefined(debounce)) {
+        let {wait, leading, trailing} = toTiming('debounce', debounce, {leading: false, trailing: true}),
+            flush = () => {
+                timer = null;
+                if (trailing) {
+                    release();
+                }
+                pending = [];
+            };
+        limiter.push = (item) => {
+            let immediate = leading && isNull(timer);
+            pending = [item];
+            schedule(flush, wait);
+            if (immediate) {
+                release();
+            }
+        };
+    } else {
+        let {wait, size} = toTiming('batch', batch, {size: Infinity}),
+            flush = () => {
+                scheduler.clearTimeout(timer);
+                timer = null;
+                release();
+            };
+        limiter.push = (item) => {
+            pending.push(item);
+            if (pending.length >= size) {
+                flush();
+            } else if (isNull(timer)) {
+                schedule(flush, wait);
+            }
+        };
+    }
+    return limiter;
+}
+
+function isValidDispatch(mode) {
+    return mode === 'sync' || mode === 'microtask' || isFunction(mode);
+}
+
+function hold(ctx, event, args, marker, defer = data.get(ctx).dispatch !== 'sync') {
+    let state = data.get(ctx),
+        type = isPlainObject(event) ? event.type : event,
+        limiter = state.rates[type];
+    if (state.releasing) {
+        state.releasing = false;
+        return false;
+    }
+    if (limiter || defer) {
+        // held emissions are validated now, while the caller can still catch
+        throwIfNot(isValidEvent, type, EVENT_ERROR, InvalidEventError);
+        validate(ctx, type, args);
+    }
+    if (limiter) {
+        limiter.push({event, args, marker});
+        return true;
+    }
+    if (defer) {
+        state.queue.push({event, args, marker});
+        schedule(ctx);
+        return true;
+    }
+    return false;
+}
+
+function schedule(ctx) {
+    let state = data.get(ctx),
+        drain = () => {
+            let failures = [];
+            flush(ctx, failures);
+            // nothing awaits a scheduled drain, so surface failures like a timer would
+            forEach(failures, (error) => setTimeout(() => {
+                throw error;
+            }));
+        };
+    if (state.scheduled || state.draining || isEmpty(state.queue)) {
+        return;
+    }
+    state.scheduled = true;
+    if (isFunction(state.dispatch)) {
+        state.dispatch(drain);
+    } else {
+        Promise.resolve().then(drain);
+    }
+}
+
+function resume(ctx, event, args, marker) {
+    let state = data.get(ctx);
+    state.releasing = true;
+    try {
+        return mark(ctx, marker, () => ctx.emit(event, ...args));
+    } finally {
+        // the emission may throw before `hold` consumes the flag
+        state.releasing = false;
+    }
+}
+
+function flush(ctx, failures) {
+    let state = data.get(ctx);
+    state.scheduled = false;
+    if (state.draining) {
+        return;
+    }
+    state.draining = true;
+    try {
+        while (!isEmpty(state.queue)) {
+            let {event, args, marker} = state.queue.shift(),
+                type = isPlainObject(event) ? event.type : event;
+            try {
+                resume(ctx, event, args, marker);
+            } catch (error) {
+                // an unhandled `error` emission did not come from an `error` listener
+                if (type === Broker.Events.ERROR) {
+                    failures.push(error);
+                } else {
+                    report(ctx, {event: type, error, args}, failures);
+                }
+            }
+        }
+    } finally {
+        state.draining = false;
+        schedule(ctx);
+    }
+}
+
+function isPattern(event, delimiter) {
+    return some(split(event, delimiter), (segment) =>
+        segment === '*' || segment === '**');
+}
+
+function matches(pattern, parts) {
+    if (isEmpty(pattern)) {
+        return isEmpty(parts);
+    }
+    let [segment, ...rest] = pattern;
+    if (segment === '**') {
+        return matches(rest, parts) ||
+            !isEmpty(parts) && matches(pattern, tail(parts));
+    }
+    return !isEmpty(parts) &&
+        (segment === '*' || segment === parts[0]) &&
+        matches(rest, tail(parts));
+}
+
+function isBuiltIn(event) {
+    return includes(values(Broker.Events), event);
+}
+
+function subscribers(ctx, event) {
+    let {map, keys, delimiter} = data.get(ctx),
+        parts = split(event, delimiter),
+        exact = isBuiltIn(event);
+    return orderBy(flatMap(keys, (key, name) =>
+        name === event || !exact && isPattern(name, delimiter) &&
+            matches(split(name, delimiter), parts) ?
+            map.get(key) || [] : []), ['priority', 'order'], ['desc', 'asc']);
+}
+
 /**
  * Provides pub/sub functionality to Cycle.js applications.
  * @class Broker
@@ -65,6 +850,12 @@ function info(ctx, event) {
  * broker.emit('my-custom-event', 'arg1', 'arg2'); // fire event
  * off(); // remove the event handler
  * @example
+ * // listen to hierarchical events using wildcards:
+ * var broker = new Broker({delimiter: '.'});
+ * broker.on('cart.*', function() { ... }); // cart.checkout
+ * broker.on('cart.**', function() { ... }); // cart, cart.item.added
+ * broker.on('**', function() { ... }); // every event
+ * @example
  * // add pub/sub functionality to a class and
  * // automatically log any errors caused by
  * // subscribers of the class:
@@ -82,54 +873,239 @@ function info(ctx, event) {
  */
 export class Broker {
 
-    constructor() {
+    /**
+     * @param [options] {Object} Optional settings for the broker.
+     * @param [options.delimiter=':'] {String} The string separating
+     *  the segments of hierarchical event names. Event segments of `*`
+     *  match exactly 1 segment; segments of `**` match 0 or more segments.
+     * @param [options.strict=false] {Boolean} Whether to throw if an event
+     *  is emitted without being declared using [define]{@link Broker#define}.
+     *  Built-in [Events]{@link Broker.Events} can always be emitted.
+     * @param [options.maxListeners=0] {Number} The number of listeners an
+     *  event can have before the [maxListenersExceeded]{@link event:Broker#maxListenersExceeded}
+     *  event is emitted. Use 0 for no limit.
+     * @param [options.onError='report'] {String|Function} How exceptions
+     *  thrown by listeners are handled:
+     *  - `'report'` emits the [error]{@link event:Broker#error} event.
+     *  - `'throw'` invokes the remaining listeners and then throws an
+     *    `AggregateError` of every exception; promises returned by
+     *    [emitAsync]{@link Broker#emitAsync} and [emitSerial]{@link Broker#emitSerial}
+     *    are rejected with it instead.
+     *  - `'throwIfUnhandled'` behaves like `'report'` if the `error` event
+     *    has listeners, or like `'throw'` if it does not.
+     *  - A function is invoked with the `error` event payload instead of
+     *    emitting the event.
+     * @param [options.scheduler] {Object} The timers used for
+     *  [rate control]{@link Broker#rateLimit}, with `setTimeout` and
+     *  `clearTimeout` methods. Defaults to the global timers; tests can
+     *  provide a virtual scheduler instead.
+     * @param [options.dispatch='sync'] {String|Function} When listeners are
+     *  invoked. `'sync'` invokes them before [emit]{@link Broker#emit} returns.
+     *  `'microtask'` [defers]{@link Broker#defer} every emission to a queue
+     *  that is drained in a microtask, so emissions made by listeners run
+     *  after the current emission completes. A function is used as the
+     *  scheduler instead: it is invoked with a method that drains the queue.
+     *  Arguments are validated before an emission is queued. Exceptions
+     *  thrown while draining are handled according to the `onError` option;
+     *  if it throws, they are rethrown asynchronously.
+     * @throws {InvalidArgumentError} Option `maxListeners` must be a non-negative integer.
+     * @throws {InvalidArgumentError} Option `dispatch` must be 'sync', 'microtask'
+     *  or a function.
+     * @throws {InvalidArgumentError} Option `scheduler` must have `setTimeout` and
+     *  `clearTimeout` methods.
+     * @throws {InvalidArgumentError} Option `onError` must be 'report', 'throw',
+     *  'throwIfUnhandled' or a function.
+     * @example
+     * // surface listener failures in tests:
+     * var broker = new Broker({onError: 'throw'});
+     * @example
+     * // drain emissions once per animation frame:
+     * var broker = new Broker({dispatch: requestAnimationFrame});
+     * @example
+     * var broker = new Broker({
+     *   onError: function(data) {
+     *     telemetry.track(data.event, data.error);
+     *   }
+     * });
+     */
+    constructor({delimiter = ':', strict = false, maxListeners = 0, onError = 'report',
+        scheduler = SCHEDULER, dispatch = 'sync'} = {}) {
+        throwIfNot(isValidCount, maxListeners, MAX_LISTENERS_ERROR);
+        throwIfNot(isValidDispatch, dispatch, DISPATCH_ERROR);
+        throwIfNot(isValidPolicy, onError, ON_ERROR_ERROR);
+        throwIfNot(isValidScheduler, scheduler, SCHEDULER_ERROR);
         data.set(this, {
             keys: {},
-            map: new WeakMap()
+            map: new WeakMap(),
+            delimiter,
+            first: 0,
+            last: 0,
+            handlers: {},
+            retained: {},
+            validators: {},
+            middleware: [],
+            strict,
+            maxListeners,
+            limits: {},
+            warned: {},
+            duplicates: false,
+            wrappers: new WeakMap(),
+            signals: new WeakMap(),
+            parent: null,
+            namespace: undefined,
+            bubble: false,
+            marker: undefined,
+            current: undefined,
+            children: [],
+            onError,
+            failures: undefined,
+            scheduler,
+            rates: {},
+            releasing: false,
+            dispatch,
+            queue: [],
+            scheduled: false,
+            draining: false
         });
     }
 
     /**
-     * Registers a listener for the specified event.
+     * Registers a listener for the specified event. The event can be
+     * a wildcard pattern such as `'cart:*'` or `'**'`, in which case
+     * the listener will be invoked for every matching event except the
+     * built-in [Events]{@link Broker.Events}, which only invoke listeners
+     * registered for their exact names. If the event
+     * has been marked as sticky using [retain]{@link Broker#retain}, the
+     * listener will be invoked immediately with any retained emissions.
      * @function Broker#on
      * @alias Broker#subscribe
      * @alias Broker#addListener
-     * @param event {String} The event to subscribe to.
+     * @param event {String} The event or wildcard pattern to subscribe to.
      * @param callback {Function} The listener to invoke when the
      *  specified event is emitted.
+     * @param [options] {Object} Optional settings for the listener.
+     * @param [options.priority=0] {Number} Listeners with a higher priority
+     *  are invoked before listeners with a lower priority. Listeners with
+     *  the same priority are invoked in the order they were registered.
+     * @param [options.prepend=false] {Boolean} Whether to invoke the listener
+     *  before any previously registered listeners with the same priority.
+     * @param [options.signal] {AbortSignal} A signal that removes the listener
+     *  when aborted. If the signal has already been aborted, the listener
+     *  will not be registered.
+     * @param [options.throttle] {Number|Object} Limits how often the
+     *  listener is invoked. See [rateLimit]{@link Broker#rateLimit}.
+     * @param [options.debounce] {Number|Object} Delays the listener until
+     *  emissions pause. See [rateLimit]{@link Broker#rateLimit}.
+     * @param [options.batch] {Number|Object} Collects emissions and invokes
+     *  the listener with an array of them. See [rateLimit]{@link Broker#rateLimit}.
+     * @param [options.context] {*} The value of `this` when the listener is
+     *  invoked. Defaults to the broker.
+     * @param [options.withEvent=false] {Boolean} Whether to pass the name of
+     *  the emitted event to the listener before the emitted arguments.
+     *  Useful for listeners registered for wildcard patterns.
+     * @param [options.tag] {*} An identifier used to remove related listeners
+     *  with [offByTag]{@link Broker#offByTag}.
+     * @param [options.owner] {*} The component that registered the listener,
+     *  used to remove its listeners with [offByOwner]{@link Broker#offByOwner}.
+     * @param [options.metadata] {*} Arbitrary data describing the listener.
+     *  The `tag`, `owner` and `metadata` options are included in the
+     *  [listenerAdded]{@link event:Broker#listenerAdded} and
+     *  [listenerRemoved]{@link event:Broker#listenerRemoved} payloads.
      * @returns {Function} A method to invoke to remove the listener
      *  from the specified event.
-     * @throws {TypeError} Parameter `event` must be a non-empty string.
-     * @throws {TypeError} Parameter `callback` must be a function.
+     * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+     * @throws {InvalidCallbackError} Parameter `callback` must be a function.
+     * @throws {InvalidArgumentError} Option `priority` must be a finite number.
+     * @throws {InvalidArgumentError} Option `signal` must be an AbortSignal.
+     * @throws {InvalidArgumentError} Only 1 of the `throttle`, `debounce` and
+     *  `batch` options can be used.
      * @fires Broker#listenerAdded
      * @example
      * // register an event handler:
      * broker.on('my-custom-event', myEventHandler(arg1, arg2) { ... };
      * // invoke the event handler (any any others registered):
      * broker.emit('my-custom-event', 'arg1', 'arg2');
+     * @example
+     * // ensure a handler runs before other handlers:
+     * broker.on('navigate', checkPermissions, {priority: 10});
+     * @example
+     * // remove several handlers at once:
+     * var controller = new AbortController();
+     * broker.on('user:login', onLogin, {signal: controller.signal});
+     * broker.on('user:logout', onLogout, {signal: controller.signal});
+     * controller.abort(); // both handlers removed
+     * @example
+     * // re-render at most once per animation frame:
+     * broker.on('window:resize', render, {throttle: 16});
+     * @example
+     * // log every event:
+     * broker.on('**', function(event, ...args) {
+     *   log(event, args);
+     * }, {withEvent: true});
+     * @example
+     * // invoke a method of a component:
+     * broker.on('cart:changed', this.update, {context: this, owner: this});
+     * // ... later, when the component is destroyed:
+     * broker.offByOwner(this);
      */
-    on(event, callback) {
-        throwIfNot(isValidEvent, event, EVENT_ERROR);
-        throwIfNot(isValidCallback, callback, CALLBACK_ERROR);
-        let {map, key, listeners} = info(this, event);
-        map.set(key, uniq(concat(listeners, callback)));
-        this.fire(Broker.Events.ADDED, {event, callback});
+    on(event, callback, options = {}) {
+        let {priority = 0, prepend = false, signal, context, withEvent = false, tag, owner, metadata,
+            [LIMITS]: limits} = options;
+        throwIfNot(isValidEvent, event, EVENT_ERROR, InvalidEventError);
+        throwIfNot(isValidCallback, callback, CALLBACK_ERROR, InvalidCallbackError);
+        throwIfNot(isFinite, priority, PRIORITY_ERROR);
+        throwIfNot(isValidSignal, signal, SIGNAL_ERROR);
+        let limiter = createLimiter(this, options, (items) => {
+            let {event: type, index} = items[items.length - 1];
+            invoke.call(this, type, toArgs(items, !isUndefined(options.batch)), listener, index);
+        });
+        if (signal && signal.aborted) {
+            return () => {};
+        }
+        let {map, key, listeners} = info(this, event),
+            state = data.get(this),
+            listener = (state.duplicates || !find(listeners, {callback})) && assign({
+                callback,
+                priority,
+                order: prepend ? --state.first : ++state.last,
+                signal,
+                limiter,
+                context,
+                withEvent,
+                tag,
+                owner,
+                metadata
+            }, limits && assign({event}, limits));
+        if (listener) {
+            map.set(key, concat(listeners, listener));
+            if (signal) {
+                track(this, event, listener);
+            }
+        }
+        this.fire(Broker.Events.ADDED, toDetails(event, {callback, tag, owner, metadata}));
+        if (listener) {
+            detectLeak(this, event);
+            replay(this, event, listener);
+        }
         return () => this.off(event, callback);
     }
 
     /**
      * Registers a listener for the specified event, but ensures the
-     * listener will only be fired at most 1 time. Once a listener has
-     * been invoked, it will automatically be removed.
+     * listener will only be fired at most 1 time. The listener is removed
+     * just before it is invoked, and can also be removed beforehand by
+     * passing it to [off]{@link Broker#off}.
      * @function Broker#one
-     * @alias Broker#once
      * @param event {String} The event to subscribe to.
      * @param callback {Function} The listener to invoke when the
      *  specified event is emitted.
+     * @param [options] {Object} Optional settings for the listener. See
+     *  [on]{@link Broker#on} for details.
      * @returns {Function} A method to invoke to remove the listener
      *  from the specified event.
-     * @throws {TypeError} Parameter `event` must be a non-empty string.
-     * @throws {TypeError} Parameter `callback` must be a function.
+     * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+     * @throws {InvalidCallbackError} Parameter `callback` must be a function.
+     * @throws {InvalidArgumentError} Option `priority` must be a finite number.
      * @fires Broker#listenerAdded
      * @example
      * // register a handler to only run once:
@@ -137,12 +1113,67 @@ export class Broker {
      * // the handler will be removed after being invoked:
      * broker.emit('my-custom-event', 'arg1', 'arg2');
      */
-    one(event, callback) {
-        let single = flow(
-            () => callback(...arguments),
-            () => this.off(event, single)
-        );
-        return this.on(event, single);
+    one(event, callback, options) {
+        return this.on(event, callback, assign({[LIMITS]: {remaining: 1}}, options));
+    }
+
+    /**
+     * Registers a listener for the specified event that will be fired at
+     * most the specified number of times, after which it will automatically
+     * be removed.
+     * @function Broker#many
+     * @param event {String} The event to subscribe to.
+     * @param count {Number} The number of times the listener can be invoked.
+     * @param callback {Function} The listener to invoke when the
+     *  specified event is emitted.
+     * @param [options] {Object} Optional settings for the listener. See
+     *  [on]{@link Broker#on} for details.
+     * @returns {Function} A method to invoke to remove the listener
+     *  from the specified event.
+     * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+     * @throws {InvalidArgumentError} Parameter `count` must be a positive integer.
+     * @throws {InvalidCallbackError} Parameter `callback` must be a function.
+     * @fires Broker#listenerAdded
+     * @example
+     * broker.many('retry', 3, function attempt() { ... });
+     */
+    many(event, count, callback, options) {
+        throwIfNot((value) => isInteger(value) && value > 0, count, TIMES_ERROR);
+        return this.on(event, callback, assign({[LIMITS]: {remaining: count}}, options));
+    }
+
+    /**
+     * Registers a listener for the specified event that will be fired at
+     * most 1 time. If a predicate is provided, the listener is fired--and
+     * removed--on the first emission whose arguments satisfy the predicate;
+     * otherwise, this method behaves the same as [one]{@link Broker#one}.
+     * If the predicate throws, the [error]{@link event:Broker#error} event
+     * is emitted and the listener is not invoked.
+     * @function Broker#once
+     * @param event {String} The event to subscribe to.
+     * @param [predicate] {Function} Invoked with the emitted arguments;
+     *  should return `true` if the listener should be invoked.
+     * @param callback {Function} The listener to invoke when the
+     *  specified event is emitted.
+     * @param [options] {Object} Optional settings for the listener. See
+     *  [on]{@link Broker#on} for details.
+     * @returns {Function} A method to invoke to remove the listener
+     *  from the specified event.
+     * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+     * @throws {InvalidArgumentError} Parameter `predicate` must be a function.
+     * @throws {InvalidCallbackError} Parameter `callback` must be a function.
+     * @fires Broker#listenerAdded
+     * @example
+     * broker.once('download:progress', function(percent) {
+     *   return percent >= 50;
+     * }, function halfway() { ... });
+     */
+    once(event, predicate, callback, options) {
+        if (!isFunction(callback)) {
+            return this.one(event, predicate, callback);
+        }
+        throwIfNot(isFunction, predicate, PREDICATE_ERROR);
+        return this.on(event, callback, assign({[LIMITS]: {remaining: 1, predicate}}, options));
     }
 
     /**
@@ -150,11 +1181,11 @@ export class Broker {
      * @function Broker#off
      * @alias Broker#unsubscribe
      * @alias Broker#removeListener
-     * @param event {String} The event whose listener should
-     *  be removed.
+     * @param event {String} The event or wildcard pattern whose
+     *  listener should be removed.
      * @param callback {Function} The listener to remove.
-     * @throws {TypeError} Parameter `event` must be a non-empty string.
-     * @throws {TypeError} Parameter `callback` must be a function.
+     * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+     * @throws {InvalidCallbackError} Parameter `callback` must be a function.
      * @fires Broker#listenerRemoved
      * @example
      * function myHandler() { ... }
@@ -162,17 +1193,12 @@ export class Broker {
      * broker.off('my-custom-event', myHandler);
      */
     off(event, callback) {
-        throwIfNot(isValidEvent, event, EVENT_ERROR);
-        throwIfNot(isValidCallback, callback, CALLBACK_ERROR);
-        let {key, map, listeners} = info(this, event),
-            updated = without(listeners, callback);
-        if (listeners.length !== updated.length) {
-            if (isEmpty(updated)) {
-                map.delete(key);
-            } else {
-                map.set(key, updated);
-            }
-            this.fire(Broker.Events.REMOVED, {event, callback});
+        throwIfNot(isValidEvent, event, EVENT_ERROR, InvalidEventError);
+        throwIfNot(isValidCallback, callback, CALLBACK_ERROR, InvalidCallbackError);
+        let {listeners} = info(this, event),
+            index = findLastIndex(listeners, {callback});
+        if (index !== -1) {
+            detach(this, event, listeners[index]);
         }
     }
 
@@ -181,8 +1207,8 @@ export class Broker {
      * @function Broker#removeAllListeners
      * @param event {String} The event whose listeners should
      *  all be removed.
-     * @throws {TypeError} Parameter `event` must be a non-empty string.
-     * @throws {TypeError} Parameter `callback` must be a function.
+     * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+     * @throws {InvalidCallbackError} Parameter `callback` must be a function.
      * @fires Broker#listenerRemoved
      * @example
      * broker.on('custom-event', function myHandler1() { ... });
@@ -192,45 +1218,1147 @@ export class Broker {
      * broker.emit('custom-event'); // no handlers invoked
      */
     removeAllListeners(event) {
-        throwIfNot(isValidEvent, event, EVENT_ERROR);
+        throwIfNot(isValidEvent, event, EVENT_ERROR, InvalidEventError);
         let {listeners} = info(this, event);
-        forEach(listeners, (callback) =>
+        forEach(listeners, ({callback}) =>
             this.off(event, callback));
     }
 
     /**
-     * Invokes any listeners for the specified event--in the order they
-     * were registered--and passes any provided arguments to those listeners.
-     * If a listener throws an exception, the [error]{@link event:Broker#error}
-     * event will be emitted but subsequent listeners will still be invoked.
-     * @function Broker#emit
-     * @alias Broker#fire
-     * @alias Broker#announce
-     * @param event {String} The event to emit.
-     * @param args {*} Any additional arguments to pass to listeners.
-     * @throws {TypeError} Parameter `event` must be a non-empty string.
-     * @fires Broker#error
-     * @example
-     * broker.on('my-custom-event', function() { ... });
-     * broker.emit('my-custom-event'); // handler fired
+     * Removes every listener registered with the specified `owner` option,
+     * for any event or wildcard pattern.
+     * @function Broker#offByOwner
+     * @param owner {*} The owner whose listeners should be removed.
+     * @throws {InvalidArgumentError} Parameter `owner` must not be undefined.
+     * @fires Broker#listenerRemoved
      * @example
-     * broker.on('log', function(msg, ...args) {
-     *    log.write(msg, args);
-     * });
-     * broker.emit('log', 'Today is %s', new Date());
+     * broker.on('user:login', onLogin, {owner: widget});
+     * broker.on('user:logout', onLogout, {owner: widget});
+     * broker.offByOwner(widget); // both listeners removed
+     */
+    offByOwner(owner) {
+        throwIfNot((value) => !isUndefined(value), owner, OWNER_ERROR);
+        purge(this, (listener) => listener.owner === owner);
+    }
+
+    /**
+     * Removes every listener registered with the specified `tag` option,
+     * for any event or wildcard pattern.
+     * @function Broker#offByTag
+     * @param tag {*} The tag whose listeners should be removed.
+     * @throws {InvalidArgumentError} Parameter `tag` must not be undefined.
+     * @fires Broker#listenerRemoved
      * @example
-     * broker.on('add', function(...nums) {
+     * broker.on('socket:message', onMessage, {tag: 'realtime'});
+     * broker.on('socket:close', onClose, {tag: 'realtime'});
+     * broker.offByTag('realtime'); // both listeners removed
+     */
+    offByTag(tag) {
+        throwIfNot((value) => !isUndefined(value), tag, TAG_ERROR);
+        purge(this, (listener) => listener.tag === tag);
+    }
+
+    /**
+     * Returns a copy of the listeners that would be invoked if the specified
+     * event were emitted, in the order they would be invoked. This includes
+     * listeners registered for wildcard patterns matching the event.
+     * @function Broker#listeners
+     * @param event {String} The event whose listeners should be returned.
+     * @returns {Function[]} The listeners for the specified event.
+     * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+     * @example
+     * broker.on('event', function second() { ... });
+     * broker.on('event', function first() { ... }, {prepend: true});
+     * broker.listeners('event'); // [first, second]
+     */
+    listeners(event) {
+        throwIfNot(isValidEvent, event, EVENT_ERROR, InvalidEventError);
+        return subscribers(this, event).map(({callback}) => callback);
+    }
+
+    /**
+     * Returns the number of listeners that would be invoked if the specified
+     * event were emitted.
+     * @function Broker#listenerCount
+     * @param event {String} The event whose listeners should be counted.
+     * @returns {Number} The number of listeners for the specified event.
+     * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+     * @example
+     * broker.on('event', function() { ... });
+     * broker.on('*', function() { ... });
+     * broker.listenerCount('event'); // 2
+     */
+    listenerCount(event) {
+        throwIfNot(isValidEvent, event, EVENT_ERROR, InvalidEventError);
+        return subscribers(this, event).length;
+    }
+
+    /**
+     * Returns whether any listeners would be invoked if the specified
+     * event were emitted.
+     * @function Broker#hasListeners
+     * @param event {String} The event whose listeners should be checked.
+     * @returns {Boolean} Whether the specified event has listeners.
+     * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+     * @example
+     * if (broker.hasListeners('expensive-event')) {
+     *   broker.emit('expensive-event', computePayload());
+     * }
+     */
+    hasListeners(event) {
+        return this.listenerCount(event) > 0;
+    }
+
+    /**
+     * Sets the number of listeners an event can have before the
+     * [maxListenersExceeded]{@link event:Broker#maxListenersExceeded}
+     * event is emitted. The event is emitted once each time the limit is
+     * exceeded; removing listeners until the limit is no longer exceeded
+     * allows it to be emitted again.
+     * @function Broker#setMaxListeners
+     * @param count {Number} The maximum number of listeners. Use 0 for no limit.
+     * @param [event] {String} The event whose limit should be set. If not
+     *  provided, sets the limit for all events without their own limit.
+     * @throws {InvalidArgumentError} Parameter `count` must be a non-negative integer.
+     * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+     * @example
+     * broker.setMaxListeners(20); // default for all events
+     * broker.setMaxListeners(100, 'window:resize');
+     */
+    setMaxListeners(count, event) {
+        throwIfNot(isValidCount, count, COUNT_ERROR);
+        let state = data.get(this);
+        if (isUndefined(event)) {
+            state.maxListeners = count;
+        } else {
+            throwIfNot(isValidEvent, event, EVENT_ERROR, InvalidEventError);
+            state.limits[event] = count;
+        }
+    }
+
+    /**
+     * Returns the number of listeners an event can have before the
+     * [maxListenersExceeded]{@link event:Broker#maxListenersExceeded}
+     * event is emitted.
+     * @function Broker#getMaxListeners
+     * @param [event] {String} The event whose limit should be returned. If
+     *  not provided, returns the limit for events without their own limit.
+     * @returns {Number} The maximum number of listeners, or 0 for no limit.
+     * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+     */
+    getMaxListeners(event) {
+        let {limits, maxListeners} = data.get(this);
+        if (isUndefined(event)) {
+            return maxListeners;
+        }
+        throwIfNot(isValidEvent, event, EVENT_ERROR, InvalidEventError);
+        return has(limits, event) ? limits[event] : maxListeners;
+    }
+
+    /**
+     * Controls the rate at which the specified event is emitted using
+     * [emit]{@link Broker#emit}; emissions held back by the limit are
+     * emitted later using the broker's `scheduler`. The same options can
+     * be passed to [on]{@link Broker#on} to control the rate at which a
+     * single listener is invoked; pending invocations are discarded when
+     * the listener is removed.
+     * @function Broker#rateLimit
+     * @param event {String} The event whose emissions should be limited.
+     * @param options {Object} The limit to apply. Only 1 option can be used;
+     *  passing none removes the current limit. Each option can be a number
+     *  of milliseconds or an object with a `wait` property.
+     * @param [options.throttle] {Number|Object} Emits at most once per
+     *  `wait` milliseconds. Set `leading` to `false` to skip the emission
+     *  at the start of each window, or `trailing` to `false` to skip the
+     *  most recent emission at the end of each window.
+     * @param [options.debounce] {Number|Object} Emits only after `wait`
+     *  milliseconds pass without an emission. Set `leading` to `true` to
+     *  also emit at the start of each burst, or `trailing` to `false` to
+     *  skip the emission at the end of each burst.
+     * @param [options.batch] {Number|Object} Collects emissions for `wait`
+     *  milliseconds--or until `size` emissions have been collected--and
+     *  emits a single array of their argument arrays.
+     * @returns {Function} A method to invoke to remove the limit. Pending
+     *  emissions are discarded.
+     * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+     * @throws {InvalidArgumentError} Only 1 of the `throttle`, `debounce` and
+     *  `batch` options can be used.
+     * @example
+     * broker.rateLimit('editor:change', {debounce: 300});
+     * @example
+     * broker.rateLimit('log:entry', {batch: {wait: 1000, size: 50}});
+     * broker.on('log:entry', function(entries) {
+     *   upload(entries); // [[entry1], [entry2], ...]
+     * });
+     */
+    rateLimit(event, options = {}) {
+        throwIfNot(isValidEvent, event, EVENT_ERROR, InvalidEventError);
+        let state = data.get(this),
+            limiter = createLimiter(this, options, (items) => {
+                let {event: emitted, marker} = items[items.length - 1];
+                resume(this, emitted, toArgs(items, !isUndefined(options.batch)), marker);
+            });
+        if (state.rates[event]) {
+            state.rates[event].cancel();
+            delete state.rates[event];
+        }
+        if (limiter) {
+            state.rates[event] = limiter;
+        }
+        return () => {
+            if (limiter && state.rates[event] === limiter) {
+                limiter.cancel();
+                delete state.rates[event];
+            }
+        };
+    }
+
+    /**
+     * Returns the events and wildcard patterns that currently have
+     * registered listeners, in the order they were first registered.
+     * @function Broker#eventNames
+     * @returns {String[]} The events that have registered listeners.
+     * @example
+     * broker.on('cart:*', function() { ... });
+     * broker.on('user:login', function() { ... });
+     * broker.eventNames(); // ['cart:*', 'user:login']
+     */
+    eventNames() {
+        let {map, keys} = data.get(this);
+        return flatMap(keys, (key, name) => map.has(key) ? [name] : []);
+    }
+
+    /**
+     * Invokes any listeners for the specified event--in the order of
+     * their priority and then the order they were registered--and passes
+     * any provided arguments to those listeners.
+     * Listeners registered for wildcard patterns matching the event are
+     * invoked along with listeners registered for the exact event. If the
+     * broker is a [child]{@link Broker#child}, the event then bubbles to
+     * its parent.
+     * Emissions and listener invocations pass through any middleware
+     * added using [use]{@link Broker#use}.
+     * If a listener throws an exception, the [error]{@link event:Broker#error}
+     * event will be emitted but subsequent listeners will still be invoked.
+     *
+     * If an object is passed instead of an event name, listeners will
+     * receive a {@link Broker~Event} as their first argument, followed
+     * by any additional arguments. Listeners can use the event object to
+     * cancel the event or prevent subsequent listeners from being invoked.
+     * @function Broker#emit
+     * @alias Broker#fire
+     * @alias Broker#announce
+     * @param event {String|Object} The event to emit, or an object whose
+     *  `type` property is the event to emit. Any other properties of the
+     *  object will be copied to the {@link Broker~Event} listeners receive.
+     * @param args {*} Any additional arguments to pass to listeners.
+     * @returns {Boolean|undefined} If an object was passed for `event`,
+     *  whether a listener canceled the event by calling `preventDefault`.
+     *  Always `false` if the emission was [deferred]{@link Broker#defer}
+     *  or held back by a [rate limit]{@link Broker#rateLimit}.
+     * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+     * @throws {InvalidArgumentError} Arguments emitted for the event must match its
+     *  [definition]{@link Broker#define}.
+     * @throws {InvalidArgumentError} The event must be defined before it is emitted
+     *  if the broker is strict.
+     * @fires Broker#error
+     * @example
+     * broker.on('my-custom-event', function() { ... });
+     * broker.emit('my-custom-event'); // handler fired
+     * @example
+     * broker.on('log', function(msg, ...args) {
+     *    log.write(msg, args);
+     * });
+     * broker.emit('log', 'Today is %s', new Date());
+     * @example
+     * broker.on('add', function(...nums) {
      *    var sum = nums.reduce(function(result, num) {
      *        return result + num;
      *    }, 0);
      *    log.info('The sum of', nums, 'is', sum);
      * });
      * broker.emit('add', 1, 2, 3, 4, 5);
+     * @example
+     * broker.on('before-navigate', function(evt, url) {
+     *    if (hasUnsavedChanges()) {
+     *        evt.preventDefault();
+     *        evt.stopImmediatePropagation();
+     *    }
+     * });
+     * if (!broker.emit({type: 'before-navigate'}, url)) {
+     *    navigate(url);
+     * }
      */
     emit(event, ...args) {
-        throwIfNot(isValidEvent, event, EVENT_ERROR);
-        forEach(info(this, event).listeners,
-            bind(announce, this, event, args));
+        let marker = take(this);
+        if (hold(this, event, args, marker)) {
+            return isPlainObject(event) ? false : undefined;
+        }
+        let descriptor = isPlainObject(event) && event,
+            emitted = descriptor ? event.type : event,
+            result = collect(this, emitted, () => dispatch(this, event, args, (type, params) => {
+                let [parent, name] = upward(this, type);
+                if (!descriptor) {
+                    keep(this, type, type, params);
+                    forEach(subscribers(this, type),
+                        bind(announce, this, type, params));
+                    if (parent) {
+                        Broker.prototype.emit.call(parent, name, ...params);
+                    }
+                    return;
+                }
+                let retained = assign({}, descriptor, {type}),
+                    evt = createEvent(retained);
+                keep(this, type, retained, params);
+                forEach(subscribers(this, type), (listener, index) => {
+                    announce.call(this, type, [evt, ...params], listener, index);
+                    return !evt.immediatePropagationStopped;
+                });
+                if (parent && !evt.propagationStopped && Broker.prototype.emit.call(
+                    parent, assign({}, descriptor, {type: name}), ...params)) {
+                    evt.preventDefault();
+                }
+                return evt.defaultPrevented;
+            }, marker));
+        return descriptor ? Boolean(result) : result;
+    }
+
+    /**
+     * Queues the specified event to be emitted after the current emission
+     * completes, regardless of the broker's `dispatch` option. Queued
+     * emissions are emitted in the order they were queued, when the
+     * broker's dispatch scheduler runs or [flush]{@link Broker#flush}
+     * is invoked. Emissions made while the queue is being drained are
+     * added to the end of the queue.
+     * @function Broker#defer
+     * @param event {String|Object} The event to emit. See
+     *  [emit]{@link Broker#emit} for details.
+     * @param args {*} Any additional arguments to pass to listeners.
+     * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+     * @throws {InvalidArgumentError} The arguments do not match the event's
+     *  definition, or the event is undefined on a `strict` broker.
+     * @example
+     * broker.on('cart:item-added', function(item) {
+     *   // runs after every 'cart:item-added' listener:
+     *   broker.defer('cart:changed', cart);
+     * });
+     */
+    defer(event, ...args) {
+        hold(this, event, args, take(this), true);
+    }
+
+    /**
+     * Synchronously emits any queued emissions, including emissions
+     * queued while flushing. Useful in tests of deferred brokers.
+     * Exceptions thrown by queued emissions are handled according to the
+     * broker's `onError` option; if it throws, every queued emission is
+     * still emitted before an `AggregateError` is thrown.
+     * @function Broker#flush
+     * @throws {AggregateError} Queued emissions failed and the broker's
+     *  `onError` option is `'throw'` or `'throwIfUnhandled'`.
+     * @example
+     * var broker = new Broker({dispatch: 'microtask'});
+     * broker.emit('event', 123);
+     * broker.flush(); // listeners invoked
+     */
+    flush() {
+        let failures = [];
+        flush(this, failures);
+        if (!isEmpty(failures)) {
+            throw aggregate(failures, undefined, `${failures.length} queued emission(s) failed.`);
+        }
+    }
+
+    /**
+     * @typedef Broker~Event
+     * @type {Object}
+     * @property {String} type The event that was emitted.
+     * @property {Boolean} defaultPrevented Whether a listener has canceled
+     *  the event.
+     * @property {Boolean} propagationStopped Whether a listener has prevented
+     *  the event from bubbling to a parent broker.
+     * @property {Boolean} immediatePropagationStopped Whether a listener has
+     *  prevented subsequent listeners from being invoked.
+     * @property {Function} preventDefault Cancels the event.
+     * @property {Function} stopPropagation Prevents the event from bubbling
+     *  to a parent broker (see [child]{@link Broker#child}).
+     * @property {Function} stopImmediatePropagation Prevents any subsequent
+     *  listeners from being invoked and the event from bubbling.
+     */
+
+    /**
+     * @typedef Broker~Result
+     * @type {Object}
+     * @property {String} status Either 'fulfilled' or 'rejected'.
+     * @property {*} value The value returned or resolved by the listener,
+     *  if the status is 'fulfilled'.
+     * @property {*} reason The error thrown or rejected by the listener,
+     *  if the status is 'rejected'.
+     */
+
+    /**
+     * Invokes any listeners for the specified event at the same time and
+     * returns a promise that settles once every listener has settled. If
+     * a listener throws an exception or returns a rejected promise, the
+     * [error]{@link event:Broker#error} event will be emitted.
+     * @function Broker#emitAsync
+     * @param event {String} The event to emit.
+     * @param args {*} Any additional arguments to pass to listeners.
+     * @returns {Promise.<Broker~Result[]>} A promise resolved with the
+     *  results of each listener, in the order the listeners were invoked.
+     * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+     * @throws {InvalidArgumentError} Arguments emitted for the event must match its
+     *  [definition]{@link Broker#define}.
+     * @fires Broker#error
+     * @example
+     * broker.on('save', function(record) {
+     *   return db.put(record); // returns a promise
+     * });
+     * broker.emitAsync('save', record).then(function(results) {
+     *   log(results); // [{status: 'fulfilled', value: ...}]
+     * });
+     */
+    emitAsync(event, ...args) {
+        return dispatch(this, event, args, (type, params) => {
+            let [parent, name] = upward(this, type);
+            keep(this, type, type, params);
+            let failures = [],
+                local = Promise.all(subscribers(this, type)
+                    .filter((listener) => admit(this, type, params, listener))
+                    .map(bind(settle, this, type, params, failures)))
+                    .then(bind(conclude, null, failures, type));
+            return !parent ? local : Promise.all([local, parent.emitAsync(name, ...params)])
+                .then(([results, bubbled]) => concat(results, bubbled));
+        }) || Promise.resolve([]);
+    }
+
+    /**
+     * Invokes any listeners for the specified event one at a time--in the
+     * same order as [emit]{@link Broker#emit}--waiting for each listener's
+     * promise to settle before invoking the next listener. If a listener throws an
+     * exception or returns a rejected promise, the
+     * [error]{@link event:Broker#error} event will be emitted but
+     * subsequent listeners will still be invoked.
+     * @function Broker#emitSerial
+     * @param event {String} The event to emit.
+     * @param args {*} Any additional arguments to pass to listeners.
+     * @returns {Promise.<Broker~Result[]>} A promise resolved with the
+     *  results of each listener, in the order the listeners were invoked.
+     * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+     * @throws {InvalidArgumentError} Arguments emitted for the event must match its
+     *  [definition]{@link Broker#define}.
+     * @fires Broker#error
+     * @example
+     * broker.on('migrate', function createTables() { ... });
+     * broker.on('migrate', function insertRecords() { ... });
+     * broker.emitSerial('migrate').then(function() {
+     *   log('migration complete');
+     * });
+     */
+    emitSerial(event, ...args) {
+        return dispatch(this, event, args, (type, params) => {
+            let [parent, name] = upward(this, type),
+                failures = [];
+            keep(this, type, type, params);
+            return reduce(subscribers(this, type)
+                .filter((listener) => admit(this, type, params, listener)), (promise, listener, index) =>
+                promise.then((results) => settle.call(this, type, params, failures, listener, index)
+                    .then((result) => concat(results, result))), Promise.resolve([]))
+                .then(bind(conclude, null, failures, type))
+                .then((results) => !parent ? results :
+                    parent.emitSerial(name, ...params)
+                        .then((bubbled) => concat(results, bubbled)));
+        }) || Promise.resolve([]);
+    }
+
+    /**
+     * @typedef Broker~Middleware
+     * @type {Object}
+     * @property {Function} [emit] Invoked with a context object containing
+     *  the `event` and `args` being emitted--along with the `descriptor`
+     *  object, if one was passed to [emit]{@link Broker#emit}--and a `next`
+     *  function that continues the emission. The context can be modified before `next` is
+     *  invoked; not invoking `next` drops the emission. Should return the
+     *  value returned by `next`.
+     * @property {Function} [invoke] Invoked with a context object containing
+     *  the `event`, `args` and `callback` of each listener being invoked,
+     *  and a `next` function that invokes the listener. Should return the
+     *  value returned by `next`.
+     */
+
+    /**
+     * Adds middleware that can intercept emissions and listener invocations.
+     * Middleware runs in the order it was added: the first middleware added
+     * is the first to intercept an emission and the last to see the result.
+     * If middleware throws an exception, the [error]{@link event:Broker#error}
+     * event will be emitted with the middleware method as the `callback`.
+     * @function Broker#use
+     * @param middleware {Function|Broker~Middleware} The middleware to add.
+     *  A function is treated as the middleware's `emit` method.
+     * @returns {Function} A method to invoke to remove the middleware.
+     * @throws {InvalidArgumentError} Parameter `middleware` must be a function or an
+     *  object with `emit` or `invoke` methods.
+     * @example
+     * // log every emission:
+     * broker.use(function(context, next) {
+     *   log(context.event, context.args);
+     *   return next();
+     * });
+     * @example
+     * // time every listener:
+     * broker.use({
+     *   invoke: function(context, next) {
+     *     var start = Date.now(),
+     *         result = next();
+     *     log(context.callback.name, Date.now() - start);
+     *     return result;
+     *   }
+     * });
+     * @example
+     * // drop emissions while logged out:
+     * broker.use(function(context, next) {
+     *   if (session.active) {
+     *     return next();
+     *   }
+     * });
+     */
+    use(middleware) {
+        throwIfNot(isValidMiddleware, middleware, MIDDLEWARE_ERROR);
+        let state = data.get(this),
+            entry = isFunction(middleware) ? {emit: middleware} : middleware;
+        state.middleware = concat(state.middleware, entry);
+        return () => {
+            state.middleware = reject(state.middleware, (item) => item === entry);
+        };
+    }
+
+    /**
+     * Declares the specified event and how to validate the arguments it is
+     * emitted with. Emitting the event with invalid arguments will throw
+     * before any listeners are invoked.
+     *
+     * The validator can be a function that returns `true` if the emitted
+     * arguments are valid, a JSON-Schema-like object that the first emitted
+     * argument must match, or an array of those objects that each emitted
+     * argument must match. Schemas support the `type`, `enum`, `required`,
+     * `properties`, `items`, `minimum`, `maximum`, `minLength`, `maxLength`
+     * and `pattern` keywords.
+     * @function Broker#define
+     * @param event {String} The event to declare.
+     * @param [validator] {Function|Object|Object[]} How to validate the
+     *  arguments the event is emitted with. If not provided, any arguments
+     *  are valid.
+     * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+     * @throws {InvalidArgumentError} Parameter `validator` must be a function or schema.
+     * @example
+     * broker.define('user:login', {
+     *   type: 'object',
+     *   required: ['id', 'name'],
+     *   properties: {
+     *     id: {type: 'integer', minimum: 1},
+     *     name: {type: 'string', minLength: 1}
+     *   }
+     * });
+     * broker.emit('user:login', undefined); // throws TypeError
+     * @example
+     * broker.define('point', function(x, y) {
+     *   return isFinite(x) && isFinite(y);
+     * });
+     * @example
+     * broker.define('log', [{type: 'string'}, {enum: ['info', 'warn']}]);
+     * broker.emit('log', 'started', 'info');
+     */
+    define(event, validator = []) {
+        throwIfNot(isValidEvent, event, EVENT_ERROR, InvalidEventError);
+        throwIfNot(isValidValidator, validator, VALIDATOR_ERROR);
+        data.get(this).validators[event] = validator;
+    }
+
+    /**
+     * Marks the specified event as sticky: the arguments of the most recent
+     * emissions of the event will be retained and delivered to any
+     * listeners registered for the event afterwards, including listeners
+     * registered with [one]{@link Broker#one} and listeners registered
+     * for matching wildcard patterns.
+     * @function Broker#retain
+     * @param event {String} The event whose emissions should be retained.
+     * @param [count=1] {Number} The number of emissions to retain. Passing
+     *  0 stops retaining emissions of the event.
+     * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+     * @throws {InvalidArgumentError} Parameter `count` must be a non-negative integer.
+     * @example
+     * broker.retain('app:ready');
+     * broker.emit('app:ready', config);
+     * // later, the listener is invoked immediately:
+     * broker.one('app:ready', function(config) { ... });
+     */
+    retain(event, count = 1) {
+        throwIfNot(isValidEvent, event, EVENT_ERROR, InvalidEventError);
+        throwIfNot((value) => isInteger(value) && value >= 0, count, COUNT_ERROR);
+        let {retained} = data.get(this),
+            emissions = has(retained, event) ? retained[event].emissions : [];
+        if (count === 0) {
+            delete retained[event];
+        } else {
+            retained[event] = {count, emissions: takeRight(emissions, count)};
+        }
+    }
+
+    /**
+     * Discards any emissions retained for the specified event, or for all
+     * events if no event is specified. The events will remain sticky.
+     * @function Broker#clearRetained
+     * @param [event] {String} The event whose retained emissions should
+     *  be discarded.
+     * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+     * @example
+     * broker.retain('user:login');
+     * broker.emit('user:login', user);
+     * broker.clearRetained('user:login'); // user logged out
+     */
+    clearRetained(event) {
+        let {retained} = data.get(this);
+        if (!isUndefined(event)) {
+            throwIfNot(isValidEvent, event, EVENT_ERROR, InvalidEventError);
+        }
+        forEach(retained, (entry, type) => {
+            if (isUndefined(event) || type === event) {
+                entry.emissions = [];
+            }
+        });
+    }
+
+    /**
+     * Registers the handler for requests made for the specified event
+     * using [request]{@link Broker#request}. Only 1 handler can be
+     * registered for an event at a time.
+     * @function Broker#handle
+     * @param event {String} The event whose requests should be handled.
+     * @param callback {Function} The handler to invoke with the arguments
+     *  of each request. The value it returns--or the value its returned
+     *  promise resolves with--will be used to resolve the request.
+     * @returns {Function} A method to invoke to remove the handler
+     *  from the specified event.
+     * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+     * @throws {InvalidCallbackError} Parameter `callback` must be a function.
+     * @throws {RequestError} A handler is already registered for the event.
+     * @example
+     * broker.handle('user:get', function(id) {
+     *   return db.users.get(id); // returns a promise
+     * });
+     */
+    handle(event, callback) {
+        throwIfNot(isValidEvent, event, EVENT_ERROR, InvalidEventError);
+        throwIfNot(isValidCallback, callback, CALLBACK_ERROR, InvalidCallbackError);
+        let {handlers} = data.get(this);
+        if (has(handlers, event)) {
+            throw new RequestError(`A handler is already registered for \`${event}\`.`,
+                {code: 'ERR_HANDLER_EXISTS', event});
+        }
+        handlers[event] = callback;
+        return () => {
+            if (handlers[event] === callback) {
+                delete handlers[event];
+            }
+        };
+    }
+
+    /**
+     * Invokes the handler registered for the specified event using
+     * [handle]{@link Broker#handle} and returns a promise for its result.
+     * If the handler throws an exception or returns a rejected promise,
+     * the returned promise will be rejected and the
+     * [error]{@link event:Broker#error} event will be emitted.
+     * @function Broker#request
+     * @param event {String|Object} The event to request, or an object
+     *  whose `type` property is the event to request.
+     * @param [event.timeout] {Number} The number of milliseconds to wait
+     *  for the handler before rejecting the request.
+     * @param args {*} Any additional arguments to pass to the handler.
+     * @returns {Promise} A promise resolved with the handler's result or
+     *  rejected if the handler fails, or with a {@link RequestError} if no
+     *  handler is registered or the request times out.
+     * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+     * @throws {InvalidArgumentError} Option `timeout` must be a finite number.
+     * @fires Broker#error
+     * @example
+     * broker.request('user:get', 123).then(function(user) { ... });
+     * @example
+     * broker.request({type: 'user:get', timeout: 5000}, 123)
+     *   .catch(function(err) { ... }); // timed out
+     */
+    request(event, ...args) {
+        let {type, timeout} = isPlainObject(event) ? event : {type: event};
+        throwIfNot(isValidEvent, type, EVENT_ERROR, InvalidEventError);
+        throwIfNot((value) => isUndefined(value) || isFinite(value), timeout, TIMEOUT_ERROR);
+        let {handlers} = data.get(this);
+        if (!has(handlers, type)) {
+            return Promise.reject(new RequestError(`No handler is registered for \`${type}\`.`,
+                {code: 'ERR_NO_HANDLER', event: type}));
+        }
+        let callback = handlers[type],
+            result = new Promise((resolve) => resolve(callback.apply(this, args)))
+                .catch((error) => {
+                    // the rejected request already surfaces the error
+                    report(this, {event: type, callback, error, args}, []);
+                    throw error;
+                });
+        if (isUndefined(timeout)) {
+            return result;
+        }
+        return new Promise((resolve, fail) => {
+            let timer = setTimeout(() => fail(new RequestError(
+                `Request for \`${type}\` timed out after ${timeout}ms.`,
+                {code: 'ERR_REQUEST_TIMEOUT', event: type})), timeout);
+            result.then(resolve, fail).then(() => clearTimeout(timer));
+        });
+    }
+
+    /**
+     * Returns a promise resolved with the arguments of the next emission
+     * of the specified event. The listener used to wait for the event is
+     * removed as soon as the promise settles.
+     * @function Broker#waitFor
+     * @param event {String} The event or wildcard pattern to wait for.
+     * @param [options] {Object} Settings for the wait.
+     * @param [options.timeout] {Number} The number of milliseconds to wait
+     *  for the event before rejecting the promise.
+     * @param [options.predicate] {Function} Invoked with the emitted
+     *  arguments; only emissions for which it returns `true` resolve the
+     *  promise. If it throws, the promise is rejected with the exception.
+     * @returns {Promise.<Array>} A promise resolved with an array of the
+     *  emitted arguments, or rejected with a {@link WaitError} if the
+     *  timeout elapses.
+     * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+     * @throws {InvalidArgumentError} Option `timeout` must be a finite number.
+     * @throws {InvalidArgumentError} Parameter `predicate` must be a function.
+     * @example
+     * broker.waitFor('socket:open', {timeout: 5000})
+     *   .then(function(args) { ... })
+     *   .catch(function(err) { ... }); // timed out
+     */
+    waitFor(event, {timeout, predicate} = {}) {
+        throwIfNot(isValidEvent, event, EVENT_ERROR, InvalidEventError);
+        throwIfNot((value) => isUndefined(value) || isFinite(value), timeout, TIMEOUT_ERROR);
+        throwIfNot((value) => isUndefined(value) || isFunction(value), predicate, PREDICATE_ERROR);
+        return new Promise((resolve, fail) => {
+            let timer,
+                settled = false,
+                settle = (fn, value) => {
+                    settled = true;
+                    clearTimeout(timer);
+                    this.off(event, listener);
+                    fn(value);
+                },
+                listener = function waiter(...args) {
+                    let passed = !predicate || attempt(() => predicate.apply(this, args));
+                    if (isError(passed)) {
+                        settle(fail, passed);
+                    } else if (passed) {
+                        settle(resolve, args);
+                    }
+                };
+            this.on(event, listener);
+            // a retained emission may have settled the promise during `on`
+            if (!settled && !isUndefined(timeout)) {
+                timer = setTimeout(() => settle(fail, new WaitError(
+                    `Waiting for \`${event}\` timed out after ${timeout}ms.`,
+                    {code: 'ERR_WAIT_TIMEOUT', event})), timeout);
+            }
+        });
+    }
+
+    /**
+     * Returns an async iterator over emissions of the specified event,
+     * for use with `for await...of`. Each value is an array of the emitted
+     * arguments. Emissions that arrive before they are requested are held
+     * in a bounded queue. The listener used to collect emissions is removed
+     * when the iterator's `return` method is called--for example, by
+     * breaking out of the loop--or when the iterator fails.
+     * @function Broker#iterate
+     * @param event {String} The event or wildcard pattern to iterate.
+     * @param [options] {Object} Settings for the iterator.
+     * @param [options.predicate] {Function} Invoked with the emitted
+     *  arguments; only emissions for which it returns `true` are queued.
+     *  If it throws, the iterator fails with the exception.
+     * @param [options.size=100] {Number} The number of emissions to queue.
+     * @param [options.overflow='dropOldest'] {String} What to do when an
+     *  emission arrives and the queue is full: `'dropOldest'` discards the
+     *  oldest queued emission, `'dropNewest'` discards the new emission,
+     *  and `'error'` fails the iterator with a {@link WaitError}.
+     * @returns {Object} An async iterator of emitted argument arrays.
+     * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+     * @throws {InvalidArgumentError} Parameter `predicate` must be a function.
+     * @throws {InvalidArgumentError} Option `size` must be a positive integer.
+     * @throws {InvalidArgumentError} Option `overflow` must be 'dropOldest',
+     *  'dropNewest' or 'error'.
+     * @example
+     * for await (const [msg] of broker.iterate('chat:message')) {
+     *   render(msg);
+     * }
+     */
+    iterate(event, {predicate, size = 100, overflow = 'dropOldest'} = {}) {
+        throwIfNot(isValidEvent, event, EVENT_ERROR, InvalidEventError);
+        throwIfNot((value) => isUndefined(value) || isFunction(value), predicate, PREDICATE_ERROR);
+        throwIfNot((value) => isInteger(value) && value > 0, size, SIZE_ERROR);
+        throwIfNot((value) => includes(OVERFLOW_STRATEGIES, value), overflow, OVERFLOW_ERROR);
+        let queue = [],
+            waiting = [],
+            done = false,
+            failure,
+            finish = (error) => {
+                if (done) {
+                    return;
+                }
+                let pending = waiting.splice(0);
+                done = true;
+                // keep the failure for the next call only if no waiter received it
+                failure = isEmpty(pending) ? error : undefined;
+                this.off(event, listener);
+                forEach(pending, ({resolve, fail}) => error ? fail(error) :
+                    resolve({value: undefined, done: true}));
+            },
+            listener = function collector(...args) {
+                let passed = !predicate || attempt(() => predicate.apply(this, args));
+                if (isError(passed)) {
+                    finish(passed);
+                } else if (!passed) {
+                    return;
+                } else if (!isEmpty(waiting)) {
+                    waiting.shift().resolve({value: args, done: false});
+                } else if (queue.length < size) {
+                    queue.push(args);
+                } else if (overflow === 'dropOldest') {
+                    queue.shift();
+                    queue.push(args);
+                } else if (overflow === 'error') {
+                    finish(new WaitError(`Queue for \`${event}\` exceeded ${size} emissions.`,
+                        {code: 'ERR_QUEUE_OVERFLOW', event}));
+                }
+            };
+        this.on(event, listener);
+        return {
+            next() {
+                if (!isEmpty(queue)) {
+                    return Promise.resolve({value: queue.shift(), done: false});
+                }
+                if (failure) {
+                    let error = failure;
+                    failure = undefined;
+                    return Promise.reject(error);
+                }
+                if (done) {
+                    return Promise.resolve({value: undefined, done: true});
+                }
+                return new Promise((resolve, fail) => waiting.push({resolve, fail}));
+            },
+            return(value) {
+                finish();
+                queue = [];
+                return Promise.resolve({value, done: true});
+            },
+            [Symbol.asyncIterator]() {
+                return this;
+            }
+        };
+    }
+
+    /**
+     * Creates a child broker with its own listeners. Events emitted on the
+     * child can bubble to this broker, prefixed with the child's namespace,
+     * and events broadcast by this broker are emitted on the child.
+     * @function Broker#child
+     * @param [namespace] {String} The prefix added to the names of events
+     *  that bubble from the child, separated by the delimiter. If not
+     *  provided, events bubble with their original names.
+     * @param [options] {Object} Optional settings for the child.
+     * @param [options.bubble=true] {Boolean|String[]} Whether events emitted
+     *  on the child bubble to this broker, or the events and wildcard
+     *  patterns that should bubble.
+     * @returns {Broker} The child broker.
+     * @throws {InvalidArgumentError} Parameter `namespace` must be a non-empty string.
+     * @throws {InvalidArgumentError} Option `bubble` must be a boolean or an array of
+     *  event names.
+     * @example
+     * var cart = broker.child('cart', {bubble: ['item:*']});
+     * broker.on('cart:item:added', function(item) { ... });
+     * cart.emit('item:added', item); // bubbles to broker
+     * cart.emit('recalculate'); // stays private
+     * cart.destroy(); // remove all cart listeners
+     */
+    child(namespace, {bubble = true} = {}) {
+        if (!isUndefined(namespace)) {
+            throwIfNot(isValidEvent, namespace, NAMESPACE_ERROR);
+        }
+        throwIfNot(isValidBubble, bubble, BUBBLE_ERROR);
+        let state = data.get(this),
+            child = new this.constructor({
+                delimiter: state.delimiter,
+                onError: state.onError,
+                scheduler: state.scheduler,
+                dispatch: state.dispatch
+            });
+        assign(data.get(child), {parent: this, namespace, bubble});
+        state.children = concat(state.children, child);
+        return child;
+    }
+
+    /**
+     * Emits the specified event on every child broker created using
+     * [child]{@link Broker#child}, and on their children. Broadcast events
+     * do not bubble back up to their parents.
+     * @function Broker#broadcast
+     * @param event {String|Object} The event to emit. See
+     *  [emit]{@link Broker#emit} for details.
+     * @param args {*} Any additional arguments to pass to listeners.
+     * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+     * @example
+     * broker.broadcast('app:locale-changed', 'fr');
+     */
+    broadcast(event, ...args) {
+        throwIfNot(isValidEvent, isPlainObject(event) ? event.type : event, EVENT_ERROR, InvalidEventError);
+        forEach(data.get(this).children, (child) => {
+            mark(child, BROADCAST, () => child.emit(event, ...args));
+            child.broadcast(event, ...args);
+        });
+    }
+
+    /**
+     * Removes every listener registered on the broker and its children,
+     * and detaches the broker from its parent so its events no longer
+     * bubble.
+     * @function Broker#destroy
+     * @fires Broker#listenerRemoved
+     * @example
+     * var feature = broker.child('feature');
+     * feature.on('event', function() { ... });
+     * feature.destroy();
+     */
+    destroy() {
+        let state = data.get(this);
+        forEach(state.children, (child) => child.destroy());
+        forEach(this.eventNames(), (event) => this.removeAllListeners(event));
+        if (state.parent) {
+            let parent = data.get(state.parent);
+            parent.children = reject(parent.children, (child) => child === this);
+            state.parent = null;
+        }
+    }
+
+    /**
+     * Re-emits a sequence of recorded emissions, such as one exported by a
+     * recorder created with {@link recordHistory}. The relative timing of
+     * the emissions is preserved, scaled by the `speed` option. Passing
+     * `Infinity` as the speed emits the entire sequence synchronously.
+     * @function Broker#replay
+     * @param log {Array|String} The recorded emissions, or a JSON string
+     *  containing them. Each entry should have `event`, `args` and
+     *  `timestamp` properties. Entries with a `descriptor` property are
+     *  emitted as objects.
+     * @param [options] {Object} Settings for the replay.
+     * @param [options.speed=1] {Number} The playback rate: 2 replays the
+     *  sequence twice as fast as it was recorded.
+     * @returns {Promise} A promise resolved once every emission has been
+     *  replayed, or rejected if the log cannot be parsed or an emission throws.
+     * @throws {InvalidArgumentError} Option `speed` must be a positive number.
+     * @example
+     * var recorder = recordHistory(broker);
+     * // ... later, attach to a bug report:
+     * var log = JSON.stringify(recorder);
+     * // ... and reproduce it:
+     * new Broker().replay(log, {speed: 4}).then(function() { ... });
+     * @example
+     * // in tests:
+     * broker.replay(log, {speed: Infinity});
+     */
+    replay(log, {speed = 1} = {}) {
+        throwIfNot((value) => isNumber(value) && value > 0, speed, SPEED_ERROR);
+        let emit = ({event, args, descriptor}) => this.emit(isPlainObject(descriptor) ?
+            assign(deserialize(descriptor), {type: event}) : event, ...deserialize(castArray(args)));
+        return new Promise((resolve, fail) => {
+            let entries = isString(log) ? JSON.parse(log) : castArray(log),
+                step = (index) => {
+                    if (index >= entries.length) {
+                        return resolve();
+                    }
+                    let elapsed = index ? entries[index].timestamp - entries[index - 1].timestamp : 0;
+                    setTimeout(() => {
+                        try {
+                            emit(entries[index]);
+                        } catch (error) {
+                            return fail(error);
+                        }
+                        step(index + 1);
+                    }, Math.max(0, elapsed / speed || 0));
+                };
+            if (speed === Infinity) {
+                forEach(entries, emit);
+                return resolve();
+            }
+            step(0);
+        });
+    }
+
+    /**
+     * Returns an observable of payloads emitted for the specified event.
+     * The observable implements the `Symbol.observable` interop point,
+     * so it can be converted by RxJS, xstream, most.js and other
+     * libraries. A listener is registered each time the observable is
+     * subscribed to and removed when that subscription is unsubscribed.
+     * If the selector or the observer throws, the error is sent to the
+     * observer's `error` callback, the subscription is closed, and the
+     * [error]{@link event:Broker#error} event is emitted.
+     * @function Broker#observe
+     * @param event {String} The event to observe.
+     * @param [selector] {Function} Invoked with the emitted arguments;
+     *  its return value is sent to observers. If not provided, observers
+     *  will receive the first emitted argument or, if more than 1 argument
+     *  was emitted, an array of those arguments.
+     * @returns {Object} An observable of emitted payloads.
+     * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+     * @throws {InvalidArgumentError} Parameter `selector` must be a function.
+     * @example
+     * Rx.Observable.from(broker.observe('user-changed'))
+     *   .subscribe(function(user) { ... });
+     * @example
+     * var subscription = broker.observe('point', function(x, y) {
+     *   return {x: x, y: y};
+     * }).subscribe({
+     *   next: function(point) { ... },
+     *   error: function(err) { ... }
+     * });
+     * subscription.unsubscribe(); // remove the event handler
+     */
+    observe(event, selector = (...args) => toPayload(args)) {
+        throwIfNot(isValidEvent, event, EVENT_ERROR, InvalidEventError);
+        throwIfNot(isValidCallback, selector, SELECTOR_ERROR);
+        let broker = this,
+            observable = {
+                subscribe(next, error, complete) {
+                    let observer = toObserver(next, error, complete),
+                        subscription = {closed: false},
+                        off;
+                    subscription.unsubscribe = subscription.dispose = () => {
+                        subscription.closed = true;
+                        if (off) {
+                            off();
+                        }
+                    };
+                    // retained emissions are replayed before `on` returns, so the
+                    // subscription may already be closed once it does
+                    off = Broker.prototype.on.call(broker, event, function listener(...args) {
+                        if (subscription.closed) {
+                            return;
+                        }
+                        try {
+                            let value = selector.apply(this, args);
+                            if (isFunction(observer.next)) {
+                                observer.next(value);
+                            }
+                        } catch (err) {
+                            subscription.unsubscribe();
+                            if (isFunction(observer.error)) {
+                                observer.error(err);
+                            }
+                            throw err;
+                        }
+                    });
+                    if (subscription.closed) {
+                        off();
+                    }
+                    return subscription;
+                }
+            };
+        observable[observableKey()] = observable['@@observable'] = () => observable;
+        return observable;
+    }
+
+    /**
+     * Registers a listener using the DOM `EventTarget` contract, so brokers
+     * can be passed anywhere an `EventTarget` is expected. Listeners receive
+     * the event object passed to [dispatchEvent]{@link Broker#dispatchEvent}.
+     * Registering the same listener for the same event more than once has no
+     * effect.
+     * @function Broker#addEventListener
+     * @param event {String} The event to subscribe to.
+     * @param listener {Function|{handleEvent: Function}} The listener to
+     *  invoke when the specified event is dispatched. If `null`, nothing
+     *  will be registered.
+     * @param [options] {Object|Boolean} Optional settings for the listener.
+     * @param [options.once=false] {Boolean} Whether to remove the listener
+     *  after it has been invoked.
+     * @param [options.signal] {AbortSignal} A signal that removes the
+     *  listener when aborted.
+     * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+     * @fires Broker#listenerAdded
+     * @example
+     * var controller = new AbortController();
+     * broker.addEventListener('user-changed', function(evt) {
+     *   log(evt.detail);
+     * }, {signal: controller.signal});
+     * broker.dispatchEvent(new CustomEvent('user-changed', {detail: user}));
+     * controller.abort(); // remove the listener
+     */
+    addEventListener(event, listener, options) {
+        throwIfNot(isValidEvent, event, EVENT_ERROR, InvalidEventError);
+        let {once = false, signal} = isObjectLike(options) ? options : {},
+            {wrappers} = data.get(this),
+            bound = listener && (wrappers.get(listener) || {});
+        if (!listener || has(bound, event) &&
+            find(info(this, event).listeners, {callback: bound[event]})) {
+            return;
+        }
+        let callback = bound[event] = function wrapper(evt) {
+            if (once) {
+                this.off(event, callback);
+            }
+            return isFunction(listener) ?
+                listener.call(this, evt) :
+                listener.handleEvent(evt);
+        };
+        wrappers.set(listener, bound);
+        this.on(event, callback, {signal});
+    }
+
+    /**
+     * Removes a listener registered using
+     * [addEventListener]{@link Broker#addEventListener}.
+     * @function Broker#removeEventListener
+     * @param event {String} The event whose listener should be removed.
+     * @param listener {Function|{handleEvent: Function}} The listener to remove.
+     * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+     * @fires Broker#listenerRemoved
+     * @example
+     * broker.addEventListener('user-changed', onUserChanged);
+     * broker.removeEventListener('user-changed', onUserChanged);
+     */
+    removeEventListener(event, listener) {
+        throwIfNot(isValidEvent, event, EVENT_ERROR, InvalidEventError);
+        let bound = listener && data.get(this).wrappers.get(listener);
+        if (bound && has(bound, event)) {
+            this.off(event, bound[event]);
+        }
+    }
+
+    /**
+     * Dispatches a DOM event object to the listeners of its `type`, using
+     * the DOM `EventTarget` contract. All listeners receive the event object
+     * as their only argument.
+     * @function Broker#dispatchEvent
+     * @param evt {Event} The event object to dispatch.
+     * @returns {Boolean} `false` if a listener canceled the event by calling
+     *  `preventDefault`; otherwise, `true`.
+     * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+     * @fires Broker#error
+     * @example
+     * var evt = new CustomEvent('before-unload', {cancelable: true});
+     * if (broker.dispatchEvent(evt)) {
+     *   unload();
+     * }
+     */
+    dispatchEvent(evt) {
+        this.emit(isObjectLike(evt) ? evt.type : undefined, evt);
+        return !evt.defaultPrevented;
     }
 
     /**
@@ -239,6 +2367,8 @@ export class Broker {
      * @property {String} ERROR 'error' - An error occurred in an event listener.
      * @property {String} ADDED 'listenerAdded' - An event listener was registered.
      * @property {String} REMOVED 'listenerRemoved' - An event listener was removed.
+     * @property {String} LEAK 'maxListenersExceeded' - An event has more listeners
+     *  than its limit allows.
      */
 
     /**
@@ -258,7 +2388,13 @@ export class Broker {
              * @property {String} event The event the listener was registered for.
              * @property {Function} callback The listener that caused the error.
              * @property {Error} error The error that occurred while invoking the listener.
+             * @property {Array} args The arguments the listener was invoked with.
+             * @property {Number} [index] The position of the listener among
+             *  those invoked for the emission.
              * @desc An error occurred in an event listener while firing an event.
+             *  Whether this event is emitted depends on the broker's `onError`
+             *  option; see {@link Broker} for details. If a listener of this event throws, the event is not emitted
+             *  again; a {@link ListenerError} is thrown asynchronously instead.
              * @example
              * broker.on(Broker.Events.ERROR, function(data) {
              *   log.error('An error occurred:', data.error);
@@ -269,8 +2405,12 @@ export class Broker {
             /**
              * @event Broker#listenerAdded
              * @type {Object}
-             * @property {String} event The event the listener was registered for.
+             * @property {String} event The event or wildcard pattern the
+             *  listener was registered for.
              * @property {Function} callback The listener registered for the event.
+             * @property {*} [tag] The listener's `tag` option, if provided.
+             * @property {*} [owner] The listener's `owner` option, if provided.
+             * @property {*} [metadata] The listener's `metadata` option, if provided.
              * @desc A listener was added. Examine the event properties for details.
              * @example
              * broker.on(Broker.Events.ADDED, function(data) {
@@ -284,8 +2424,12 @@ export class Broker {
             /**
              * @event Broker#listenerRemoved
              * @type {Object}
-             * @property {String} event The event the listener was removed from.
+             * @property {String} event The event or wildcard pattern the
+             *  listener was removed from.
              * @property {Function} callback The listener removed from the event.
+             * @property {*} [tag] The listener's `tag` option, if provided.
+             * @property {*} [owner] The listener's `owner` option, if provided.
+             * @property {*} [metadata] The listener's `metadata` option, if provided.
              * @desc A listener was removed. Examine the event properties for details.
              * @example
              * broker.on(Broker.Events.REMOVED, function(data) {
@@ -295,7 +2439,27 @@ export class Broker {
              * var off = broker.on('my-custom-event', function callback() { ... });
              * off(); // remove the event handler
              */
-            REMOVED: 'listenerRemoved'
+            REMOVED: 'listenerRemoved',
+
+            /**
+             * @event Broker#maxListenersExceeded
+             * @type {Object}
+             * @property {String} event The event or wildcard pattern whose
+             *  limit was exceeded.
+             * @property {Number} count The number of listeners registered
+             *  for the event.
+             * @property {Number} max The maximum number of listeners allowed.
+             * @property {String} stack The stack trace of the registration
+             *  that exceeded the limit.
+             * @desc An event has more listeners than its limit allows, which
+             *  usually indicates a memory leak.
+             * @example
+             * broker.setMaxListeners(10);
+             * broker.on(Broker.Events.LEAK, function(data) {
+             *   log.warn('possible leak of', data.event, data.stack);
+             * });
+             */
+            LEAK: 'maxListenersExceeded'
 
         };
     }
@@ -308,9 +2472,6 @@ Broker.prototype.subscribe =
 Broker.prototype.addListener =
 Broker.prototype.on;
 
-Broker.prototype.once =
-Broker.prototype.one;
-
 Broker.prototype.unsubscribe =
 Broker.prototype.removeListener =
 Broker.prototype.off;
@@ -318,3 +2479,451 @@ Broker.prototype.off;
 Broker.prototype.fire =
 Broker.prototype.announce =
 Broker.prototype.emit;
+
+// NODE COMPATIBILITY
+
+function toError(value) {
+    if (isError(value)) {
+        return value;
+    }
+    if (isObjectLike(value) && isError(value.error)) {
+        return value.error;
+    }
+    let error = new Error('Unhandled error.');
+    error.context = value;
+    return error;
+}
+
+/**
+ * A {@link Broker} that follows the contract of Node's `EventEmitter`, so
+ * it can be passed to modules shared between Node and the browser:
+ *
+ *  - `on`, `addListener`, `prependListener`, `once`, `prependOnceListener`,
+ *    `off`, `removeListener`, `removeAllListeners` and `setMaxListeners`
+ *    return the instance for chaining.
+ *  - The same listener can be registered more than once; `off` removes
+ *    the most recently registered instance.
+ *  - `removeAllListeners` removes the listeners of every event if no
+ *    event is specified.
+ *  - `emit` returns whether the event had listeners.
+ *  - Emitting the `error` event without any `error` listeners throws.
+ * @class EventEmitter
+ * @extends Broker
+ * @param [options] {Object} Optional settings for the broker. See
+ *  {@link Broker} for details.
+ * @example
+ * var emitter = new EventEmitter()
+ *   .on('data', function(chunk) { ... })
+ *   .once('end', function() { ... });
+ * emitter.emit('data', chunk); // true
+ * emitter.emit(Broker.Events.ERROR, new Error()); // throws
+ */
+export class EventEmitter extends Broker {
+
+    constructor(options) {
+        super(options);
+        data.get(this).duplicates = true;
+    }
+
+    on(event, callback, options) {
+        super.on(event, callback, options);
+        return this;
+    }
+
+    /**
+     * Registers a listener to be invoked before any previously registered
+     * listeners with the same priority.
+     * @function EventEmitter#prependListener
+     * @param event {String} The event to subscribe to.
+     * @param callback {Function} The listener to invoke when the
+     *  specified event is emitted.
+     * @returns {EventEmitter} The instance, for chaining.
+     * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+     * @throws {InvalidCallbackError} Parameter `callback` must be a function.
+     * @fires Broker#listenerAdded
+     */
+    prependListener(event, callback) {
+        return this.on(event, callback, {prepend: true});
+    }
+
+    once(event, callback, options) {
+        super.one(event, callback, options);
+        return this;
+    }
+
+    /**
+     * Registers a listener to be invoked at most 1 time, before any
+     * previously registered listeners with the same priority.
+     * @function EventEmitter#prependOnceListener
+     * @param event {String} The event to subscribe to.
+     * @param callback {Function} The listener to invoke when the
+     *  specified event is emitted.
+     * @returns {EventEmitter} The instance, for chaining.
+     * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+     * @throws {InvalidCallbackError} Parameter `callback` must be a function.
+     * @fires Broker#listenerAdded
+     */
+    prependOnceListener(event, callback) {
+        return this.once(event, callback, {prepend: true});
+    }
+
+    off(event, callback) {
+        super.off(event, callback);
+        return this;
+    }
+
+    removeAllListeners(event) {
+        forEach(isUndefined(event) ? this.eventNames() : [event],
+            (name) => super.removeAllListeners(name));
+        return this;
+    }
+
+    setMaxListeners(count, event) {
+        super.setMaxListeners(count, event);
+        return this;
+    }
+
+    emit(event, ...args) {
+        let handled = this.hasListeners(isPlainObject(event) ? event.type : event);
+        if (!handled && event === Broker.Events.ERROR) {
+            throw toError(args[0]);
+        }
+        super.emit(event, ...args);
+        return handled;
+    }
+
+}
+
+EventEmitter.prototype.addListener =
+EventEmitter.prototype.on;
+
+EventEmitter.prototype.removeListener =
+EventEmitter.prototype.off;
+
+// DOM INTEROPERABILITY
+
+function createCustomEvent(type, detail) {
+    /* global CustomEvent */
+    return new CustomEvent(type, {detail});
+}
+
+/**
+ * Forwards the specified events from a DOM `EventTarget` into a {@link Broker}
+ * and from the broker back to the `EventTarget`. Events dispatched on the
+ * target are emitted on the broker with the event's `detail` (or the event
+ * itself, if it has no `detail`) as the only argument. Events emitted on the
+ * broker are dispatched on the target as new events whose `detail` is the
+ * emitted argument (or an array of the emitted arguments, if more than 1).
+ * Events are never forwarded back to where they came from.
+ * @function bridgeEventTarget
+ * @param target {EventTarget} The target to bridge.
+ * @param broker {Broker} The broker to bridge.
+ * @param options {Object} Settings for the bridge.
+ * @param options.events {String[]} The events to forward.
+ * @param [options.createEvent] {Function} Invoked with an event name and
+ *  `detail` to create the event objects dispatched on the target. Creates
+ *  a `CustomEvent` by default.
+ * @returns {Function} A method to invoke to stop forwarding events.
+ * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+ * @example
+ * var stop = bridgeEventTarget(document, broker, {
+ *   events: ['app:theme-changed']
+ * });
+ * document.dispatchEvent(new CustomEvent('app:theme-changed', {
+ *   detail: 'dark'
+ * })); // broker listeners receive 'dark'
+ * broker.emit('app:theme-changed', 'light'); // document listeners invoked
+ * stop(); // stop forwarding events
+ */
+export function bridgeEventTarget(target, broker, {events, createEvent = createCustomEvent}) {
+    let token = Symbol('bridge'),
+        dispatching = {},
+        teardown = flatMap(events, (event) => {
+            throwIfNot(isValidEvent, event, EVENT_ERROR, InvalidEventError);
+            // emissions from the target are marked; events dispatched on the
+            // target are tracked by name, so only their own echo is skipped
+            let toBroker = (evt) => {
+                    if (!dispatching[event]) {
+                        mark(broker, token, () => broker.emit(event, 'detail' in evt ? evt.detail : evt));
+                    }
+                },
+                off = Broker.prototype.on.call(broker, event, (...args) => {
+                    if (data.get(broker).current === token || dispatching[event]) {
+                        return;
+                    }
+                    dispatching[event] = true;
+                    try {
+                        target.dispatchEvent(createEvent(event, toPayload(args)));
+                    } finally {
+                        dispatching[event] = false;
+                    }
+                });
+            target.addEventListener(event, toBroker);
+            return [off, () => target.removeEventListener(event, toBroker)];
+        });
+    return () => forEach(teardown, (fn) => fn());
+}
+
+// CROSS-CONTEXT TRANSPORT
+
+function isAllowed(patterns, event, delimiter) {
+    return some(patterns, (pattern) =>
+        matches(split(pattern, delimiter), split(event, delimiter)));
+}
+
+function serialize(value) {
+    if (isError(value)) {
+        let {name, message, stack} = value;
+        return {[ERROR_TAG]: true, name, message, stack};
+    }
+    if (isFunction(value)) {
+        return undefined;
+    }
+    if (isArray(value)) {
+        return value.map(serialize);
+    }
+    if (isPlainObject(value)) {
+        return mapValues(value, serialize);
+    }
+    return value;
+}
+
+function deserialize(value) {
+    if (isPlainObject(value) && value[ERROR_TAG]) {
+        let {name, message, stack} = value;
+        return assign(new Error(message), {name, stack});
+    }
+    if (isArray(value)) {
+        return value.map(deserialize);
+    }
+    if (isPlainObject(value)) {
+        return mapValues(value, deserialize);
+    }
+    return value;
+}
+
+/**
+ * Links a {@link Broker} to a `postMessage`-style port--such as a
+ * `MessagePort`, `Worker`, `BroadcastChannel` or Node's `worker_threads`
+ * `MessagePort`--so brokers in different contexts act as a single bus.
+ * Only events in the `send` allow-list are posted to the port, and only
+ * events in the `receive` allow-list are emitted when messages arrive.
+ * Arguments are converted to a structured-clone-safe format: functions
+ * are removed and errors are sent as plain objects and recreated on
+ * arrival. Events received from the port are never posted back to it.
+ * @function connectPort
+ * @param broker {Broker} The broker to link.
+ * @param port {Object} The port to link. Must have a `postMessage` method and
+ *  either `addEventListener` and `removeEventListener` methods or `on` and
+ *  `off` methods.
+ * @param options {Object} Settings for the link.
+ * @param [options.send] {String[]} The events and wildcard patterns whose
+ *  emissions should be posted to the port.
+ * @param [options.receive] {String[]} The events and wildcard patterns that
+ *  should be emitted when they arrive from the port.
+ * @returns {Function} A method to invoke to unlink the broker and port.
+ * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+ * @example
+ * // in the main thread:
+ * var worker = new Worker('worker.js');
+ * connectPort(broker, worker, {
+ *   send: ['search:query'],
+ *   receive: ['search:results']
+ * });
+ * // in worker.js:
+ * connectPort(broker, self, {
+ *   send: ['search:results'],
+ *   receive: ['search:query']
+ * });
+ * @example
+ * // share events across tabs:
+ * connectPort(broker, new BroadcastChannel('app'), {
+ *   send: ['session:*'],
+ *   receive: ['session:*']
+ * });
+ */
+export function connectPort(broker, port, {send = [], receive = []}) {
+    forEach(concat(send, receive), (event) =>
+        throwIfNot(isValidEvent, event, EVENT_ERROR, InvalidEventError));
+    let {delimiter} = data.get(broker),
+        origin = uniqueId(`${CHANNEL}-${Date.now()}-`),
+        onMessage = (message) => {
+            let envelope = isObjectLike(message) && 'data' in message ? message.data : message;
+            if (!isPlainObject(envelope) || envelope.channel !== CHANNEL ||
+                envelope.origin === origin || !isValidEvent(envelope.event) ||
+                !isAllowed(receive, envelope.event, delimiter)) {
+                return;
+            }
+            mark(broker, origin, () =>
+                broker.emit(envelope.event, ...deserialize(castArray(envelope.args))));
+        },
+        off = broker.use(function transport(context, next) {
+            let echo = data.get(broker).current === origin,
+                result = next();
+            if (!echo && isAllowed(send, context.event, delimiter)) {
+                port.postMessage({
+                    channel: CHANNEL,
+                    origin,
+                    event: context.event,
+                    args: serialize(context.args)
+                });
+            }
+            return result;
+        });
+    if (isFunction(port.addEventListener)) {
+        port.addEventListener('message', onMessage);
+        if (isFunction(port.start)) {
+            port.start();
+        }
+    } else {
+        port.on('message', onMessage);
+    }
+    return () => {
+        off();
+        if (isFunction(port.removeEventListener)) {
+            port.removeEventListener('message', onMessage);
+        } else {
+            port.off('message', onMessage);
+        }
+    };
+}
+
+// HISTORY RECORDING
+
+/**
+ * @typedef Recorder
+ * @type {Object}
+ * @property {Function} entries Returns the recorded emissions, oldest first.
+ *  Each entry has `event`, `args` and `timestamp` properties, and a
+ *  `descriptor` property if an object was emitted; `args` and `descriptor`
+ *  are stored in the structured-clone-safe format used by {@link connectPort}.
+ * @property {Function} toJSON Returns the recorded emissions, so the
+ *  recorder can be passed directly to `JSON.stringify`.
+ * @property {Function} load Replaces the recorded emissions with those
+ *  in the specified array or JSON string.
+ * @property {Function} clear Discards the recorded emissions.
+ * @property {Function} stop Stops recording emissions.
+ */
+
+/**
+ * Records every emission on the specified {@link Broker}--except the
+ * built-in [Events]{@link Broker.Events}--into a bounded ring buffer:
+ * once the buffer is full, the oldest emissions are discarded.
+ * Recorded emissions can be exported as JSON and later re-emitted using
+ * [replay]{@link Broker#replay}.
+ * @function recordHistory
+ * @param broker {Broker} The broker whose emissions should be recorded.
+ * @param [options] {Object} Settings for the recorder.
+ * @param [options.size=100] {Number} The maximum number of emissions
+ *  to retain.
+ * @returns {Recorder} The recorder.
+ * @throws {InvalidArgumentError} Option `size` must be a positive integer.
+ * @example
+ * var recorder = recordHistory(broker, {size: 500});
+ * window.onerror = function() {
+ *   report({history: JSON.stringify(recorder)});
+ * };
+ */
+export function recordHistory(broker, {size = 100} = {}) {
+    throwIfNot((value) => isInteger(value) && value > 0, size, SIZE_ERROR);
+    let buffer = [],
+        start = 0,
+        write = (entry) => {
+            if (buffer.length < size) {
+                buffer.push(entry);
+            } else {
+                buffer[start] = entry;
+                start = (start + 1) % size;
+            }
+        },
+        entries = () => buffer.slice(start).concat(buffer.slice(0, start)),
+        clear = () => {
+            buffer = [];
+            start = 0;
+        },
+        stop = broker.use(function record(context, next) {
+            let {event, args, descriptor} = context;
+            // the broker's own bookkeeping events would replay without their callbacks
+            if (isBuiltIn(event)) {
+                return next();
+            }
+            write(assign({event, args: serialize(args), timestamp: Date.now()}, descriptor && {
+                descriptor: serialize(assign({}, descriptor, {type: event}))
+            }));
+            return next();
+        });
+    return {
+        entries,
+        toJSON: entries,
+        load(log) {
+            clear();
+            forEach(isString(log) ? JSON.parse(log) : log, write);
+        },
+        clear,
+        stop
+    };
+}
+
+// CYCLE.JS DRIVER
+
+/**
+ * Creates a Cycle.js driver that wraps the specified {@link Broker}
+ * instance. Sink values should be objects with an `event` property
+ * and an optional `args` array; each one is passed to
+ * [emit]{@link Broker#emit}. The driver's source exposes a `select`
+ * method that returns an observable of payloads emitted for an event;
+ * convert it using your stream library before applying operators. The
+ * source's `dispose` method stops emitting sink values.
+ * @function makeBrokerDriver
+ * @param [broker] {Broker} The broker to wrap. If not provided,
+ *  a new broker instance will be created.
+ * @returns {Function} A Cycle.js driver function.
+ * @example
+ * function main(sources) {
+ *   var click$ = Rx.Observable.from(sources.events.select('button-clicked'));
+ *   return {
+ *     events: click$.map(function(data) {
+ *       return {event: 'log', args: ['clicked', data]};
+ *     })
+ *   };
+ * }
+ * Cycle.run(main, {
+ *   events: makeBrokerDriver(new Broker())
+ * });
+ */
+export function makeBrokerDriver(broker = new Broker()) {
+    return function brokerDriver(sink$) {
+        let subscription = sink$ && sink$.subscribe(({event, args = []}) =>
+            broker.emit(event, ...args));
+        return {
+
+            /**
+             * Returns a stream of payloads emitted for the specified event.
+             * Listeners are registered when the stream is subscribed to and
+             * removed when the subscription is disposed. If the event is
+             * emitted with more than 1 argument, the payload will be an
+             * array of those arguments.
+             * @param event {String} The event to select.
+             * @returns {Object} An observable of emitted payloads.
+             * @throws {InvalidEventError} Parameter `event` must be a non-empty string.
+             * @see Broker#observe
+             */
+            select(event) {
+                return broker.observe(event);
+            },
+
+            /**
+             * Unsubscribes from the sink stream, so its values are no
+             * longer emitted on the broker.
+             */
+            dispose() {
+                if (subscription) {
+                    let stop = subscription.unsubscribe || subscription.dispose;
+                    stop.call(subscription);
+                    subscription = undefined;
+                }
+            }
+
+        };
+    };
+}
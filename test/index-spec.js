@@ -1,6 +1,75 @@
 'use strict';
 
+/* global AbortController, CustomEvent */
+
 var Broker = require('../index').Broker;
+var makeBrokerDriver = require('../index').makeBrokerDriver;
+var EventEmitter = require('../index').EventEmitter;
+var bridgeEventTarget = require('../index').bridgeEventTarget;
+var connectPort = require('../index').connectPort;
+var recordHistory = require('../index').recordHistory;
+var InvalidArgumentError = require('../index').InvalidArgumentError;
+var InvalidEventError = require('../index').InvalidEventError;
+var InvalidCallbackError = require('../index').InvalidCallbackError;
+var ListenerError = require('../index').ListenerError;
+var RequestError = require('../index').RequestError;
+var WaitError = require('../index').WaitError;
+var MessageChannel = require('worker_threads').MessageChannel;
+
+function StandInEventTarget() {
+    this.listeners = {};
+}
+
+StandInEventTarget.prototype.addEventListener = function(type, listener) {
+    this.listeners[type] = (this.listeners[type] || []).concat(listener);
+};
+
+StandInEventTarget.prototype.removeEventListener = function(type, listener) {
+    this.listeners[type] = (this.listeners[type] || []).filter(function(item) {
+        return item !== listener;
+    });
+};
+
+StandInEventTarget.prototype.dispatchEvent = function(evt) {
+    (this.listeners[evt.type] || []).forEach(function(listener) {
+        listener(evt);
+    });
+    return !evt.defaultPrevented;
+};
+
+function VirtualScheduler() {
+    this.time = 0;
+    this.timers = [];
+    this.id = 0;
+}
+
+VirtualScheduler.prototype.setTimeout = function(fn, wait) {
+    this.timers.push({id: ++this.id, fn: fn, at: this.time + wait});
+    return this.id;
+};
+
+VirtualScheduler.prototype.clearTimeout = function(id) {
+    this.timers = this.timers.filter(function(timer) {
+        return timer.id !== id;
+    });
+};
+
+VirtualScheduler.prototype.advance = function(ms) {
+    var target = this.time + ms,
+        due = function(timer) {
+            return timer.at <= target;
+        },
+        timer;
+    while (this.timers.some(due)) {
+        timer = this.timers.filter(due).sort(function(a, b) {
+            return a.at - b.at || a.id - b.id;
+        })[0];
+        this.clearTimeout(timer.id);
+        this.time = timer.at;
+        timer.fn();
+    }
+    this.time = target;
+};
 var expect = require('chai').expect;
 
 function testEventParam(broker, method) {
@@ -17,7 +86,7 @@ function testEventParam(broker, method) {
     ].forEach(function(args) {
         expect(function() {
             broker[method].apply(broker, args);
-        }).to.throw(TypeError, 'Parameter `event` must be a non-empty string.');
+        }).to.throw(InvalidEventError, 'Parameter `event` must be a non-empty string.');
     });
 }
 
@@ -34,7 +103,7 @@ function testCallbackParam(broker, method) {
         expect(function() {
             args.unshift('event-name');
             broker[method].apply(broker, args);
-        }).to.throw(TypeError, 'Parameter `callback` must be a function.');
+        }).to.throw(InvalidCallbackError, 'Parameter `callback` must be a function.');
     });
 }
 
@@ -52,6 +121,332 @@ describe('Broker', function() {
 
     });
 
+    describe('onError option', function() {
+
+        function fail() {
+            throw new Error('fail');
+        }
+
+        it('throws if invalid policy passed', function() {
+            ['ignore', 123, null].forEach(function(policy) {
+                expect(function() {
+                    return new Broker({onError: policy});
+                }).to.throw(InvalidArgumentError, 'Option `onError` must be');
+            });
+        });
+
+        it('reports errors by default', function() {
+            var broker = new Broker(),
+                reported = [];
+            broker.on(Broker.Events.ERROR, function(data) {
+                reported.push(data.error.message);
+            });
+            broker.on('event', fail);
+            broker.emit('event');
+            expect(reported).to.eql(['fail']);
+        });
+
+        it('throw invokes remaining listeners then throws AggregateError', function() {
+            var broker = new Broker({onError: 'throw'}),
+                reported = false,
+                called = false;
+            broker.on(Broker.Events.ERROR, function() {
+                reported = true;
+            });
+            broker.on('event', fail);
+            broker.on('event', function() {
+                throw new Error('fail again');
+            });
+            broker.on('event', function() {
+                called = true;
+            });
+            try {
+                broker.emit('event');
+                throw new Error('this should not be reached');
+            } catch (error) {
+                expect(error.name).to.equal('AggregateError');
+                expect(error.errors.length).to.equal(2);
+                expect(error.errors[0].message).to.equal('fail');
+                expect(error.errors[1].message).to.equal('fail again');
+            }
+            expect(called).to.equal(true);
+            expect(reported).to.equal(false);
+        });
+
+        it('throw does not throw if listeners succeed', function() {
+            var broker = new Broker({onError: 'throw'});
+            broker.on('event', function() {});
+            broker.emit('event');
+        });
+
+        it('throw rejects async emissions', function() {
+            var broker = new Broker({onError: 'throw'});
+            broker.on('event', fail);
+            broker.on('event', function() {});
+            return Promise.all([broker.emitAsync('event'), broker.emitSerial('event')].map(function(promise) {
+                return promise.then(function() {
+                    throw new Error('this should not be reached');
+                }, function(error) {
+                    expect(error.name).to.equal('AggregateError');
+                    expect(error.errors.length).to.equal(1);
+                });
+            }));
+        });
+
+        it('throwIfUnhandled throws only without error listeners', function() {
+            var broker = new Broker({onError: 'throwIfUnhandled'}),
+                reported = [];
+            broker.on('event', fail);
+            expect(function() {
+                broker.emit('event');
+            }).to.throw(Error, 'Listeners for `event` threw 1 exception(s).');
+            broker.on(Broker.Events.ERROR, function(data) {
+                reported.push(data.event);
+            });
+            broker.emit('event');
+            expect(reported).to.eql(['event']);
+        });
+
+        it('function is invoked instead of error event', function() {
+            var reported = [],
+                broker = new Broker({
+                    onError: function(data) {
+                        reported.push([this, data.event, data.error.message, data.index]);
+                    }
+                }),
+                emitted = false;
+            broker.on(Broker.Events.ERROR, function() {
+                emitted = true;
+            });
+            broker.on('event', fail);
+            broker.emit('event');
+            expect(reported).to.eql([[broker, 'event', 'fail', 0]]);
+            expect(emitted).to.equal(false);
+        });
+
+        it('is inherited by child brokers', function() {
+            var child = new Broker({onError: 'throw'}).child('feature');
+            child.on('event', fail);
+            expect(function() {
+                child.emit('event');
+            }).to.throw(Error, 'exception(s).');
+        });
+
+    });
+
+    describe('dispatch option', function() {
+
+        function record(broker, calls) {
+            broker.on('first', function(value) {
+                calls.push('first:start');
+                broker.emit('second', value);
+                calls.push('first:end');
+            });
+            broker.on('second', function(value) {
+                calls.push('second:' + value);
+            });
+            calls.length = 0;
+        }
+
+        it('throws if invalid mode passed', function() {
+            ['async', 123, null].forEach(function(mode) {
+                expect(function() {
+                    return new Broker({dispatch: mode});
+                }).to.throw(InvalidArgumentError, 'Option `dispatch` must be');
+            });
+        });
+
+        it('runs nested emits immediately by default', function() {
+            var broker = new Broker(),
+                calls = [];
+            record(broker, calls);
+            broker.emit('first', 1);
+            expect(calls).to.eql(['first:start', 'second:1', 'first:end']);
+        });
+
+        it('microtask queues emissions and drains them FIFO', function() {
+            var broker = new Broker({dispatch: 'microtask'}),
+                calls = [];
+            record(broker, calls);
+            expect(broker.emit('first', 1)).to.equal(undefined);
+            expect(broker.emit({type: 'other'})).to.equal(false);
+            broker.emit('first', 2);
+            expect(calls).to.eql([]);
+            return Promise.resolve().then(function() {
+                expect(calls).to.eql([
+                    'first:start', 'first:end',
+                    'first:start', 'first:end',
+                    'second:1', 'second:2'
+                ]);
+            });
+        });
+
+        it('throws synchronously for invalid events', function() {
+            var broker = new Broker({dispatch: 'microtask'});
+            expect(function() {
+                broker.emit('');
+            }).to.throw(InvalidEventError);
+        });
+
+        it('uses custom scheduler function', function() {
+            var scheduler = new VirtualScheduler(),
+                broker = new Broker({
+                    dispatch: function(drain) {
+                        scheduler.setTimeout(drain, 0);
+                    }
+                }),
+                calls = [];
+            record(broker, calls);
+            broker.emit('first', 1);
+            broker.emit('first', 2);
+            expect(scheduler.timers.length).to.equal(1);
+            scheduler.advance(0);
+            expect(calls).to.eql(['first:start', 'first:end', 'first:start', 'first:end', 'second:1', 'second:2']);
+        });
+
+        it('flush drains queue synchronously', function() {
+            var broker = new Broker({dispatch: 'microtask'}),
+                calls = [];
+            record(broker, calls);
+            broker.emit('first', 1);
+            broker.flush();
+            expect(calls).to.eql(['first:start', 'first:end', 'second:1']);
+        });
+
+        it('flush keeps remaining emissions if one throws', function() {
+            var broker = new Broker({dispatch: 'microtask', onError: 'throw'}),
+                values = [];
+            broker.on('failing', function() {
+                throw new Error('failed');
+            });
+            broker.on('valid', function(value) {
+                values.push(value);
+            });
+            broker.emit('failing');
+            broker.emit('valid', 1);
+            expect(function() {
+                broker.flush();
+            }).to.throw('1 queued emission(s) failed.');
+            expect(values).to.eql([1]);
+            broker.flush();
+            expect(values).to.eql([1]);
+        });
+
+        it('validates arguments before queuing', function() {
+            var broker = new Broker({dispatch: 'microtask', strict: true});
+            broker.define('valid', function(value) {
+                return typeof value === 'number';
+            });
+            expect(function() {
+                broker.emit('undefined');
+            }).to.throw(InvalidArgumentError, 'must be defined');
+            expect(function() {
+                broker.emit('valid', 'abc');
+            }).to.throw(InvalidArgumentError);
+            expect(function() {
+                broker.defer('undefined');
+            }).to.throw(InvalidArgumentError, 'must be defined');
+            expect(function() {
+                broker.flush();
+            }).not.to.throw();
+        });
+
+        it('reports failures while draining', function() {
+            var broker = new Broker({dispatch: 'microtask', onError: 'report'}),
+                reported = [];
+            broker.on('failing', function() {
+                throw new Error('failed');
+            });
+            broker.on(Broker.Events.ERROR, function(details) {
+                reported.push(details.event + ':' + details.error.message);
+            });
+            broker.emit('failing');
+            return Promise.resolve().then(function() {
+                expect(reported).to.eql(['failing:failed']);
+            });
+        });
+
+        it('does not reject the drain if emissions throw', function() {
+            var broker = new Broker({dispatch: 'microtask', onError: 'throw'}),
+                timeout = global.setTimeout,
+                thrown = [];
+            broker.on('failing', function() {
+                throw new Error('failed');
+            });
+            global.setTimeout = function(fn) {
+                try {
+                    fn();
+                } catch (e) {
+                    thrown.push(e);
+                }
+            };
+            broker.emit('failing');
+            return Promise.resolve().then(function() {
+                global.setTimeout = timeout;
+                expect(thrown.length).to.equal(1);
+                expect(thrown[0].errors[0].message).to.equal('failed');
+            }, function(e) {
+                global.setTimeout = timeout;
+                throw e;
+            });
+        });
+
+        it('flush surfaces unhandled error emissions and keeps deferring', function() {
+            var emitter = new EventEmitter({dispatch: 'microtask'}),
+                err = new Error('failed'),
+                called = false;
+            emitter.on('later', function() {
+                called = true;
+            });
+            emitter.defer(Broker.Events.ERROR, err);
+            try {
+                emitter.flush();
+                throw new Error('this should not be reached');
+            } catch (error) {
+                expect(error.errors).to.eql([err]);
+            }
+            emitter.emit('later');
+            expect(called).to.equal(false);
+            emitter.flush();
+            expect(called).to.equal(true);
+        });
+
+        it('defer queues emission in sync mode', function() {
+            var broker = new Broker(),
+                calls = [];
+            broker.on('first', function() {
+                calls.push('first:start');
+                broker.defer('second', 1);
+                calls.push('first:end');
+            });
+            broker.on('second', function(value) {
+                calls.push('second:' + value);
+            });
+            broker.emit('first');
+            expect(calls).to.eql(['first:start', 'first:end']);
+            return Promise.resolve().then(function() {
+                expect(calls).to.eql(['first:start', 'first:end', 'second:1']);
+            });
+        });
+
+        it('defer throws if invalid event passed', function() {
+            testEventParam(new Broker(), 'defer');
+        });
+
+        it('is inherited by child brokers', function() {
+            var child = new Broker({dispatch: 'microtask'}).child('feature'),
+                called = false;
+            child.on('event', function() {
+                called = true;
+            });
+            child.emit('event');
+            expect(called).to.equal(false);
+            child.flush();
+            expect(called).to.equal(true);
+        });
+
+    });
+
     describe('static Events enumeration', function() {
 
         /* jshint -W030 */
@@ -66,7 +461,7 @@ describe('Broker', function() {
         });
 
         it('has expected built-in events', function() {
-            expect(Broker.Events).to.include.keys(['ERROR', 'ADDED', 'REMOVED']);
+            expect(Broker.Events).to.include.keys(['ERROR', 'ADDED', 'REMOVED', 'LEAK']);
         });
 
     });
@@ -112,12 +507,116 @@ describe('Broker', function() {
                 expect(this.broker.on('custom-event', Function.prototype)).to.be.a('function');
             });
 
+            it('throws if invalid signal passed', function() {
+                var broker = this.broker;
+                [123, 'abc', {}].forEach(function(signal) {
+                    expect(function() {
+                        broker.on('event', Function.prototype, {signal: signal});
+                    }).to.throw(TypeError, 'Option `signal` must be an AbortSignal.');
+                });
+            });
+
+            it('throws if non-number passed for priority', function() {
+                var broker = this.broker;
+                ['1', NaN, Infinity, null].forEach(function(priority) {
+                    expect(function() {
+                        broker.on('event', Function.prototype, {priority: priority});
+                    }).to.throw(TypeError, 'Option `priority` must be a finite number.');
+                });
+            });
+
+            it('invokes listener with context option as `this`', function() {
+                var context = {},
+                    contexts = [];
+                this.broker.on('event', function() {
+                    contexts.push(this);
+                }, {context: context});
+                this.broker.emit('event');
+                return this.broker.emitAsync('event').then(function() {
+                    expect(contexts).to.eql([context, context]);
+                    expect(contexts[0]).to.equal(context);
+                });
+            });
+
+            it('includes tag, owner and metadata in listener events', function() {
+                var owner = {},
+                    added = [],
+                    removed = [];
+                this.broker.on(Broker.Events.ADDED, function(data) {
+                    added.push(data);
+                });
+                this.broker.on(Broker.Events.REMOVED, function(data) {
+                    removed.push(data);
+                });
+                added.length = 0;
+                this.broker.on('event', Function.prototype, {tag: 'tag', owner: owner, metadata: {id: 1}})();
+                expect(added).to.eql([{event: 'event', callback: Function.prototype, tag: 'tag', owner: owner, metadata: {id: 1}}]);
+                expect(removed).to.eql(added);
+                expect(added[0].owner).to.equal(owner);
+            });
+
+        });
+
+        describe('.offByOwner', function() {
+
+            it('throws if owner is undefined', function() {
+                var broker = this.broker;
+                expect(function() {
+                    broker.offByOwner();
+                }).to.throw(InvalidArgumentError, 'Parameter `owner` must not be undefined.');
+            });
+
+            it('removes every listener registered by owner', function() {
+                var owner = {},
+                    removed = [];
+                function a() {}
+                function b() {}
+                function c() {}
+                this.broker.on('one', a, {owner: owner});
+                this.broker.on('two:*', b, {owner: owner});
+                this.broker.on('one', c, {owner: {}});
+                this.broker.on(Broker.Events.REMOVED, function(data) {
+                    removed.push([data.event, data.callback]);
+                });
+                this.broker.offByOwner(owner);
+                expect(removed).to.eql([['one', a], ['two:*', b]]);
+                expect(this.broker.listeners('one')).to.eql([c]);
+                expect(this.broker.hasListeners('two:x')).to.equal(false);
+            });
+
+        });
+
+        describe('.offByTag', function() {
+
+            it('throws if tag is undefined', function() {
+                var broker = this.broker;
+                expect(function() {
+                    broker.offByTag();
+                }).to.throw(InvalidArgumentError, 'Parameter `tag` must not be undefined.');
+            });
+
+            it('removes every listener with tag', function() {
+                function a() {}
+                function b() {}
+                this.broker.on('one', a, {tag: 'realtime'});
+                this.broker.on('two', a, {tag: 'realtime'});
+                this.broker.on('one', b, {tag: 'other'});
+                this.broker.offByTag('realtime');
+                expect(this.broker.listeners('one')).to.eql([b]);
+                expect(this.broker.hasListeners('two')).to.equal(false);
+            });
+
         });
 
         describe('.one', function() {
 
-            it('is alias of once', function() {
-                expect(this.broker.one).to.be.equal(this.broker.once);
+            it('is used by once if no predicate passed', function(done) {
+                this.broker.one = function spy(event, callback) {
+                    expect(event).to.equal('event');
+                    expect(callback).to.equal(Function.prototype);
+                    done();
+                };
+                this.broker.once('event', Function.prototype);
             });
 
             it('returns function', function() {
@@ -133,6 +632,150 @@ describe('Broker', function() {
                 this.broker.one('event', Function.prototype);
             });
 
+            it('invokes listener with emitted args and broker context', function() {
+                var broker = this.broker,
+                    calls = [];
+                broker.one('event', function() {
+                    calls.push([this, [].slice.call(arguments)]);
+                });
+                broker.emit('event', 'a', 1);
+                broker.emit('event', 'b', 2);
+                expect(calls).to.eql([[broker, ['a', 1]]]);
+            });
+
+            it('listener can be removed using original callback', function() {
+                var called = false;
+                function callback() {
+                    called = true;
+                }
+                this.broker.one('event', callback);
+                this.broker.off('event', callback);
+                this.broker.emit('event');
+                expect(called).to.equal(false);
+                expect(this.broker.listenerCount('event')).to.equal(0);
+            });
+
+            it('is removed before listener is invoked', function() {
+                var broker = this.broker,
+                    count = 0;
+                broker.one('event', function() {
+                    count++;
+                    broker.emit('event');
+                });
+                broker.emit('event');
+                expect(count).to.equal(1);
+            });
+
+            it('fires once for async emissions', function() {
+                var broker = this.broker,
+                    count = 0;
+                broker.one('event', function() {
+                    count++;
+                });
+                return Promise.all([broker.emitAsync('event'), broker.emitSerial('event')]).then(function(results) {
+                    expect(count).to.equal(1);
+                    expect(results[0].length + results[1].length).to.equal(1);
+                });
+            });
+
+        });
+
+        describe('.many', function() {
+
+            it('throws if invalid count passed', function() {
+                var broker = this.broker;
+                [0, -1, 1.5, '2', undefined].forEach(function(count) {
+                    expect(function() {
+                        broker.many('event', count, Function.prototype);
+                    }).to.throw(InvalidArgumentError, 'Parameter `count` must be a positive integer.');
+                });
+            });
+
+            it('throws if non-function passed for callback', function() {
+                var broker = this.broker;
+                expect(function() {
+                    broker.many('event', 2, null);
+                }).to.throw(InvalidCallbackError, 'Parameter `callback` must be a function.');
+            });
+
+            it('fires listener the specified number of times', function() {
+                var values = [];
+                this.broker.many('event', 2, function(value) {
+                    values.push(value);
+                });
+                this.broker.emit('event', 1);
+                this.broker.emit('event', 2);
+                this.broker.emit('event', 3);
+                expect(values).to.eql([1, 2]);
+                expect(this.broker.hasListeners('event')).to.equal(false);
+            });
+
+            it('returns function that removes listener', function() {
+                var called = false;
+                this.broker.many('event', 2, function() {
+                    called = true;
+                })();
+                this.broker.emit('event');
+                expect(called).to.equal(false);
+            });
+
+        });
+
+        describe('.once', function() {
+
+            it('behaves like `one` if no predicate passed', function() {
+                var count = 0;
+                this.broker.once('event', function() {
+                    count++;
+                }, {priority: 1});
+                this.broker.emit('event');
+                this.broker.emit('event');
+                expect(count).to.equal(1);
+            });
+
+            it('throws if non-function passed for predicate', function() {
+                var broker = this.broker;
+                expect(function() {
+                    broker.once('event', 'predicate', Function.prototype);
+                }).to.throw(InvalidArgumentError, 'Parameter `predicate` must be a function.');
+            });
+
+            it('fires on first emission satisfying predicate', function() {
+                var broker = this.broker,
+                    contexts = [],
+                    values = [];
+                broker.once('event', function(value) {
+                    contexts.push(this);
+                    return value > 1;
+                }, function(value) {
+                    values.push(value);
+                });
+                broker.emit('event', 1);
+                broker.emit('event', 2);
+                broker.emit('event', 3);
+                expect(values).to.eql([2]);
+                expect(contexts).to.eql([broker, broker]);
+            });
+
+            it('fires ERROR event if predicate throws', function() {
+                var err = new Error(),
+                    called = false,
+                    reported;
+                function callback() {
+                    called = true;
+                }
+                this.broker.on(Broker.Events.ERROR, function(data) {
+                    reported = data;
+                });
+                this.broker.once('event', function() {
+                    throw err;
+                }, callback);
+                this.broker.emit('event', 1);
+                expect(called).to.equal(false);
+                expect(reported).to.eql({event: 'event', callback: callback, error: err, args: [1]});
+                expect(this.broker.hasListeners('event')).to.equal(true);
+            });
+
         });
 
         describe('.off', function() {
@@ -215,56 +858,1788 @@ describe('Broker', function() {
                 this.broker.emit('custom-event');
             });
 
+            it('throws if object without type passed for event', function() {
+                var broker = this.broker;
+                expect(function() {
+                    broker.emit({});
+                }).to.throw(TypeError, 'Parameter `event` must be a non-empty string.');
+            });
+
+            it('passes event object and args when object passed', function(done) {
+                this.broker.on('event', function(evt, arg) {
+                    expect(evt.type).to.equal('event');
+                    expect(evt.detail).to.equal('detail');
+                    expect(evt.defaultPrevented).to.equal(false);
+                    expect(arg).to.equal(123);
+                    done();
+                });
+                this.broker.emit({type: 'event', detail: 'detail'}, 123);
+            });
+
+            it('returns whether event was canceled', function() {
+                expect(this.broker.emit({type: 'event'})).to.equal(false);
+                this.broker.on('event', function(evt) {
+                    evt.preventDefault();
+                });
+                expect(this.broker.emit({type: 'event'})).to.equal(true);
+            });
+
+            it('skips remaining listeners after propagation stopped', function() {
+                var called = [];
+                this.broker.on('event', function(evt) {
+                    called.push(1);
+                    evt.stopImmediatePropagation();
+                });
+                this.broker.on('event', function() {
+                    called.push(2);
+                });
+                expect(this.broker.emit({type: 'event'})).to.equal(false);
+                expect(called).to.eql([1]);
+            });
+
         });
 
-        describe('end-to-end:', function() {
+        describe('.addEventListener', function() {
 
-            it('`on` does not add same listener twice', function() {
+            it('throws if non-string passed for event', function() {
+                testEventParam(this.broker, 'addEventListener');
+            });
+
+            it('invokes function listeners with event and broker context', function(done) {
+                var broker = this.broker,
+                    evt = {type: 'event'};
+                broker.addEventListener('event', function(arg) {
+                    expect(arg).to.equal(evt);
+                    expect(this).to.equal(broker);
+                    done();
+                });
+                broker.dispatchEvent(evt);
+            });
+
+            it('invokes handleEvent of object listeners', function(done) {
+                var listener = {
+                    handleEvent: function(evt) {
+                        expect(this).to.equal(listener);
+                        expect(evt.type).to.equal('event');
+                        done();
+                    }
+                };
+                this.broker.addEventListener('event', listener);
+                this.broker.dispatchEvent({type: 'event'});
+            });
+
+            it('ignores null and duplicate listeners', function() {
                 var callCount = 0;
-                function callback() {
+                function listener() {
                     callCount++;
                 }
-                this.broker.on('event', callback);
-                this.broker.on('event', callback);
-                this.broker.on('event', callback);
-                this.broker.on('event', callback);
-                this.broker.on('event', callback);
-                expect(callCount).to.equal(0);
-                this.broker.emit('event');
+                this.broker.addEventListener('event', null);
+                this.broker.addEventListener('event', listener);
+                this.broker.addEventListener('event', listener);
+                this.broker.dispatchEvent({type: 'event'});
                 expect(callCount).to.equal(1);
             });
 
-            it('method returned by `on` removes callback', function() {
+            it('removes `once` listeners after invoked', function() {
                 var callCount = 0;
-                var off = this.broker.on('event', function() {
+                this.broker.addEventListener('event', function() {
                     callCount++;
-                });
-                expect(callCount).to.equal(0);
-                this.broker.emit('event');
-                expect(callCount).to.equal(1);
-                off();
-                this.broker.emit('event');
+                }, {once: true});
+                this.broker.dispatchEvent({type: 'event'});
+                this.broker.dispatchEvent({type: 'event'});
                 expect(callCount).to.equal(1);
             });
 
-            it('listener invoked when matching event emitted', function(done) {
-                this.broker.on('event', done);
-                this.broker.emit('event');
+            it('removes listener when signal aborted', function() {
+                var callCount = 0,
+                    controller = new AbortController();
+                this.broker.addEventListener('event', function() {
+                    callCount++;
+                }, {signal: controller.signal});
+                this.broker.dispatchEvent({type: 'event'});
+                controller.abort();
+                this.broker.dispatchEvent({type: 'event'});
+                expect(callCount).to.equal(1);
             });
 
-            it('listener not invoked when non-matching event emitted', function() {
-                var called = false;
-                this.broker.on('event', function() {
-                    called = true;
-                });
-                expect(called).to.equal(false);
-                this.broker.emit('another-event');
-                expect(called).to.equal(false);
+            it('ignores listener if signal already aborted', function() {
+                var controller = new AbortController();
+                controller.abort();
+                this.broker.addEventListener('event', Function.prototype, {signal: controller.signal});
+                expect(this.broker.hasListeners('event')).to.equal(false);
             });
 
-            it('listeners invoked in order registered', function() {
-                var num = 0,
-                    called = [],
+        });
+
+        describe('.removeEventListener', function() {
+
+            it('throws if non-string passed for event', function() {
+                testEventParam(this.broker, 'removeEventListener');
+            });
+
+            it('removes listener', function() {
+                var called = false,
+                    listener = {
+                        handleEvent: function() {
+                            called = true;
+                        }
+                    };
+                this.broker.addEventListener('event', listener);
+                this.broker.removeEventListener('event', listener);
+                this.broker.removeEventListener('event', null);
+                this.broker.dispatchEvent({type: 'event'});
+                expect(called).to.equal(false);
+            });
+
+        });
+
+        describe('.dispatchEvent', function() {
+
+            it('throws if event has no type', function() {
+                var broker = this.broker;
+                expect(function() {
+                    broker.dispatchEvent({});
+                }).to.throw(TypeError, 'Parameter `event` must be a non-empty string.');
+            });
+
+            it('invokes `on` listeners with event', function(done) {
+                var evt = new CustomEvent('event', {detail: 123});
+                this.broker.on('event', function(arg) {
+                    expect(arg).to.equal(evt);
+                    done();
+                });
+                this.broker.dispatchEvent(evt);
+            });
+
+            it('returns false if event canceled', function() {
+                this.broker.addEventListener('event', function(evt) {
+                    evt.preventDefault();
+                });
+                expect(this.broker.dispatchEvent(new CustomEvent('event', {cancelable: true}))).to.equal(false);
+                expect(this.broker.dispatchEvent(new CustomEvent('another', {cancelable: true}))).to.equal(true);
+            });
+
+        });
+
+        describe('.listeners', function() {
+
+            function first() {}
+            function second() {}
+            function third() {}
+
+            it('throws if non-string passed for event', function() {
+                testEventParam(this.broker, 'listeners');
+            });
+
+            it('returns empty array if no listeners', function() {
+                expect(this.broker.listeners('event')).to.eql([]);
+            });
+
+            it('returns listeners in registration order', function() {
+                this.broker.on('event', first);
+                this.broker.on('event', second);
+                expect(this.broker.listeners('event')).to.eql([first, second]);
+            });
+
+            it('returns a copy', function() {
+                this.broker.on('event', first);
+                this.broker.listeners('event').push(second);
+                expect(this.broker.listeners('event')).to.eql([first]);
+            });
+
+            it('orders higher priority listeners first', function() {
+                this.broker.on('event', third, {priority: -1});
+                this.broker.on('event', second);
+                this.broker.on('event', first, {priority: 5});
+                expect(this.broker.listeners('event')).to.eql([first, second, third]);
+            });
+
+            it('orders prepended listeners before same priority', function() {
+                this.broker.on('event', third, {priority: 1});
+                this.broker.on('event', first, {priority: 1, prepend: true});
+                this.broker.on('event', second, {prepend: true});
+                expect(this.broker.listeners('event')).to.eql([first, third, second]);
+            });
+
+            it('orders pattern listeners by priority', function() {
+                this.broker.on('cart:item', second);
+                this.broker.on('cart:*', first, {priority: 1});
+                expect(this.broker.listeners('cart:item')).to.eql([first, second]);
+            });
+
+        });
+
+        describe('.listenerCount', function() {
+
+            it('throws if non-string passed for event', function() {
+                testEventParam(this.broker, 'listenerCount');
+            });
+
+            it('is consistent with `on`, `one`, `off` and `removeAllListeners`', function() {
+                function callback() {}
+                expect(this.broker.listenerCount('event')).to.equal(0);
+                this.broker.on('event', callback);
+                this.broker.on('event', callback);
+                this.broker.one('event', function() {});
+                this.broker.on('*', function() {});
+                expect(this.broker.listenerCount('event')).to.equal(3);
+                this.broker.emit('event');
+                expect(this.broker.listenerCount('event')).to.equal(2);
+                this.broker.off('event', callback);
+                expect(this.broker.listenerCount('event')).to.equal(1);
+                this.broker.removeAllListeners('*');
+                expect(this.broker.listenerCount('event')).to.equal(0);
+            });
+
+        });
+
+        describe('.hasListeners', function() {
+
+            it('throws if non-string passed for event', function() {
+                testEventParam(this.broker, 'hasListeners');
+            });
+
+            it('returns whether event has listeners', function() {
+                var off = this.broker.on('event', Function.prototype);
+                expect(this.broker.hasListeners('event')).to.equal(true);
+                expect(this.broker.hasListeners('another')).to.equal(false);
+                off();
+                expect(this.broker.hasListeners('event')).to.equal(false);
+            });
+
+        });
+
+        describe('.setMaxListeners', function() {
+
+            it('throws if invalid count passed', function() {
+                var broker = this.broker;
+                [-1, 1.5, '1', null].forEach(function(count) {
+                    expect(function() {
+                        broker.setMaxListeners(count);
+                    }).to.throw(TypeError, 'Parameter `count` must be a non-negative integer.');
+                });
+            });
+
+            it('throws if invalid maxListeners option passed', function() {
+                expect(function() {
+                    return new Broker({maxListeners: -1});
+                }).to.throw(TypeError, 'Option `maxListeners` must be a non-negative integer.');
+            });
+
+            it('sets limit for broker and event', function() {
+                var broker = new Broker({maxListeners: 5});
+                expect(broker.getMaxListeners()).to.equal(5);
+                broker.setMaxListeners(3, 'event');
+                broker.setMaxListeners(10);
+                expect(broker.getMaxListeners()).to.equal(10);
+                expect(broker.getMaxListeners('event')).to.equal(3);
+                expect(broker.getMaxListeners('another')).to.equal(10);
+            });
+
+            it('fires LEAK event once when limit exceeded', function() {
+                var reported = [],
+                    offs = [],
+                    broker = this.broker;
+                this.broker.setMaxListeners(2, 'event');
+                this.broker.on(Broker.Events.LEAK, function(data) {
+                    reported.push(data);
+                });
+                [1, 2, 3, 4].forEach(function() {
+                    offs.push(broker.on('event', function() {}));
+                });
+                expect(reported.length).to.equal(1);
+                expect(reported[0].event).to.equal('event');
+                expect(reported[0].count).to.equal(3);
+                expect(reported[0].max).to.equal(2);
+                expect(reported[0].stack).to.be.a('string');
+                offs.pop()();
+                offs.pop()();
+                this.broker.on('event', function() {});
+                expect(reported.length).to.equal(2);
+            });
+
+            it('does not fire LEAK event if no limit', function() {
+                var called = false,
+                    broker = this.broker;
+                broker.on(Broker.Events.LEAK, function() {
+                    called = true;
+                });
+                [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11].forEach(function() {
+                    broker.on('event', function() {});
+                });
+                expect(called).to.equal(false);
+            });
+
+        });
+
+        describe('.rateLimit', function() {
+
+            beforeEach(function() {
+                var values = this.values = [];
+                this.scheduler = new VirtualScheduler();
+                this.broker = new Broker({scheduler: this.scheduler});
+                this.broker.on('event', function() {
+                    values.push([].slice.call(arguments));
+                });
+            });
+
+            it('throws if non-string passed for event', function() {
+                testEventParam(this.broker, 'rateLimit');
+            });
+
+            it('throws if invalid options passed', function() {
+                var broker = this.broker;
+                expect(function() {
+                    broker.rateLimit('event', {throttle: 10, debounce: 10});
+                }).to.throw(InvalidArgumentError, 'Only 1 of the `throttle`, `debounce` and `batch` options can be used.');
+                [-1, 'abc', {leading: true}].forEach(function(value) {
+                    expect(function() {
+                        broker.rateLimit('event', {debounce: value});
+                    }).to.throw(InvalidArgumentError, 'Option `debounce` must be a non-negative number or an object with a `wait` property.');
+                });
+            });
+
+            it('throws if invalid scheduler passed', function() {
+                [null, {}, {setTimeout: setTimeout}].forEach(function(scheduler) {
+                    expect(function() {
+                        return new Broker({scheduler: scheduler});
+                    }).to.throw(InvalidArgumentError, 'Option `scheduler` must have');
+                });
+            });
+
+            it('throttle emits leading and latest trailing emissions', function() {
+                this.broker.rateLimit('event', {throttle: 100});
+                this.broker.emit('event', 1);
+                this.broker.emit('event', 2);
+                this.broker.emit('event', 3);
+                expect(this.values).to.eql([[1]]);
+                this.scheduler.advance(100);
+                expect(this.values).to.eql([[1], [3]]);
+                this.broker.emit('event', 4);
+                expect(this.values).to.eql([[1], [3]]);
+                this.scheduler.advance(100);
+                expect(this.values).to.eql([[1], [3], [4]]);
+                this.scheduler.advance(100);
+                this.broker.emit('event', 5);
+                expect(this.values).to.eql([[1], [3], [4], [5]]);
+            });
+
+            it('throttle respects leading and trailing', function() {
+                this.broker.rateLimit('event', {throttle: {wait: 100, leading: false}});
+                this.broker.emit('event', 1);
+                this.broker.emit('event', 2);
+                expect(this.values).to.eql([]);
+                this.scheduler.advance(100);
+                expect(this.values).to.eql([[2]]);
+                this.broker.rateLimit('event', {throttle: {wait: 100, trailing: false}});
+                this.scheduler.advance(100);
+                this.broker.emit('event', 3);
+                this.broker.emit('event', 4);
+                this.scheduler.advance(100);
+                expect(this.values).to.eql([[2], [3]]);
+            });
+
+            it('debounce emits after emissions pause', function() {
+                this.broker.rateLimit('event', {debounce: 100});
+                this.broker.emit('event', 1);
+                this.scheduler.advance(50);
+                this.broker.emit('event', 2);
+                this.scheduler.advance(50);
+                expect(this.values).to.eql([]);
+                this.scheduler.advance(50);
+                expect(this.values).to.eql([[2]]);
+            });
+
+            it('debounce respects leading and trailing', function() {
+                this.broker.rateLimit('event', {debounce: {wait: 100, leading: true, trailing: false}});
+                this.broker.emit('event', 1);
+                this.broker.emit('event', 2);
+                this.scheduler.advance(100);
+                this.broker.emit('event', 3);
+                expect(this.values).to.eql([[1], [3]]);
+            });
+
+            it('batch emits array of args after wait or size', function() {
+                this.broker.rateLimit('event', {batch: {wait: 100, size: 3}});
+                this.broker.emit('event', 1, 'a');
+                this.broker.emit('event', 2);
+                this.scheduler.advance(100);
+                expect(this.values).to.eql([[[[1, 'a'], [2]]]]);
+                this.broker.emit('event', 3);
+                this.broker.emit('event', 4);
+                this.broker.emit('event', 5);
+                expect(this.values[1]).to.eql([[[3], [4], [5]]]);
+                this.scheduler.advance(100);
+                expect(this.values.length).to.equal(2);
+            });
+
+            it('applies to object-mode emissions', function() {
+                var types = [];
+                this.broker.on('other', function(evt, value) {
+                    types.push([evt.type, value]);
+                });
+                this.broker.rateLimit('other', {debounce: 10});
+                expect(this.broker.emit({type: 'other'}, 1)).to.equal(false);
+                this.broker.emit({type: 'other'}, 2);
+                this.scheduler.advance(10);
+                expect(types).to.eql([['other', 2]]);
+            });
+
+            it('returns function that removes limit and pending emissions', function() {
+                var remove = this.broker.rateLimit('event', {debounce: 100});
+                this.broker.emit('event', 1);
+                remove();
+                this.scheduler.advance(100);
+                expect(this.values).to.eql([]);
+                this.broker.emit('event', 2);
+                expect(this.values).to.eql([[2]]);
+            });
+
+            it('removes limit if no options passed', function() {
+                this.broker.rateLimit('event', {batch: 100});
+                this.broker.rateLimit('event');
+                this.broker.emit('event', 1);
+                expect(this.values).to.eql([[1]]);
+            });
+
+            it('can be applied to listeners using `on`', function() {
+                var throttled = [],
+                    batched = [];
+                this.broker.on('event', function(value) {
+                    throttled.push(value);
+                }, {throttle: 100});
+                this.broker.on('event', function(values) {
+                    batched.push(values);
+                }, {batch: 100});
+                [1, 2, 3].forEach(function(value) {
+                    this.broker.emit('event', value);
+                }, this);
+                expect(this.values).to.eql([[1], [2], [3]]);
+                expect(throttled).to.eql([1]);
+                this.scheduler.advance(100);
+                expect(throttled).to.eql([1, 3]);
+                expect(batched).to.eql([[[1], [2], [3]]]);
+            });
+
+            it('throws for invalid listener options', function() {
+                var broker = this.broker;
+                expect(function() {
+                    broker.on('event', Function.prototype, {debounce: 10, batch: 10});
+                }).to.throw(InvalidArgumentError, 'Only 1 of the');
+                expect(broker.listenerCount('event')).to.equal(1);
+            });
+
+            it('discards pending listener invocations when listener removed', function() {
+                var called = false;
+                function callback() {
+                    called = true;
+                }
+                this.broker.on('event', callback, {debounce: 100});
+                this.broker.emit('event');
+                this.broker.off('event', callback);
+                this.scheduler.advance(100);
+                expect(called).to.equal(false);
+            });
+
+            it('reports errors from delayed listener invocations', function() {
+                var err = new Error(),
+                    reported;
+                function callback() {
+                    throw err;
+                }
+                this.broker.on(Broker.Events.ERROR, function(data) {
+                    reported = data;
+                });
+                this.broker.on('event', callback, {debounce: 100});
+                this.broker.emit('event', 1);
+                this.scheduler.advance(100);
+                expect(reported.callback).to.equal(callback);
+                expect(reported.error).to.equal(err);
+                expect(reported.args).to.eql([1]);
+            });
+
+            it('is inherited by child brokers', function() {
+                var child = this.broker.child('feature'),
+                    values = [];
+                child.on('event', function(value) {
+                    values.push(value);
+                }, {debounce: 10});
+                child.emit('event', 1);
+                this.scheduler.advance(10);
+                expect(values).to.eql([1]);
+            });
+
+        });
+
+        describe('.eventNames', function() {
+
+            it('returns empty array if no listeners', function() {
+                expect(this.broker.eventNames()).to.eql([]);
+            });
+
+            it('returns events with listeners', function() {
+                var off = this.broker.on('a', Function.prototype);
+                this.broker.on('b:*', Function.prototype);
+                this.broker.one('c', Function.prototype);
+                this.broker.off('d', Function.prototype);
+                expect(this.broker.eventNames()).to.eql(['a', 'b:*', 'c']);
+                off();
+                this.broker.emit('c');
+                expect(this.broker.eventNames()).to.eql(['b:*']);
+            });
+
+        });
+
+        describe('.emitAsync', function() {
+
+            it('throws if non-string passed for event', function() {
+                testEventParam(this.broker, 'emitAsync');
+            });
+
+            it('returns promise of settled results', function() {
+                var err = new Error();
+                this.broker.on('event', function(a) {
+                    return Promise.resolve(a * 2);
+                });
+                this.broker.on('event', function() {
+                    throw err;
+                });
+                this.broker.on('event', function(a) {
+                    return a;
+                });
+                return this.broker.emitAsync('event', 5).then(function(results) {
+                    expect(results).to.eql([
+                        {status: 'fulfilled', value: 10},
+                        {status: 'rejected', reason: err},
+                        {status: 'fulfilled', value: 5}
+                    ]);
+                });
+            });
+
+            it('invokes listeners in parallel', function() {
+                var called = [];
+                this.broker.on('event', function() {
+                    called.push(1);
+                    return new Promise(function(resolve) {
+                        setTimeout(resolve, 10);
+                    });
+                });
+                this.broker.on('event', function() {
+                    called.push(2);
+                });
+                this.broker.emitAsync('event');
+                expect(called).to.eql([1, 2]);
+            });
+
+            it('fires ERROR event for rejected promises', function(done) {
+                var err = new Error();
+                function callback() {
+                    return Promise.reject(err);
+                }
+                this.broker.on(Broker.Events.ERROR, function(data) {
+                    expect(data.event).to.equal('event');
+                    expect(data.callback).to.equal(callback);
+                    expect(data.error).to.equal(err);
+                    done();
+                });
+                this.broker.on('event', callback);
+                this.broker.emitAsync('event');
+            });
+
+        });
+
+        describe('.emitSerial', function() {
+
+            it('throws if non-string passed for event', function() {
+                testEventParam(this.broker, 'emitSerial');
+            });
+
+            it('waits for each listener before invoking the next', function() {
+                var called = [];
+                this.broker.on('event', function() {
+                    return new Promise(function(resolve) {
+                        setTimeout(function() {
+                            called.push(1);
+                            resolve(1);
+                        }, 10);
+                    });
+                });
+                this.broker.on('event', function() {
+                    called.push(2);
+                    return Promise.reject(2);
+                });
+                this.broker.on('event', function() {
+                    called.push(3);
+                    return 3;
+                });
+                return this.broker.emitSerial('event').then(function(results) {
+                    expect(called).to.eql([1, 2, 3]);
+                    expect(results).to.eql([
+                        {status: 'fulfilled', value: 1},
+                        {status: 'rejected', reason: 2},
+                        {status: 'fulfilled', value: 3}
+                    ]);
+                });
+            });
+
+        });
+
+        describe('.use', function() {
+
+            it('throws if invalid middleware passed', function() {
+                var broker = this.broker;
+                [123, 'abc', null, {}].forEach(function(middleware) {
+                    expect(function() {
+                        broker.use(middleware);
+                    }).to.throw(TypeError, 'Parameter `middleware` must be a function or an object with `emit` or `invoke` methods.');
+                });
+            });
+
+            it('returns function that removes middleware', function() {
+                var called = false,
+                    off = this.broker.use(function() {
+                        called = true;
+                    });
+                off();
+                this.broker.emit('event');
+                expect(called).to.equal(false);
+            });
+
+            it('can modify event and args', function(done) {
+                this.broker.use(function(context, next) {
+                    if (context.event === 'event') {
+                        context.event = 'renamed';
+                        context.args = [context.args[0] * 2];
+                    }
+                    return next();
+                });
+                this.broker.on('renamed', function(value) {
+                    expect(value).to.equal(4);
+                    done();
+                });
+                this.broker.emit('event', 2);
+            });
+
+            it('can drop emissions', function() {
+                var called = false;
+                this.broker.use(function() {});
+                this.broker.on('event', function() {
+                    called = true;
+                });
+                this.broker.emit('event');
+                expect(called).to.equal(false);
+                expect(this.broker.emit({type: 'event'})).to.equal(false);
+                return this.broker.emitAsync('event').then(function(results) {
+                    expect(results).to.eql([]);
+                });
+            });
+
+            it('composes in the order added', function() {
+                var called = [];
+                this.broker.use(function(context, next) {
+                    called.push('a:before');
+                    var result = next();
+                    called.push('a:after');
+                    return result;
+                });
+                this.broker.use({
+                    emit: function(context, next) {
+                        called.push('b:before');
+                        var result = next();
+                        called.push('b:after');
+                        return result;
+                    },
+                    invoke: function(context, next) {
+                        called.push('invoke');
+                        return next();
+                    }
+                });
+                this.broker.on('event', function() {
+                    called.push('listener');
+                });
+                called.length = 0;
+                this.broker.emit('event');
+                expect(called).to.eql(['a:before', 'b:before', 'invoke', 'listener', 'b:after', 'a:after']);
+            });
+
+            it('can wrap listener invocations', function() {
+                var results = [];
+                this.broker.use({
+                    invoke: function(context, next) {
+                        context.args = ['wrapped'];
+                        results.push(next());
+                    }
+                });
+                this.broker.on('event', function(value) {
+                    return value;
+                });
+                this.broker.emit('event', 'original');
+                expect(results).to.eql(['wrapped']);
+            });
+
+            it('wraps async listener invocations', function() {
+                this.broker.use({
+                    invoke: function(context, next) {
+                        return next() + 1;
+                    }
+                });
+                this.broker.on('event', function(value) {
+                    return value;
+                });
+                return this.broker.emitAsync('event', 1).then(function(results) {
+                    expect(results).to.eql([{status: 'fulfilled', value: 2}]);
+                });
+            });
+
+            it('fires ERROR event if middleware throws', function() {
+                var err = new Error(),
+                    reported = [];
+                function middleware() {
+                    throw err;
+                }
+                this.broker.on(Broker.Events.ERROR, function(data) {
+                    reported.push(data);
+                });
+                this.broker.use(middleware);
+                this.broker.emit('event');
+                expect(reported).to.eql([{event: 'event', callback: middleware, error: err, args: []}]);
+            });
+
+            it('does not report listener errors as middleware errors', function() {
+                var err = new Error(),
+                    reported = [];
+                function callback() {
+                    throw err;
+                }
+                this.broker.use({
+                    invoke: function(context, next) {
+                        return next();
+                    }
+                });
+                this.broker.on(Broker.Events.ERROR, function(data) {
+                    reported.push(data);
+                });
+                this.broker.on('event', callback);
+                this.broker.emit('event');
+                expect(reported).to.eql([{event: 'event', callback: callback, error: err, args: [], index: 0}]);
+            });
+
+            it('does not swallow validation errors', function() {
+                var broker = this.broker;
+                broker.define('event', {type: 'string'});
+                broker.use(function(context, next) {
+                    return next();
+                });
+                expect(function() {
+                    broker.emit('event', 123);
+                }).to.throw(TypeError, 'Arguments emitted for `event` must match its definition.');
+            });
+
+        });
+
+        describe('.define', function() {
+
+            function expectInvalid(broker, event, args) {
+                expect(function() {
+                    broker.emit.apply(broker, [event].concat(args));
+                }).to.throw(TypeError, 'Arguments emitted for `' + event + '` must match its definition.');
+            }
+
+            it('throws if non-string passed for event', function() {
+                testEventParam(this.broker, 'define');
+            });
+
+            it('throws if invalid validator passed', function() {
+                var broker = this.broker;
+                [123, 'abc', null].forEach(function(validator) {
+                    expect(function() {
+                        broker.define('event', validator);
+                    }).to.throw(TypeError, 'Parameter `validator` must be a function or schema.');
+                });
+            });
+
+            it('validates args using function', function() {
+                var called = false;
+                this.broker.on('point', function() {
+                    called = true;
+                });
+                this.broker.define('point', function(x, y) {
+                    return typeof x === 'number' && typeof y === 'number';
+                });
+                expectInvalid(this.broker, 'point', [1, 'a']);
+                expect(called).to.equal(false);
+                this.broker.emit('point', 1, 2);
+                expect(called).to.equal(true);
+            });
+
+            it('validates first arg using schema', function() {
+                this.broker.define('user:login', {
+                    type: 'object',
+                    required: ['id'],
+                    properties: {
+                        id: {type: 'integer', minimum: 1},
+                        name: {type: 'string', minLength: 1, pattern: '^[a-z]+$'},
+                        roles: {type: 'array', items: {enum: ['admin', 'user']}}
+                    }
+                });
+                expectInvalid(this.broker, 'user:login', [undefined]);
+                expectInvalid(this.broker, 'user:login', [{}]);
+                expectInvalid(this.broker, 'user:login', [{id: 0}]);
+                expectInvalid(this.broker, 'user:login', [{id: 1, name: ''}]);
+                expectInvalid(this.broker, 'user:login', [{id: 1, name: 'ABC'}]);
+                expectInvalid(this.broker, 'user:login', [{id: 1, roles: ['guest']}]);
+                this.broker.emit('user:login', {id: 1, name: 'abc', roles: ['admin']});
+            });
+
+            it('validates each arg using array of schemas', function() {
+                this.broker.define('log', [{type: 'string'}, {type: ['number', 'null']}]);
+                expectInvalid(this.broker, 'log', [123, 1]);
+                expectInvalid(this.broker, 'log', ['msg', 'abc']);
+                this.broker.emit('log', 'msg', 1);
+                this.broker.emit('log', 'msg', null);
+            });
+
+            it('validates event object emissions', function() {
+                var broker = this.broker;
+                broker.define('event', {type: 'string'});
+                expect(function() {
+                    broker.emit({type: 'event'}, 123);
+                }).to.throw(TypeError, 'Arguments emitted for `event` must match its definition.');
+                broker.emit({type: 'event'}, 'abc');
+            });
+
+            it('validates async emissions', function() {
+                var broker = this.broker;
+                broker.define('event', {type: 'string'});
+                expect(function() {
+                    broker.emitAsync('event', 123);
+                }).to.throw(TypeError);
+                expect(function() {
+                    broker.emitSerial('event', 123);
+                }).to.throw(TypeError);
+            });
+
+            it('throws for undefined events if strict', function() {
+                var broker = new Broker({strict: true});
+                broker.define('known');
+                broker.emit('known', 1, 2, 3);
+                broker.emit(Broker.Events.ERROR, {});
+                expect(function() {
+                    broker.emit('unknown');
+                }).to.throw(TypeError, 'Event `unknown` must be defined before it is emitted.');
+            });
+
+            it('allows undefined events if not strict', function() {
+                this.broker.emit('unknown');
+            });
+
+        });
+
+        describe('.retain', function() {
+
+            it('throws if non-string passed for event', function() {
+                testEventParam(this.broker, 'retain');
+            });
+
+            it('throws if invalid count passed', function() {
+                var broker = this.broker;
+                [-1, 1.5, '1', null].forEach(function(count) {
+                    expect(function() {
+                        broker.retain('event', count);
+                    }).to.throw(TypeError, 'Parameter `count` must be a non-negative integer.');
+                });
+            });
+
+            it('delivers last emission to late listeners', function() {
+                var received = [];
+                this.broker.retain('app:ready');
+                this.broker.emit('app:ready', 1);
+                this.broker.emit('app:ready', 2, 3);
+                this.broker.on('app:ready', function() {
+                    received.push([].slice.call(arguments));
+                });
+                expect(received).to.eql([[2, 3]]);
+            });
+
+            it('delivers last N emissions in order', function() {
+                var received = [];
+                this.broker.retain('event', 2);
+                this.broker.emit('event', 1);
+                this.broker.emit('event', 2);
+                this.broker.emit('event', 3);
+                this.broker.on('event', function(num) {
+                    received.push(num);
+                });
+                expect(received).to.eql([2, 3]);
+            });
+
+            it('late `one` listener fires once immediately', function() {
+                var callCount = 0;
+                this.broker.retain('event', 3);
+                this.broker.emit('event');
+                this.broker.emit('event');
+                this.broker.one('event', function() {
+                    callCount++;
+                });
+                this.broker.emit('event');
+                expect(callCount).to.equal(1);
+            });
+
+            it('delivers to matching pattern listeners', function() {
+                var received = [];
+                this.broker.retain('app:ready');
+                this.broker.emit('app:ready', 'ready');
+                this.broker.on('app:*', function(value) {
+                    received.push(value);
+                });
+                expect(received).to.eql(['ready']);
+            });
+
+            it('does not deliver emissions of non-sticky events', function() {
+                var called = false;
+                this.broker.emit('event');
+                this.broker.on('event', function() {
+                    called = true;
+                });
+                expect(called).to.equal(false);
+            });
+
+            it('count of 0 stops retaining', function() {
+                var called = false;
+                this.broker.retain('event');
+                this.broker.emit('event');
+                this.broker.retain('event', 0);
+                this.broker.on('event', function() {
+                    called = true;
+                });
+                expect(called).to.equal(false);
+            });
+
+        });
+
+        describe('.clearRetained', function() {
+
+            it('discards retained emissions for event', function() {
+                var called = [];
+                this.broker.retain('a');
+                this.broker.retain('b');
+                this.broker.emit('a');
+                this.broker.emit('b');
+                this.broker.clearRetained('a');
+                this.broker.on('a', function() {
+                    called.push('a');
+                });
+                this.broker.on('b', function() {
+                    called.push('b');
+                });
+                expect(called).to.eql(['b']);
+            });
+
+            it('discards all retained emissions if no event passed', function() {
+                var called = false;
+                this.broker.retain('a');
+                this.broker.emit('a');
+                this.broker.clearRetained();
+                this.broker.on('a', function() {
+                    called = true;
+                });
+                expect(called).to.equal(false);
+            });
+
+            it('keeps event sticky', function(done) {
+                this.broker.retain('event');
+                this.broker.emit('event');
+                this.broker.clearRetained('event');
+                this.broker.emit('event');
+                this.broker.on('event', done);
+            });
+
+        });
+
+        describe('.handle', function() {
+
+            it('throws if non-string passed for event', function() {
+                testEventParam(this.broker, 'handle');
+            });
+
+            it('throws if non-function passed for callback', function() {
+                testCallbackParam(this.broker, 'handle');
+            });
+
+            it('throws if handler already registered', function() {
+                var broker = this.broker;
+                broker.handle('event', Function.prototype);
+                expect(function() {
+                    broker.handle('event', Function.prototype);
+                }).to.throw(Error, 'A handler is already registered for `event`.');
+            });
+
+            it('returns function that removes handler', function() {
+                var broker = this.broker,
+                    off = broker.handle('event', Function.prototype);
+                off();
+                broker.handle('event', Function.prototype);
+            });
+
+        });
+
+        describe('.request', function() {
+
+            it('throws if non-string passed for event', function() {
+                testEventParam(this.broker, 'request');
+            });
+
+            it('throws if non-number passed for timeout', function() {
+                var broker = this.broker;
+                expect(function() {
+                    broker.request({type: 'event', timeout: 'abc'});
+                }).to.throw(TypeError, 'Option `timeout` must be a finite number.');
+            });
+
+            it('resolves with handler result', function() {
+                var broker = this.broker;
+                broker.handle('add', function(a, b) {
+                    expect(this).to.equal(broker);
+                    return Promise.resolve(a + b);
+                });
+                return broker.request('add', 2, 3).then(function(result) {
+                    expect(result).to.equal(5);
+                });
+            });
+
+            it('rejects if no handler registered', function() {
+                return this.broker.request('event').then(function() {
+                    throw new Error('this should not be reached');
+                }, function(err) {
+                    expect(err.message).to.equal('No handler is registered for `event`.');
+                });
+            });
+
+            it('rejects with handler error and fires ERROR event', function() {
+                var err = new Error(),
+                    reported;
+                function callback() {
+                    throw err;
+                }
+                this.broker.on(Broker.Events.ERROR, function(data) {
+                    reported = data;
+                });
+                this.broker.handle('event', callback);
+                return this.broker.request('event').then(function() {
+                    throw new Error('this should not be reached');
+                }, function(error) {
+                    expect(error).to.equal(err);
+                    expect(reported).to.eql({event: 'event', callback: callback, error: err, args: []});
+                });
+            });
+
+            it('rejects if timeout elapses', function() {
+                this.broker.handle('event', function() {
+                    return new Promise(function(resolve) {
+                        setTimeout(resolve, 50);
+                    });
+                });
+                return this.broker.request({type: 'event', timeout: 5}).then(function() {
+                    throw new Error('this should not be reached');
+                }, function(err) {
+                    expect(err.message).to.equal('Request for `event` timed out after 5ms.');
+                });
+            });
+
+        });
+
+        describe('.waitFor', function() {
+
+            it('throws if non-string passed for event', function() {
+                testEventParam(this.broker, 'waitFor');
+            });
+
+            it('throws if invalid options passed', function() {
+                var broker = this.broker;
+                expect(function() {
+                    broker.waitFor('event', {timeout: 'abc'});
+                }).to.throw(InvalidArgumentError, 'Option `timeout` must be a finite number.');
+                expect(function() {
+                    broker.waitFor('event', {predicate: 'abc'});
+                }).to.throw(InvalidArgumentError, 'Parameter `predicate` must be a function.');
+            });
+
+            it('resolves with emitted args and removes listener', function() {
+                var broker = this.broker,
+                    promise = broker.waitFor('event');
+                expect(broker.listenerCount('event')).to.equal(1);
+                broker.emit('event', 'a', 1);
+                expect(broker.listenerCount('event')).to.equal(0);
+                return promise.then(function(args) {
+                    expect(args).to.eql(['a', 1]);
+                });
+            });
+
+            it('resolves with first emission satisfying predicate', function() {
+                var broker = this.broker,
+                    promise = broker.waitFor('event', {
+                        predicate: function(value) {
+                            return value > 1;
+                        }
+                    });
+                broker.emit('event', 1);
+                broker.emit('event', 2);
+                return promise.then(function(args) {
+                    expect(args).to.eql([2]);
+                });
+            });
+
+            it('rejects if predicate throws', function() {
+                var broker = this.broker,
+                    err = new Error(),
+                    promise = broker.waitFor('event', {
+                        predicate: function() {
+                            throw err;
+                        }
+                    });
+                broker.emit('event');
+                return promise.then(function() {
+                    throw new Error('this should not be reached');
+                }, function(error) {
+                    expect(error).to.equal(err);
+                    expect(broker.listenerCount('event')).to.equal(0);
+                });
+            });
+
+            it('rejects and removes listener if timeout elapses', function() {
+                var broker = this.broker;
+                return broker.waitFor('event', {timeout: 10}).then(function() {
+                    throw new Error('this should not be reached');
+                }, function(error) {
+                    expect(error).to.be.an.instanceof(WaitError);
+                    expect(error.code).to.equal('ERR_WAIT_TIMEOUT');
+                    expect(error.message).to.equal('Waiting for `event` timed out after 10ms.');
+                    expect(broker.listenerCount('event')).to.equal(0);
+                });
+            });
+
+            it('does not arm timeout if retained emission resolves', function() {
+                var broker = this.broker,
+                    timeout = global.setTimeout,
+                    armed = 0,
+                    promise;
+                broker.retain('event');
+                broker.emit('event', 'a');
+                global.setTimeout = function() {
+                    armed++;
+                    return timeout.apply(this, arguments);
+                };
+                try {
+                    promise = broker.waitFor('event', {timeout: 10});
+                } finally {
+                    global.setTimeout = timeout;
+                }
+                expect(armed).to.equal(0);
+                expect(broker.listenerCount('event')).to.equal(0);
+                return promise.then(function(args) {
+                    expect(args).to.eql(['a']);
+                });
+            });
+
+        });
+
+        describe('.iterate', function() {
+
+            it('throws if non-string passed for event', function() {
+                testEventParam(this.broker, 'iterate');
+            });
+
+            it('throws if invalid options passed', function() {
+                var broker = this.broker;
+                expect(function() {
+                    broker.iterate('event', {size: 0});
+                }).to.throw(InvalidArgumentError, 'Option `size` must be a positive integer.');
+                expect(function() {
+                    broker.iterate('event', {overflow: 'ignore'});
+                }).to.throw(InvalidArgumentError, 'Option `overflow` must be');
+                expect(function() {
+                    broker.iterate('event', {predicate: 123});
+                }).to.throw(InvalidArgumentError, 'Parameter `predicate` must be a function.');
+            });
+
+            it('is an async iterable', function() {
+                var iterator = this.broker.iterate('event');
+                expect(iterator[Symbol.asyncIterator]()).to.equal(iterator);
+            });
+
+            it('yields queued and future emissions in order', function() {
+                var broker = this.broker,
+                    iterator = broker.iterate('event');
+                broker.emit('event', 1);
+                broker.emit('event', 2, 'b');
+                var results = Promise.all([iterator.next(), iterator.next(), iterator.next()]);
+                broker.emit('event', 3);
+                return results.then(function(values) {
+                    expect(values).to.eql([
+                        {value: [1], done: false},
+                        {value: [2, 'b'], done: false},
+                        {value: [3], done: false}
+                    ]);
+                });
+            });
+
+            it('skips emissions not satisfying predicate', function() {
+                var broker = this.broker,
+                    iterator = broker.iterate('event', {
+                        predicate: function(value) {
+                            return value % 2 === 0;
+                        }
+                    });
+                [1, 2, 3, 4].forEach(function(value) {
+                    broker.emit('event', value);
+                });
+                return Promise.all([iterator.next(), iterator.next()]).then(function(results) {
+                    expect(results[0].value).to.eql([2]);
+                    expect(results[1].value).to.eql([4]);
+                });
+            });
+
+            it('drops oldest emissions by default when queue is full', function() {
+                var broker = this.broker,
+                    iterator = broker.iterate('event', {size: 2});
+                [1, 2, 3].forEach(function(value) {
+                    broker.emit('event', value);
+                });
+                return Promise.all([iterator.next(), iterator.next()]).then(function(results) {
+                    expect(results[0].value).to.eql([2]);
+                    expect(results[1].value).to.eql([3]);
+                });
+            });
+
+            it('drops newest emissions if requested', function() {
+                var broker = this.broker,
+                    iterator = broker.iterate('event', {size: 2, overflow: 'dropNewest'});
+                [1, 2, 3].forEach(function(value) {
+                    broker.emit('event', value);
+                });
+                return Promise.all([iterator.next(), iterator.next()]).then(function(results) {
+                    expect(results[0].value).to.eql([1]);
+                    expect(results[1].value).to.eql([2]);
+                });
+            });
+
+            it('fails after queued emissions if overflow is error', function() {
+                var broker = this.broker,
+                    iterator = broker.iterate('event', {size: 1, overflow: 'error'});
+                broker.emit('event', 1);
+                broker.emit('event', 2);
+                expect(broker.listenerCount('event')).to.equal(0);
+                return iterator.next().then(function(result) {
+                    expect(result.value).to.eql([1]);
+                    return iterator.next();
+                }).then(function() {
+                    throw new Error('this should not be reached');
+                }, function(error) {
+                    expect(error).to.be.an.instanceof(WaitError);
+                    expect(error.code).to.equal('ERR_QUEUE_OVERFLOW');
+                    expect(error.message).to.equal('Queue for `event` exceeded 1 emissions.');
+                    return iterator.next();
+                }).then(function(result) {
+                    expect(result.done).to.equal(true);
+                });
+            });
+
+            it('rejects pending next if predicate throws', function() {
+                var broker = this.broker,
+                    err = new Error(),
+                    iterator = broker.iterate('event', {
+                        predicate: function() {
+                            throw err;
+                        }
+                    }),
+                    promise = iterator.next();
+                broker.emit('event');
+                return promise.then(function() {
+                    throw new Error('this should not be reached');
+                }, function(error) {
+                    expect(error).to.equal(err);
+                    expect(broker.listenerCount('event')).to.equal(0);
+                    return iterator.next();
+                }).then(function(result) {
+                    expect(result.done).to.equal(true);
+                });
+            });
+
+            it('return removes listener and completes pending next', function() {
+                var broker = this.broker,
+                    iterator = broker.iterate('event'),
+                    pending = iterator.next();
+                return iterator.return('value').then(function(result) {
+                    expect(result).to.eql({value: 'value', done: true});
+                    expect(broker.listenerCount('event')).to.equal(0);
+                    return pending;
+                }).then(function(result) {
+                    expect(result.done).to.equal(true);
+                    broker.emit('event', 1);
+                    return iterator.next();
+                }).then(function(result) {
+                    expect(result.done).to.equal(true);
+                });
+            });
+
+        });
+
+        describe('.child', function() {
+
+            it('throws if invalid namespace passed', function() {
+                var broker = this.broker;
+                [123, '', null].forEach(function(namespace) {
+                    expect(function() {
+                        broker.child(namespace);
+                    }).to.throw(TypeError, 'Parameter `namespace` must be a non-empty string.');
+                });
+            });
+
+            it('throws if invalid bubble option passed', function() {
+                var broker = this.broker;
+                ['abc', [123], null].forEach(function(bubble) {
+                    expect(function() {
+                        broker.child('ns', {bubble: bubble});
+                    }).to.throw(TypeError, 'Option `bubble` must be a boolean or an array of event names.');
+                });
+            });
+
+            it('returns broker with private listeners', function() {
+                var called = false,
+                    child = this.broker.child('ns');
+                expect(child).to.be.an.instanceof(Broker);
+                child.on('event', function() {
+                    called = true;
+                });
+                this.broker.emit('event');
+                expect(called).to.equal(false);
+            });
+
+            it('bubbles events to parent with namespace', function() {
+                var called = [],
+                    child = this.broker.child('ns');
+                child.on('event', function(value) {
+                    called.push('child:' + value);
+                });
+                this.broker.on('ns:event', function(value) {
+                    called.push('parent:' + value);
+                });
+                child.emit('event', 123);
+                expect(called).to.eql(['child:123', 'parent:123']);
+            });
+
+            it('bubbles events without namespace', function(done) {
+                this.broker.on('event', done);
+                this.broker.child().emit('event');
+            });
+
+            it('bubbles only specified events', function() {
+                var called = [],
+                    child = this.broker.child('cart', {bubble: ['item:*']});
+                this.broker.on('**', function() {
+                    called.push(this === child);
+                });
+                this.broker.on('cart:**', function() {
+                    called.push('bubbled');
+                });
+                called.length = 0;
+                child.emit('item:added');
+                child.emit('recalculate');
+                expect(called).to.eql([false, 'bubbled']);
+            });
+
+            it('does not bubble if bubble is false', function() {
+                var called = false,
+                    child = this.broker.child('ns', {bubble: false});
+                this.broker.on('ns:event', function() {
+                    called = true;
+                });
+                child.emit('event');
+                expect(called).to.equal(false);
+            });
+
+            it('bubbles through multiple levels', function(done) {
+                this.broker.on('a:b:event', function(value) {
+                    expect(value).to.equal(123);
+                    done();
+                });
+                this.broker.child('a').child('b').emit('event', 123);
+            });
+
+            it('`stopPropagation` prevents bubbling but not other listeners', function() {
+                var called = [],
+                    child = this.broker.child('ns');
+                child.on('event', function(evt) {
+                    called.push(1);
+                    evt.stopPropagation();
+                });
+                child.on('event', function() {
+                    called.push(2);
+                });
+                this.broker.on('ns:event', function() {
+                    called.push(3);
+                });
+                child.emit({type: 'event'});
+                expect(called).to.eql([1, 2]);
+            });
+
+            it('returns whether parent canceled bubbled event', function() {
+                var child = this.broker.child('ns');
+                this.broker.on('ns:event', function(evt) {
+                    expect(evt.type).to.equal('ns:event');
+                    evt.preventDefault();
+                });
+                expect(child.emit({type: 'event'})).to.equal(true);
+            });
+
+            it('bubbles async emissions', function() {
+                var child = this.broker.child('ns');
+                child.on('event', function() {
+                    return 1;
+                });
+                this.broker.on('ns:event', function() {
+                    return 2;
+                });
+                return Promise.all([
+                    child.emitAsync('event'),
+                    child.emitSerial('event')
+                ]).then(function(results) {
+                    expect(results[0]).to.eql([
+                        {status: 'fulfilled', value: 1},
+                        {status: 'fulfilled', value: 2}
+                    ]);
+                    expect(results[1]).to.eql(results[0]);
+                });
+            });
+
+        });
+
+        describe('.broadcast', function() {
+
+            it('throws if non-string passed for event', function() {
+                testEventParam(this.broker, 'broadcast');
+            });
+
+            it('emits event on all descendants without bubbling', function() {
+                var called = [],
+                    child = this.broker.child('a'),
+                    grandchild = child.child('b');
+                this.broker.on('**', function() {
+                    called.push('parent');
+                });
+                child.on('event', function(value) {
+                    called.push('child:' + value);
+                    child.emit('nested');
+                });
+                grandchild.on('event', function(value) {
+                    called.push('grandchild:' + value);
+                });
+                called.length = 0;
+                this.broker.broadcast('event', 123);
+                expect(called).to.eql(['child:123', 'parent', 'grandchild:123']);
+            });
+
+            it('does not bubble deferred emissions', function() {
+                var called = [],
+                    parent = new Broker({dispatch: 'microtask'}),
+                    child = parent.child('ns');
+                parent.on('ns:event', function() {
+                    called.push('parent');
+                });
+                child.on('event', function(value) {
+                    called.push('child:' + value);
+                });
+                parent.broadcast('event', 123);
+                expect(called).to.eql([]);
+                child.flush();
+                parent.flush();
+                expect(called).to.eql(['child:123']);
+            });
+
+        });
+
+        describe('.destroy', function() {
+
+            it('removes all listeners of broker and children', function() {
+                var removed = [],
+                    child = this.broker.child('ns'),
+                    grandchild = child.child('sub');
+                child.on('a', Function.prototype);
+                child.on('b:*', Function.prototype);
+                grandchild.on('c', Function.prototype);
+                child.on(Broker.Events.REMOVED, function(data) {
+                    removed.push(data.event);
+                });
+                child.destroy();
+                expect(removed).to.include.members(['a', 'b:*']);
+                expect(child.eventNames()).to.eql([]);
+                expect(grandchild.eventNames()).to.eql([]);
+            });
+
+            it('stops bubbling to parent', function() {
+                var called = false,
+                    child = this.broker.child('ns');
+                this.broker.on('ns:event', function() {
+                    called = true;
+                });
+                child.destroy();
+                child.emit('event');
+                expect(called).to.equal(false);
+            });
+
+        });
+
+        describe('.replay', function() {
+
+            beforeEach(function() {
+                this.log = [
+                    {event: 'a', args: [1], timestamp: 1000},
+                    {event: 'b', args: [{message: 'oops', name: 'Error', '__cycle-events-error__': true}], timestamp: 1020},
+                    {event: 'c', args: [], timestamp: 1040}
+                ];
+            });
+
+            it('throws if invalid speed provided', function() {
+                var broker = this.broker, log = this.log;
+                [0, -1, NaN, '2'].forEach(function(speed) {
+                    expect(function() {
+                        broker.replay(log, {speed: speed});
+                    }).to.throw(TypeError, 'Option `speed` must be a positive number.');
+                });
+            });
+
+            it('emits synchronously if speed is Infinity', function() {
+                var called = [];
+                this.broker.on('**', function(value) {
+                    called.push(value);
+                });
+                called.length = 0;
+                this.broker.replay(this.log, {speed: Infinity});
+                expect(called.length).to.equal(3);
+                expect(called[0]).to.equal(1);
+                expect(called[1]).to.be.an.instanceof(Error);
+                expect(called[1].message).to.equal('oops');
+            });
+
+            it('accepts json string', function() {
+                var called = [];
+                this.broker.on('a', function(value) {
+                    called.push(value);
+                });
+                this.broker.replay(JSON.stringify(this.log), {speed: Infinity});
+                expect(called).to.eql([1]);
+            });
+
+            it('preserves relative timing', function() {
+                var broker = this.broker,
+                    times = [];
+                ['a', 'b', 'c'].forEach(function(event) {
+                    broker.on(event, function() {
+                        times.push(Date.now());
+                    });
+                });
+                return broker.replay(this.log, {speed: 0.5}).then(function() {
+                    expect(times.length).to.equal(3);
+                    expect(times[1] - times[0]).to.be.at.least(30);
+                    expect(times[2] - times[1]).to.be.at.least(30);
+                });
+            });
+
+            it('rejects if emission throws', function() {
+                return this.broker.replay([{event: '', args: []}]).then(function() {
+                    throw new Error('should not resolve');
+                }, function(err) {
+                    expect(err.message).to.equal('Parameter `event` must be a non-empty string.');
+                });
+            });
+
+            it('rejects if emission throws at Infinity speed', function() {
+                var broker = this.broker;
+                return broker.replay([{event: '', args: []}], {speed: Infinity}).then(function() {
+                    throw new Error('should not resolve');
+                }, function(err) {
+                    expect(err.message).to.equal('Parameter `event` must be a non-empty string.');
+                });
+            });
+
+            it('rejects if json string is invalid', function() {
+                return this.broker.replay('{invalid').then(function() {
+                    throw new Error('should not resolve');
+                }, function(err) {
+                    expect(err).to.be.an.instanceof(SyntaxError);
+                });
+            });
+
+            it('emits descriptor objects', function() {
+                var received = [];
+                this.broker.on('nav', function(evt, url) {
+                    received.push([evt.type, evt.source, url]);
+                });
+                this.broker.replay([
+                    {event: 'nav', descriptor: {type: 'nav', source: 'menu'}, args: ['/home'], timestamp: 0}
+                ], {speed: Infinity});
+                expect(received).to.eql([['nav', 'menu', '/home']]);
+            });
+
+            it('records replayed emissions', function() {
+                var recorder = recordHistory(this.broker);
+                this.broker.replay(this.log, {speed: Infinity});
+                expect(recorder.entries().map(function(entry) {
+                    return entry.event;
+                })).to.eql(['a', 'b', 'c']);
+            });
+
+        });
+
+        describe('.observe', function() {
+
+            it('throws if non-string passed for event', function() {
+                testEventParam(this.broker, 'observe');
+            });
+
+            it('throws if non-function passed for selector', function() {
+                var broker = this.broker;
+                expect(function() {
+                    broker.observe('event', 123);
+                }).to.throw(TypeError, 'Parameter `selector` must be a function.');
+            });
+
+            it('implements Symbol.observable interop', function() {
+                var obs = this.broker.observe('event');
+                expect(obs['@@observable']()).to.equal(obs);
+            });
+
+            it('passes emitted args to observer', function() {
+                var values = [];
+                this.broker.observe('event').subscribe({
+                    next: function(value) {
+                        values.push(value);
+                    }
+                });
+                this.broker.emit('event', 'a');
+                this.broker.emit('event', 'b', 'c');
+                expect(values).to.eql(['a', ['b', 'c']]);
+            });
+
+            it('invokes selector if provided', function(done) {
+                this.broker.observe('event', function(a, b) {
+                    return a + b;
+                }).subscribe(function(value) {
+                    expect(value).to.equal(5);
+                    done();
+                });
+                this.broker.emit('event', 2, 3);
+            });
+
+            it('unsubscribe removes listener', function() {
+                var called = false,
+                    subscription = this.broker.observe('event')
+                        .subscribe(function() {
+                            called = true;
+                        });
+                subscription.unsubscribe();
+                this.broker.emit('event');
+                expect(called).to.equal(false);
+                expect(subscription.closed).to.equal(true);
+            });
+
+            it('routes errors to observer and ERROR event', function() {
+                var err = new Error(),
+                    received = [],
+                    subscription = this.broker.observe('event', function() {
+                        throw err;
+                    }).subscribe({
+                        error: function(e) {
+                            received.push(e);
+                        }
+                    });
+                this.broker.on(Broker.Events.ERROR, function(data) {
+                    received.push(data.error);
+                });
+                this.broker.emit('event');
+                this.broker.emit('event');
+                expect(received).to.eql([err, err]);
+                expect(subscription.closed).to.equal(true);
+            });
+
+            it('closes subscription if selector throws on retained emission', function() {
+                var err = new Error(),
+                    received = [],
+                    subscription;
+                this.broker.retain('event', 2);
+                this.broker.emit('event', 1);
+                this.broker.emit('event', 2);
+                subscription = this.broker.observe('event', function() {
+                    throw err;
+                }).subscribe({
+                    error: function(e) {
+                        received.push(e);
+                    }
+                });
+                expect(received).to.eql([err]);
+                expect(subscription.closed).to.equal(true);
+                expect(this.broker.hasListeners('event')).to.equal(false);
+            });
+
+            it('interoperates with RxJS', function(done) {
+                require('rxjs').Observable.from(this.broker.observe('event'))
+                    .subscribe(function(value) {
+                        expect(value).to.equal(123);
+                        done();
+                    });
+                this.broker.emit('event', 123);
+            });
+
+        });
+
+        describe('end-to-end:', function() {
+
+            it('`on` does not add same listener twice', function() {
+                var callCount = 0;
+                function callback() {
+                    callCount++;
+                }
+                this.broker.on('event', callback);
+                this.broker.on('event', callback);
+                this.broker.on('event', callback);
+                this.broker.on('event', callback);
+                this.broker.on('event', callback);
+                expect(callCount).to.equal(0);
+                this.broker.emit('event');
+                expect(callCount).to.equal(1);
+            });
+
+            it('method returned by `on` removes callback', function() {
+                var callCount = 0;
+                var off = this.broker.on('event', function() {
+                    callCount++;
+                });
+                expect(callCount).to.equal(0);
+                this.broker.emit('event');
+                expect(callCount).to.equal(1);
+                off();
+                this.broker.emit('event');
+                expect(callCount).to.equal(1);
+            });
+
+            it('listener invoked when matching event emitted', function(done) {
+                this.broker.on('event', done);
+                this.broker.emit('event');
+            });
+
+            it('listener not invoked when non-matching event emitted', function() {
+                var called = false;
+                this.broker.on('event', function() {
+                    called = true;
+                });
+                expect(called).to.equal(false);
+                this.broker.emit('another-event');
+                expect(called).to.equal(false);
+            });
+
+            it('listeners invoked in order registered', function() {
+                var num = 0,
+                    called = [],
                     create = function() {
                         return function() {
                             called.push(++num);
@@ -277,7 +2652,84 @@ describe('Broker', function() {
                 this.broker.on('event', create());
                 expect(called).to.eql([]);
                 this.broker.emit('event');
-                expect(called).to.eql([1, 2, 3, 4, 5]);
+                expect(called).to.eql([1, 2, 3, 4, 5]);
+            });
+
+            it('aborting signal removes its listeners', function() {
+                var called = [],
+                    removed = [],
+                    controller = new AbortController();
+                this.broker.on(Broker.Events.REMOVED, function(data) {
+                    removed.push(data.event);
+                });
+                this.broker.on('a', function() {
+                    called.push('a');
+                }, {signal: controller.signal});
+                this.broker.one('b', function() {
+                    called.push('b');
+                }, {signal: controller.signal});
+                this.broker.on('c', function() {
+                    called.push('c');
+                });
+                controller.abort();
+                this.broker.emit('a');
+                this.broker.emit('b');
+                this.broker.emit('c');
+                expect(called).to.eql(['c']);
+                expect(removed).to.eql(['a', 'b']);
+            });
+
+            it('registering with aborted signal is a no-op', function() {
+                var added = false,
+                    controller = new AbortController();
+                controller.abort();
+                this.broker.on(Broker.Events.ADDED, function() {
+                    added = true;
+                });
+                added = false;
+                var off = this.broker.on('event', Function.prototype, {signal: controller.signal});
+                expect(off).to.be.a('function');
+                off();
+                expect(added).to.equal(false);
+                expect(this.broker.hasListeners('event')).to.equal(false);
+            });
+
+            it('releases signal once its listeners are removed', function() {
+                var signal = new AbortController().signal,
+                    added = 0,
+                    removed = 0,
+                    addEventListener = signal.addEventListener,
+                    removeEventListener = signal.removeEventListener;
+                signal.addEventListener = function() {
+                    added++;
+                    return addEventListener.apply(this, arguments);
+                };
+                signal.removeEventListener = function() {
+                    removed++;
+                    return removeEventListener.apply(this, arguments);
+                };
+                var offA = this.broker.on('a', Function.prototype, {signal: signal});
+                this.broker.one('b', Function.prototype, {signal: signal});
+                expect(added).to.equal(1);
+                offA();
+                expect(removed).to.equal(0);
+                this.broker.emit('b');
+                expect(removed).to.equal(1);
+            });
+
+            it('listeners invoked in priority order', function() {
+                var called = [];
+                this.broker.on('event', function() {
+                    called.push('low');
+                }, {priority: -10});
+                this.broker.one('event', function() {
+                    called.push('high');
+                }, {priority: 10});
+                this.broker.on('event', function() {
+                    called.push('default');
+                });
+                this.broker.emit('event');
+                expect(called).to.eql(['high', 'default', 'low']);
             });
 
             it('listeners receive any args passed to emit', function(done) {
@@ -314,6 +2766,92 @@ describe('Broker', function() {
                 this.broker.emit('custom-event');
             });
 
+            it('ERROR event includes args and listener index', function() {
+                var err = new Error(),
+                    reported;
+                function callback() {
+                    throw err;
+                }
+                this.broker.on(Broker.Events.ERROR, function(data) {
+                    reported = data;
+                });
+                this.broker.on('custom-event', function() {});
+                this.broker.on('custom-event', callback);
+                this.broker.emit('custom-event', 'a', 1);
+                expect(reported).to.eql({event: 'custom-event', callback: callback, error: err, args: ['a', 1], index: 1});
+            });
+
+            it('ERROR event includes listener index for async emits', function() {
+                var reported;
+                this.broker.on(Broker.Events.ERROR, function(data) {
+                    reported = data;
+                });
+                this.broker.on('custom-event', function() {});
+                this.broker.on('custom-event', function() {
+                    throw new Error();
+                });
+                return this.broker.emitSerial('custom-event', 'a').then(function() {
+                    expect(reported.args).to.eql(['a']);
+                    expect(reported.index).to.equal(1);
+                });
+            });
+
+            it('errors in ERROR listeners are rethrown asynchronously', function() {
+                var original = setTimeout,
+                    scheduled = [],
+                    calls = 0,
+                    err = new Error();
+                function callback() {
+                    calls++;
+                    throw err;
+                }
+                this.broker.on(Broker.Events.ERROR, callback);
+                global.setTimeout = function(fn) {
+                    scheduled.push(fn);
+                };
+                try {
+                    this.broker.emit(Broker.Events.ERROR, {});
+                } finally {
+                    global.setTimeout = original;
+                }
+                expect(calls).to.equal(1);
+                expect(scheduled.length).to.equal(1);
+                try {
+                    scheduled[0]();
+                    throw new Error('this should not be reached');
+                } catch (error) {
+                    expect(error).to.be.an.instanceof(ListenerError);
+                    expect(error.code).to.equal('ERR_LISTENER');
+                    expect(error.event).to.equal(Broker.Events.ERROR);
+                    expect(error.callback).to.equal(callback);
+                    expect(error.args).to.eql([{}]);
+                    expect(error.index).to.equal(0);
+                    expect(error.cause).to.equal(err);
+                }
+            });
+
+            it('wildcard listeners that always throw do not recurse', function() {
+                var original = setTimeout,
+                    scheduled = 0,
+                    calls = [];
+                this.broker.on(Broker.Events.ERROR, function(data) {
+                    calls.push(data.event);
+                });
+                global.setTimeout = function() {
+                    scheduled++;
+                };
+                try {
+                    this.broker.on('*', function() {
+                        throw new Error();
+                    });
+                    this.broker.emit('custom-event');
+                } finally {
+                    global.setTimeout = original;
+                }
+                expect(calls).to.eql(['custom-event']);
+                expect(scheduled).to.equal(0);
+            });
+
             it('errors during emit still invoke other listeners', function(done) {
                 this.broker.on('event', function() {});
                 this.broker.on('event', function() {});
@@ -402,6 +2940,114 @@ describe('Broker', function() {
 
         });
 
+        describe('wildcards:', function() {
+
+            function record(broker, pattern, called) {
+                broker.on(pattern, function() {
+                    called.push(pattern);
+                });
+            }
+
+            it('`*` matches exactly one segment', function() {
+                var called = [];
+                record(this.broker, 'cart:*', called);
+                this.broker.emit('cart');
+                this.broker.emit('cart:checkout');
+                this.broker.emit('cart:item:added');
+                expect(called).to.eql(['cart:*']);
+            });
+
+            it('`**` matches any number of segments', function() {
+                var called = [];
+                record(this.broker, 'cart:**', called);
+                this.broker.emit('cart');
+                this.broker.emit('cart:checkout');
+                this.broker.emit('cart:item:added');
+                this.broker.emit('user:login');
+                expect(called).to.eql(['cart:**', 'cart:**', 'cart:**']);
+            });
+
+            it('invokes exact and pattern listeners in registration order', function() {
+                var called = [];
+                record(this.broker, 'cart:*:added', called);
+                record(this.broker, 'cart:item:added', called);
+                record(this.broker, '**', called);
+                record(this.broker, 'cart:item:*', called);
+                called.length = 0;
+                this.broker.emit('cart:item:added');
+                expect(called).to.eql(['cart:*:added', 'cart:item:added', '**', 'cart:item:*']);
+            });
+
+            it('uses configured delimiter', function() {
+                var called = [],
+                    broker = new Broker({delimiter: '.'});
+                record(broker, 'cart.*', called);
+                broker.emit('cart.checkout');
+                broker.emit('cart:checkout');
+                expect(called).to.eql(['cart.*']);
+            });
+
+            it('`off` removes pattern listener', function() {
+                var called = false,
+                    callback = function() {
+                        called = true;
+                    };
+                this.broker.on('cart:*', callback);
+                this.broker.off('cart:*', callback);
+                this.broker.emit('cart:checkout');
+                expect(called).to.equal(false);
+            });
+
+            it('`listenerAdded` and `listenerRemoved` report pattern', function() {
+                var events = [];
+                this.broker.on(Broker.Events.REMOVED, function(data) {
+                    events.push(data.event);
+                });
+                this.broker.on(Broker.Events.ADDED, function(data) {
+                    events.push(data.event);
+                });
+                this.broker.on('cart:*', Function.prototype)();
+                expect(events).to.eql([Broker.Events.ADDED, 'cart:*', 'cart:*']);
+            });
+
+            it('do not match built-in events', function() {
+                var called = [],
+                    off;
+                record(this.broker, '*', called);
+                record(this.broker, '**', called);
+                off = this.broker.on('event', Function.prototype);
+                off();
+                this.broker.emit(Broker.Events.ERROR, {});
+                expect(called).to.eql([]);
+            });
+
+            it('pass emitted event to listeners with `withEvent` option', function() {
+                var called = [];
+                this.broker.on('cart:**', function() {
+                    called.push([].slice.call(arguments));
+                }, {withEvent: true});
+                this.broker.emit('cart:item:added', 1, 2);
+                this.broker.emit({type: 'cart:checkout'});
+                return this.broker.emitAsync('cart:cleared').then(function() {
+                    expect(called[0]).to.eql(['cart:item:added', 1, 2]);
+                    expect(called[1][0]).to.equal('cart:checkout');
+                    expect(called[1][1].type).to.equal('cart:checkout');
+                    expect(called[2]).to.eql(['cart:cleared']);
+                });
+            });
+
+            it('`one` fires pattern listener once', function() {
+                var callCount = 0;
+                this.broker.one('cart:*', function() {
+                    callCount++;
+                });
+                this.broker.emit('cart:checkout');
+                this.broker.emit('cart:checkout');
+                expect(callCount).to.equal(1);
+            });
+
+        });
+
     });
 
     describe('Observable.fromEvent', function() {
@@ -448,3 +3094,646 @@ describe('Broker', function() {
     });
 
 });
+
+describe('error types', function() {
+
+    it('have names, codes and stacks', function() {
+        [
+            [InvalidArgumentError, 'InvalidArgumentError', 'ERR_INVALID_ARG', TypeError],
+            [InvalidEventError, 'InvalidEventError', 'ERR_INVALID_EVENT', InvalidArgumentError],
+            [InvalidCallbackError, 'InvalidCallbackError', 'ERR_INVALID_CALLBACK', InvalidArgumentError],
+            [ListenerError, 'ListenerError', 'ERR_LISTENER', Error],
+            [RequestError, 'RequestError', 'ERR_REQUEST', Error],
+            [WaitError, 'WaitError', 'ERR_WAIT', Error]
+        ].forEach(function(entry) {
+            var error = new entry[0]('message', {extra: true});
+            expect(error).to.be.an.instanceof(entry[3]);
+            expect(error).to.be.an.instanceof(Error);
+            expect(error.name).to.equal(entry[1]);
+            expect(error.code).to.equal(entry[2]);
+            expect(error.message).to.equal('message');
+            expect(error.extra).to.equal(true);
+            expect(error.stack).to.contain(entry[1] + ': message');
+        });
+    });
+
+    it('are thrown for invalid options', function() {
+        var broker = new Broker();
+        expect(function() {
+            broker.on('event', function() {}, {priority: 'high'});
+        }).to.throw(InvalidArgumentError, 'Option `priority` must be a finite number.');
+    });
+
+    it('are thrown for args that do not match definition', function() {
+        var broker = new Broker({strict: true});
+        broker.define('event', {type: 'string'});
+        [
+            ['event', 123, 'ERR_INVALID_ARGS'],
+            ['other', undefined, 'ERR_UNDEFINED_EVENT']
+        ].forEach(function(entry) {
+            try {
+                broker.emit(entry[0], entry[1]);
+                throw new Error('this should not be reached');
+            } catch (error) {
+                expect(error).to.be.an.instanceof(InvalidArgumentError);
+                expect(error.code).to.equal(entry[2]);
+                expect(error.event).to.equal(entry[0]);
+            }
+        });
+    });
+
+    it('are thrown for handlers and requests that cannot be handled', function() {
+        var broker = new Broker();
+        broker.handle('event', function() {
+            return new Promise(function() {});
+        });
+        try {
+            broker.handle('event', function() {});
+            throw new Error('this should not be reached');
+        } catch (error) {
+            expect(error).to.be.an.instanceof(RequestError);
+            expect(error.code).to.equal('ERR_HANDLER_EXISTS');
+            expect(error.event).to.equal('event');
+        }
+        return Promise.all([
+            broker.request('other'),
+            broker.request({type: 'event', timeout: 10})
+        ].map(function(promise) {
+            return promise.then(function() {
+                throw new Error('this should not be reached');
+            }, function(error) {
+                expect(error).to.be.an.instanceof(RequestError);
+                return [error.code, error.event];
+            });
+        })).then(function(results) {
+            expect(results).to.eql([['ERR_NO_HANDLER', 'other'], ['ERR_REQUEST_TIMEOUT', 'event']]);
+        });
+    });
+
+});
+
+describe('EventEmitter', function() {
+
+    beforeEach(function() {
+        this.emitter = new EventEmitter();
+    });
+
+    it('is a Broker', function() {
+        expect(this.emitter).to.be.an.instanceof(Broker);
+    });
+
+    it('returns instance from methods for chaining', function() {
+        var emitter = this.emitter;
+        expect(emitter.on('event', Function.prototype)).to.equal(emitter);
+        expect(emitter.addListener('event', Function.prototype)).to.equal(emitter);
+        expect(emitter.prependListener('event', Function.prototype)).to.equal(emitter);
+        expect(emitter.once('event', Function.prototype)).to.equal(emitter);
+        expect(emitter.prependOnceListener('event', Function.prototype)).to.equal(emitter);
+        expect(emitter.off('event', Function.prototype)).to.equal(emitter);
+        expect(emitter.removeListener('event', Function.prototype)).to.equal(emitter);
+        expect(emitter.removeAllListeners('event')).to.equal(emitter);
+        expect(emitter.setMaxListeners(10)).to.equal(emitter);
+    });
+
+    it('allows duplicate listeners', function() {
+        var callCount = 0;
+        function callback() {
+            callCount++;
+        }
+        this.emitter.on('event', callback).on('event', callback);
+        this.emitter.emit('event');
+        expect(callCount).to.equal(2);
+        this.emitter.off('event', callback);
+        this.emitter.emit('event');
+        expect(callCount).to.equal(3);
+    });
+
+    it('prepends listeners', function() {
+        var called = [];
+        this.emitter
+            .on('event', function() {
+                called.push(2);
+            })
+            .prependOnceListener('event', function() {
+                called.push(1);
+            })
+            .emit('event');
+        expect(called).to.eql([1, 2]);
+    });
+
+    it('removes all listeners if no event passed', function() {
+        this.emitter.on('a', Function.prototype).on('b:*', Function.prototype);
+        this.emitter.removeAllListeners();
+        expect(this.emitter.eventNames()).to.eql([]);
+    });
+
+    it('returns whether event had listeners from emit', function() {
+        expect(this.emitter.emit('event')).to.equal(false);
+        this.emitter.on('event', Function.prototype);
+        expect(this.emitter.emit('event')).to.equal(true);
+    });
+
+    it('throws unhandled error emissions', function() {
+        var emitter = this.emitter,
+            err = new Error();
+        expect(function() {
+            emitter.emit(Broker.Events.ERROR, err);
+        }).to.throw(err);
+        expect(function() {
+            emitter.emit(Broker.Events.ERROR, 'abc');
+        }).to.throw(Error, 'Unhandled error.');
+    });
+
+    it('throws listener errors if no error listeners', function() {
+        var emitter = this.emitter,
+            err = new Error();
+        emitter.on('event', function() {
+            throw err;
+        });
+        expect(function() {
+            emitter.emit('event');
+        }).to.throw(err);
+    });
+
+    it('does not throw handled error emissions', function(done) {
+        this.emitter.on(Broker.Events.ERROR, function() {
+            done();
+        });
+        this.emitter.emit(Broker.Events.ERROR, new Error());
+    });
+
+    it('can be observed', function() {
+        var values = [],
+            subscription = this.emitter.observe('event').subscribe(function(value) {
+                values.push(value);
+            });
+        this.emitter.emit('event', 1);
+        subscription.unsubscribe();
+        this.emitter.emit('event', 2);
+        expect(values).to.eql([1]);
+        expect(this.emitter.listenerCount('event')).to.equal(0);
+    });
+
+    it('can be bridged to event target', function() {
+        var target = new StandInEventTarget(),
+            stop = bridgeEventTarget(target, this.emitter, {
+                events: ['event'],
+                createEvent: function(type, detail) {
+                    return {type: type, detail: detail};
+                }
+            });
+        stop();
+        expect(this.emitter.listenerCount('event')).to.equal(0);
+        expect(target.listeners.event).to.eql([]);
+    });
+
+    it('can be wrapped by driver', function() {
+        var values = [],
+            subscription = makeBrokerDriver(this.emitter)().select('event')
+                .subscribe(function(value) {
+                    values.push(value);
+                });
+        subscription.dispose();
+        this.emitter.emit('event', 1);
+        expect(values).to.eql([]);
+        expect(this.emitter.listenerCount('event')).to.equal(0);
+    });
+
+});
+
+describe('bridgeEventTarget', function() {
+
+    beforeEach(function() {
+        this.broker = new Broker();
+        this.target = new StandInEventTarget();
+        this.options = {
+            events: ['a', 'b'],
+            createEvent: function(type, detail) {
+                return {type: type, detail: detail};
+            }
+        };
+    });
+
+    it('forwards target events to broker', function() {
+        var received = [];
+        bridgeEventTarget(this.target, this.broker, this.options);
+        this.broker.on('a', function(value) {
+            received.push(value);
+        });
+        this.target.dispatchEvent({type: 'a', detail: 123});
+        this.target.dispatchEvent({type: 'c', detail: 456});
+        expect(received).to.eql([123]);
+    });
+
+    it('forwards events without detail as event', function(done) {
+        var evt = {type: 'a'};
+        bridgeEventTarget(this.target, this.broker, this.options);
+        this.broker.on('a', function(value) {
+            expect(value).to.equal(evt);
+            done();
+        });
+        this.target.dispatchEvent(evt);
+    });
+
+    it('forwards broker events to target', function() {
+        var received = [];
+        bridgeEventTarget(this.target, this.broker, this.options);
+        this.target.addEventListener('b', function(evt) {
+            received.push(evt.detail);
+        });
+        this.broker.emit('b', 1);
+        this.broker.emit('b', 2, 3);
+        this.broker.emit('c', 4);
+        expect(received).to.eql([1, [2, 3]]);
+    });
+
+    it('does not forward events back to their source', function() {
+        var brokerCount = 0,
+            targetCount = 0;
+        bridgeEventTarget(this.target, this.broker, this.options);
+        this.broker.on('a', function() {
+            brokerCount++;
+        });
+        this.target.addEventListener('a', function() {
+            targetCount++;
+        });
+        this.target.dispatchEvent({type: 'a', detail: 1});
+        this.broker.emit('a', 2);
+        expect(brokerCount).to.equal(2);
+        expect(targetCount).to.equal(2);
+    });
+
+    it('forwards events emitted while forwarding', function() {
+        var broker = this.broker,
+            received = [];
+        bridgeEventTarget(this.target, broker, this.options);
+        broker.on('a', function(value) {
+            broker.emit('b', value + 1);
+        });
+        this.target.addEventListener('a', function(evt) {
+            received.push('a:' + evt.detail);
+        });
+        this.target.addEventListener('b', function(evt) {
+            received.push('b:' + evt.detail);
+        });
+        this.target.dispatchEvent({type: 'a', detail: 1});
+        broker.emit('a', 10);
+        expect(received).to.eql(['b:2', 'a:1', 'a:10', 'b:11']);
+    });
+
+    it('does not forward deferred events back to their source', function() {
+        var broker = new Broker({dispatch: 'microtask'}),
+            brokerCount = 0,
+            targetCount = 0;
+        bridgeEventTarget(this.target, broker, this.options);
+        broker.on('a', function() {
+            brokerCount++;
+        });
+        this.target.addEventListener('a', function() {
+            targetCount++;
+        });
+        this.target.dispatchEvent({type: 'a', detail: 1});
+        broker.emit('a', 2);
+        broker.flush();
+        expect(brokerCount).to.equal(2);
+        expect(targetCount).to.equal(2);
+    });
+
+    it('creates CustomEvent by default', function(done) {
+        bridgeEventTarget(this.target, this.broker, {events: ['a']});
+        this.target.addEventListener('a', function(evt) {
+            expect(evt).to.be.an.instanceof(CustomEvent);
+            expect(evt.detail).to.equal(123);
+            done();
+        });
+        this.broker.emit('a', 123);
+    });
+
+    it('returns function that stops forwarding', function() {
+        var called = false;
+        bridgeEventTarget(this.target, this.broker, this.options)();
+        this.broker.on('a', function() {
+            called = true;
+        });
+        this.target.addEventListener('b', function() {
+            called = true;
+        });
+        this.target.dispatchEvent({type: 'a'});
+        this.broker.emit('b');
+        expect(called).to.equal(false);
+    });
+
+});
+
+describe('connectPort', function() {
+
+    function delay() {
+        return new Promise(function(resolve) {
+            setTimeout(resolve, 20);
+        });
+    }
+
+    beforeEach(function() {
+        this.channel = new MessageChannel();
+        this.local = new Broker();
+        this.remote = new Broker();
+    });
+
+    afterEach(function() {
+        this.channel.port1.close();
+    });
+
+    it('throws if invalid events passed', function() {
+        var local = this.local,
+            port = this.channel.port1;
+        expect(function() {
+            connectPort(local, port, {send: [123]});
+        }).to.throw(TypeError, 'Parameter `event` must be a non-empty string.');
+    });
+
+    it('forwards allowed events across port', function() {
+        var received = [];
+        connectPort(this.local, this.channel.port1, {send: ['search:*']});
+        connectPort(this.remote, this.channel.port2, {receive: ['search:query']});
+        this.remote.on('**', function(value) {
+            received.push(value);
+        });
+        received.length = 0;
+        this.local.emit('search:query', 'abc');
+        this.local.emit('search:reset');
+        this.local.emit('other', 'xyz');
+        return delay().then(function() {
+            expect(received).to.eql(['abc']);
+        });
+    });
+
+    it('serializes args in structured-clone-safe format', function() {
+        var received;
+        connectPort(this.local, this.channel.port1, {send: ['event']});
+        connectPort(this.remote, this.channel.port2, {receive: ['event']});
+        this.remote.on('event', function() {
+            received = [].slice.call(arguments);
+        });
+        this.local.emit('event', {a: 1, fn: function() {}}, new TypeError('oops'), [1, 'b']);
+        return delay().then(function() {
+            expect(received[0]).to.eql({a: 1, fn: undefined});
+            expect(received[1]).to.be.an.instanceof(Error);
+            expect(received[1].name).to.equal('TypeError');
+            expect(received[1].message).to.equal('oops');
+            expect(received[2]).to.eql([1, 'b']);
+        });
+    });
+
+    it('does not echo received events', function() {
+        var localCount = 0,
+            remoteCount = 0;
+        connectPort(this.local, this.channel.port1, {send: ['event'], receive: ['event']});
+        connectPort(this.remote, this.channel.port2, {send: ['event'], receive: ['event']});
+        this.local.on('event', function() {
+            localCount++;
+        });
+        this.remote.on('event', function() {
+            remoteCount++;
+        });
+        this.local.emit('event');
+        return delay().then(function() {
+            expect(localCount).to.equal(1);
+            expect(remoteCount).to.equal(1);
+        });
+    });
+
+    it('does not echo received events if dispatch is deferred', function() {
+        var local = new Broker({dispatch: 'microtask'}),
+            remote = new Broker({dispatch: 'microtask'}),
+            localCount = 0,
+            remoteCount = 0;
+        connectPort(local, this.channel.port1, {send: ['event'], receive: ['event']});
+        connectPort(remote, this.channel.port2, {send: ['event'], receive: ['event']});
+        local.on('event', function() {
+            localCount++;
+        });
+        remote.on('event', function() {
+            remoteCount++;
+        });
+        local.emit('event');
+        return delay().then(function() {
+            expect(localCount).to.equal(1);
+            expect(remoteCount).to.equal(1);
+        });
+    });
+
+    it('ignores unrelated messages', function() {
+        var called = false;
+        connectPort(this.remote, this.channel.port2, {receive: ['**']});
+        this.remote.on('event', function() {
+            called = true;
+        });
+        this.channel.port1.postMessage({event: 'event'});
+        this.channel.port1.postMessage('event');
+        return delay().then(function() {
+            expect(called).to.equal(false);
+        });
+    });
+
+    it('returns function that unlinks broker and port', function() {
+        var called = false;
+        connectPort(this.local, this.channel.port1, {send: ['event']})();
+        connectPort(this.remote, this.channel.port2, {receive: ['event']});
+        this.remote.on('event', function() {
+            called = true;
+        });
+        this.local.emit('event');
+        return delay().then(function() {
+            expect(called).to.equal(false);
+        });
+    });
+
+});
+
+describe('recordHistory', function() {
+
+    beforeEach(function() {
+        this.broker = new Broker();
+    });
+
+    it('throws if invalid size provided', function() {
+        var broker = this.broker;
+        [0, -1, 1.5, '10'].forEach(function(size) {
+            expect(function() {
+                recordHistory(broker, {size: size});
+            }).to.throw(TypeError, 'Option `size` must be a positive integer.');
+        });
+    });
+
+    it('records emissions', function() {
+        var recorder = recordHistory(this.broker);
+        this.broker.emit('a', 1, 'x');
+        this.broker.emit('b');
+        var entries = recorder.entries();
+        expect(entries.map(function(entry) {
+            return [entry.event, entry.args];
+        })).to.eql([['a', [1, 'x']], ['b', []]]);
+        expect(entries[0].timestamp).to.be.a('number');
+    });
+
+    it('does not record built-in events', function() {
+        var recorder = recordHistory(this.broker),
+            target = new Broker(),
+            added = [];
+        this.broker.on('x', Function.prototype);
+        this.broker.emit('x');
+        this.broker.off('x', Function.prototype);
+        this.broker.emit(Broker.Events.ERROR, {});
+        expect(recorder.entries().map(function(entry) {
+            return entry.event;
+        })).to.eql(['x']);
+        target.on(Broker.Events.ADDED, function(data) {
+            added.push(data.event);
+        });
+        added.length = 0;
+        target.replay(recorder.entries(), {speed: Infinity});
+        expect(added).to.eql([]);
+    });
+
+    it('records descriptor of object emissions', function() {
+        var recorder = recordHistory(this.broker),
+            received = [],
+            target = new Broker();
+        this.broker.emit({type: 'nav', source: 'menu'}, '/home');
+        expect(recorder.entries()[0]).to.include({event: 'nav'});
+        expect(recorder.entries()[0].descriptor).to.eql({type: 'nav', source: 'menu'});
+        target.on('nav', function(evt, url) {
+            received.push([typeof evt, evt.source, url]);
+        });
+        target.replay(JSON.stringify(recorder), {speed: Infinity});
+        expect(received).to.eql([['object', 'menu', '/home']]);
+    });
+
+    it('discards oldest emissions when full', function() {
+        var recorder = recordHistory(this.broker, {size: 2});
+        this.broker.emit('a');
+        this.broker.emit('b');
+        this.broker.emit('c');
+        this.broker.emit('d');
+        this.broker.emit('e');
+        expect(recorder.entries().map(function(entry) {
+            return entry.event;
+        })).to.eql(['d', 'e']);
+    });
+
+    it('stores args in serializable format', function() {
+        var recorder = recordHistory(this.broker);
+        this.broker.emit('a', new Error('oops'), function() {});
+        var log = JSON.parse(JSON.stringify(recorder));
+        expect(log[0].args[0].message).to.equal('oops');
+        expect(log[0].args[1]).to.equal(null);
+    });
+
+    it('exports and imports json', function() {
+        var recorder = recordHistory(this.broker),
+            other = recordHistory(new Broker(), {size: 1});
+        this.broker.emit('a', 1);
+        this.broker.emit('b', 2);
+        other.load(JSON.stringify(recorder));
+        expect(other.entries().map(function(entry) {
+            return entry.event;
+        })).to.eql(['b']);
+    });
+
+    it('clear discards emissions', function() {
+        var recorder = recordHistory(this.broker);
+        this.broker.emit('a');
+        recorder.clear();
+        this.broker.emit('b');
+        expect(recorder.entries().length).to.equal(1);
+        expect(recorder.entries()[0].event).to.equal('b');
+    });
+
+    it('stop ends recording', function() {
+        var recorder = recordHistory(this.broker);
+        recorder.stop();
+        this.broker.emit('a');
+        expect(recorder.entries()).to.eql([]);
+    });
+
+});
+
+describe('makeBrokerDriver', function() {
+
+    beforeEach(function() {
+        this.broker = new Broker();
+        this.obs = require('rxjs').Observable;
+    });
+
+    it('returns driver function', function() {
+        expect(makeBrokerDriver(this.broker)).to.be.a('function');
+    });
+
+    it('creates broker if not provided', function() {
+        var source = makeBrokerDriver()();
+        expect(source.select).to.be.a('function');
+    });
+
+    it('emits events from sink', function(done) {
+        this.broker.on('event', function(arg1, arg2) {
+            expect(arg1).to.equal(123);
+            expect(arg2).to.equal('abc');
+            done();
+        });
+        makeBrokerDriver(this.broker)(this.obs.of({event: 'event', args: [123, 'abc']}));
+    });
+
+    it('`dispose` unsubscribes from sink', function() {
+        var values = [],
+            sink$ = new (require('rxjs').Subject)(),
+            source = makeBrokerDriver(this.broker)(sink$);
+        this.broker.on('event', function(value) {
+            values.push(value);
+        });
+        sink$.next({event: 'event', args: [1]});
+        source.dispose();
+        sink$.next({event: 'event', args: [2]});
+        source.dispose();
+        expect(values).to.eql([1]);
+    });
+
+    it('`select` can be converted to a stream', function() {
+        var values = [];
+        this.obs.from(makeBrokerDriver(this.broker)().select('event'))
+            .map(function(value) {
+                return value * 2;
+            })
+            .subscribe(function(value) {
+                values.push(value);
+            });
+        this.broker.emit('event', 2);
+        expect(values).to.eql([4]);
+    });
+
+    it('`select` throws if non-string passed for event', function() {
+        testEventParam(makeBrokerDriver(this.broker)(), 'select');
+    });
+
+    it('`select` streams emitted payloads', function() {
+        var values = [];
+        makeBrokerDriver(this.broker)().select('event')
+            .subscribe(function(value) {
+                values.push(value);
+            });
+        this.broker.emit('event', 1);
+        this.broker.emit('event', 2, 3);
+        expect(values).to.eql([1, [2, 3]]);
+    });
+
+    it('`select` removes listener when disposed', function() {
+        var removed = false;
+        this.broker.on(Broker.Events.REMOVED, function(data) {
+            removed = data.event === 'event';
+        });
+        makeBrokerDriver(this.broker)().select('event')
+            .subscribe(Function.prototype)
+            .unsubscribe();
+        expect(removed).to.equal(true);
+    });
+
+});